@@ -24,13 +24,81 @@ SOFTWARE.
 const {
   PackageURL,
   PurlComponent,
+  PurlJsonSchema,
   PurlQualifierNames,
-  PurlType
+  PurlType,
+  PurlTypeRegistry,
+  compareVersions
 } = require('./src/package-url')
+const { fromCargoLockfile } = require('./src/cargo-lockfile')
+const { fromComposerLockfile } = require('./src/composer-lockfile')
+const {
+  fromCondaEnvironment,
+  fromCondaExplicit,
+  fromCondaLockfile
+} = require('./src/conda-dependencies')
+const { fromDpkgStatus } = require('./src/dpkg-status')
+const { PurlError, VersError, formatPurlErrorSnippet } = require('./src/error')
+const { fromGemfileLockfile } = require('./src/gem-lockfile')
+const {
+  escapeGolangModulePath,
+  parseGolangVersion,
+  unescapeGolangModulePath
+} = require('./src/golang')
+const { fromGoMod, fromGoSum } = require('./src/golang-modules')
+const { fromGradleLockfile, fromMavenPom } = require('./src/maven-dependencies')
+const { fromNpmLockfile } = require('./src/npm-lockfile')
+const {
+  fromCsproj,
+  fromNugetLockfile,
+  fromPackagesConfig
+} = require('./src/nuget-dependencies')
+const { fromPipRequirements } = require('./src/pip-requirements')
+const { fromPnpmLockfile } = require('./src/pnpm-lockfile')
+const {
+  fromPipfileLockfile,
+  fromPoetryLockfile,
+  fromUvLockfile
+} = require('./src/python-lockfile')
+const { fromSwiftLockfile } = require('./src/swift-lockfile')
+const { VersionRange } = require('./src/vers')
+const { fromYarnLockfile } = require('./src/yarn-lockfile')
 
 module.exports = {
   PackageURL,
   PurlComponent,
+  PurlError,
+  PurlJsonSchema,
   PurlQualifierNames,
-  PurlType
+  PurlType,
+  PurlTypeRegistry,
+  VersError,
+  VersionRange,
+  compareVersions,
+  escapeGolangModulePath,
+  formatPurlErrorSnippet,
+  fromCargoLockfile,
+  fromComposerLockfile,
+  fromCondaEnvironment,
+  fromCondaExplicit,
+  fromCondaLockfile,
+  fromCsproj,
+  fromDpkgStatus,
+  fromGemfileLockfile,
+  fromGoMod,
+  fromGoSum,
+  fromGradleLockfile,
+  fromMavenPom,
+  fromNpmLockfile,
+  fromNugetLockfile,
+  fromPackagesConfig,
+  fromPipRequirements,
+  fromPipfileLockfile,
+  fromPnpmLockfile,
+  fromPoetryLockfile,
+  fromSwiftLockfile,
+  fromUvLockfile,
+  fromYarnLockfile,
+  parseGolangVersion,
+  unescapeGolangModulePath
 }
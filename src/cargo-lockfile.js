@@ -0,0 +1,80 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { isObject } = require('./objects')
+const { PackageURL } = require('./package-url')
+const { parseToml } = require('./toml')
+
+const regexCargoChecksum = /^[0-9a-f]{64}$/
+
+// The git and sparse indexes of crates.io.
+const cratesIoIndexUrls = new Set([
+    'https://github.com/rust-lang/crates.io-index',
+    'https://index.crates.io/'
+])
+
+function fromCargoLockfile(text) {
+    const lockfile = parseToml(getLockfileText(text, 'Cargo.lock'))
+    const packages = Array.isArray(lockfile.package) ? lockfile.package : []
+    // Lockfile version 1 lists checksums in "[metadata]" as
+    // "checksum <name> <version> (<source>)" keys.
+    const legacyChecksums = isObject(lockfile.metadata)
+        ? lockfile.metadata
+        : { __proto__: null }
+    const entries = []
+    for (const pkg of packages) {
+        const { name, source, version } = pkg
+        // Workspace members and path dependencies have no source.
+        if (typeof source !== 'string') {
+            continue
+        }
+        const qualifiers = resolveCargoSource(source)
+        if (qualifiers === undefined) {
+            continue
+        }
+        const checksum =
+            pkg.checksum ??
+            legacyChecksums[`checksum ${name} ${version} (${source})`]
+        if (typeof checksum === 'string' && regexCargoChecksum.test(checksum)) {
+            qualifiers.checksum = `sha256:${checksum}`
+        }
+        entries.push(
+            createLockfileEntry(
+                new PackageURL('cargo', undefined, name, version, qualifiers),
+                {
+                    source:
+                        qualifiers.vcs_url === undefined ? 'registry' : 'vcs'
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function resolveCargoSource(source) {
+    // Sources are "registry+<index url>", "sparse+<index url>", or
+    // "git+<url>?<branch|tag|rev>=<reference>#<commit>".
+    const plusIndex = source.indexOf('+')
+    const kind = source.slice(0, plusIndex)
+    const url = source.slice(plusIndex + 1)
+    if (kind === 'registry' || kind === 'sparse') {
+        return cratesIoIndexUrls.has(url) ? {} : { repository_url: url }
+    }
+    if (kind === 'git') {
+        const hashIndex = url.indexOf('#')
+        const repoUrl = (
+            hashIndex === -1 ? url : url.slice(0, hashIndex)
+        ).replace(/\?.*$/, '')
+        return {
+            vcs_url:
+                hashIndex === -1
+                    ? `git+${repoUrl}`
+                    : `git+${repoUrl}@${url.slice(hashIndex + 1)}`
+        }
+    }
+    return undefined
+}
+
+module.exports = {
+    fromCargoLockfile
+}
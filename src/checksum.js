@@ -0,0 +1,158 @@
+'use strict'
+
+const { PurlError } = require('./error')
+
+// Known checksum algorithms by canonical name with the hex length of their
+// digests and the name of their Node.js hash.
+const CHECKSUM_ALGORITHMS = {
+    __proto__: null,
+    'blake2b-512': { hashName: 'blake2b512', length: 128 },
+    'blake2s-256': { hashName: 'blake2s256', length: 64 },
+    md5: { hashName: 'md5', length: 32 },
+    sha1: { hashName: 'sha1', length: 40 },
+    sha224: { hashName: 'sha224', length: 56 },
+    sha256: { hashName: 'sha256', length: 64 },
+    sha384: { hashName: 'sha384', length: 96 },
+    sha512: { hashName: 'sha512', length: 128 },
+    'sha3-224': { hashName: 'sha3-224', length: 56 },
+    'sha3-256': { hashName: 'sha3-256', length: 64 },
+    'sha3-384': { hashName: 'sha3-384', length: 96 },
+    'sha3-512': { hashName: 'sha3-512', length: 128 }
+}
+
+// Canonical names keyed by their lowercase name without separators so that
+// spellings like "SHA-256", "sha_256", and "SHA3_256" are recognized.
+const checksumAlgorithmLookup = {
+    __proto__: null,
+    ...Object.fromEntries(
+        Object.keys(CHECKSUM_ALGORITHMS).map(name => [
+            name.replace(/-/g, ''),
+            name
+        ])
+    )
+}
+
+function convertIntegrityToChecksum(integrity) {
+    // Subresource Integrity metadata, as used by npm, yarn, and pnpm, is a
+    // space separated list of "<algorithm>-<base64 digest>[?<options>]"
+    // hashes while the checksum qualifier lists "<algorithm>:<hex digest>"
+    // pairs. Returns undefined when there are no well-formed hashes.
+    // https://www.w3.org/TR/SRI/#the-integrity-attribute
+    const pairs = []
+    for (const hash of integrity.trim().split(/\s+/)) {
+        const dashIndex = hash.indexOf('-')
+        if (dashIndex === -1) {
+            continue
+        }
+        let binary
+        try {
+            binary = atob(hash.slice(dashIndex + 1).replace(/\?.*$/, ''))
+        } catch {
+            continue
+        }
+        let digest = ''
+        for (let i = 0, { length } = binary; i < length; i += 1) {
+            digest += binary.charCodeAt(i).toString(16).padStart(2, '0')
+        }
+        pairs.push(
+            `${normalizeChecksumAlgorithm(hash.slice(0, dashIndex))}:${digest}`
+        )
+    }
+    return pairs.length === 0 ? undefined : pairs.join(',')
+}
+
+function normalizeChecksumAlgorithm(rawAlgorithm) {
+    const lowered = rawAlgorithm.trim().toLowerCase()
+    return checksumAlgorithmLookup[lowered.replace(/[-_]/g, '')] ?? lowered
+}
+
+function normalizeChecksumQualifier(value) {
+    // The checksum qualifier is a comma separated list of "algorithm:digest"
+    // pairs. Malformed pairs are kept as is for validation to report.
+    return splitChecksumQualifier(value)
+        .map(pair => {
+            const colonIndex = pair.indexOf(':')
+            return colonIndex === -1
+                ? pair
+                : `${normalizeChecksumAlgorithm(pair.slice(0, colonIndex))}:${pair
+                      .slice(colonIndex + 1)
+                      .trim()
+                      .toLowerCase()}`
+        })
+        .join(',')
+}
+
+function parseChecksumQualifier(value) {
+    if (typeof value !== 'string') {
+        return Object.freeze([])
+    }
+    return Object.freeze(
+        splitChecksumQualifier(value).map(pair => {
+            const colonIndex = pair.indexOf(':')
+            return Object.freeze({
+                __proto__: null,
+                algorithm: normalizeChecksumAlgorithm(
+                    pair.slice(0, colonIndex)
+                ),
+                digest: pair
+                    .slice(colonIndex + 1)
+                    .trim()
+                    .toLowerCase()
+            })
+        })
+    )
+}
+
+function splitChecksumQualifier(value) {
+    return value
+        .split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair.length !== 0)
+}
+
+async function verifyChecksums(checksums, input) {
+    if (checksums.length === 0) {
+        throw new PurlError('no "checksum" qualifier to verify against', {
+            code: 'CHECKSUM_REQUIRED',
+            component: 'qualifiers'
+        })
+    }
+    // Require lazily so folks can bundle for the browser without issues.
+    const { createHash } = require('crypto')
+    const hashes = checksums.map(({ algorithm }) => {
+        const known = CHECKSUM_ALGORITHMS[algorithm]
+        if (known === undefined) {
+            throw new PurlError(
+                `unable to verify unknown checksum algorithm "${algorithm}"`,
+                { code: 'CHECKSUM_ALGORITHM_UNKNOWN', component: 'qualifiers' }
+            )
+        }
+        return createHash(known.hashName)
+    })
+    if (typeof input === 'string' || input instanceof URL) {
+        const { createReadStream } = require('fs')
+        for await (const chunk of createReadStream(input)) {
+            for (const hash of hashes) {
+                hash.update(chunk)
+            }
+        }
+    } else if (ArrayBuffer.isView(input)) {
+        for (const hash of hashes) {
+            hash.update(input)
+        }
+    } else {
+        throw new TypeError('A file path or Buffer argument is required.')
+    }
+    return checksums.every(
+        ({ digest }, i) => hashes[i].digest('hex') === digest
+    )
+}
+
+module.exports = {
+    CHECKSUM_ALGORITHMS,
+    convertIntegrityToChecksum,
+    normalizeChecksumAlgorithm,
+    normalizeChecksumQualifier,
+    parseChecksumQualifier,
+    verifyChecksums
+}
@@ -0,0 +1,57 @@
+'use strict'
+
+const { createLockfileEntry, parseJsonLockfile } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+
+const regexSha1 = /^[0-9a-f]{40}$/
+
+function fromComposerLockfile(json) {
+    const lockfile = parseJsonLockfile(json, 'composer.lock')
+    const entries = []
+    for (const { 0: section, 1: dev } of [
+        ['packages', false],
+        ['packages-dev', true]
+    ]) {
+        const packages = lockfile[section]
+        if (!Array.isArray(packages)) {
+            continue
+        }
+        for (let i = 0, { length } = packages; i < length; i += 1) {
+            const pkg = packages[i]
+            const slashIndex =
+                typeof pkg?.name === 'string' ? pkg.name.indexOf('/') : -1
+            // Path repository packages are part of the project.
+            if (slashIndex === -1 || pkg.dist?.type === 'path') {
+                continue
+            }
+            const qualifiers = {}
+            const shasum = pkg.dist?.shasum
+            if (typeof shasum === 'string' && regexSha1.test(shasum)) {
+                qualifiers.checksum = `sha1:${shasum}`
+            }
+            // Creating the purl applies the composer normalize rules, which
+            // lowercase the vendor namespace and the name.
+            entries.push(
+                createLockfileEntry(
+                    new PackageURL(
+                        'composer',
+                        pkg.name.slice(0, slashIndex),
+                        pkg.name.slice(slashIndex + 1),
+                        pkg.version,
+                        qualifiers
+                    ),
+                    {
+                        dev,
+                        // A JSON pointer to the package, e.g. "/packages/0".
+                        pointer: `/${section}/${i}`
+                    }
+                )
+            )
+        }
+    }
+    return entries
+}
+
+module.exports = {
+    fromComposerLockfile
+}
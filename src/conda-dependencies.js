@@ -0,0 +1,257 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { isObject } = require('./objects')
+const { PackageURL } = require('./package-url')
+const { createPypiPurl, fromPipRequirements } = require('./pip-requirements')
+const { parseYaml } = require('./yaml')
+
+// Servers whose channels are known by name alone.
+const defaultChannelBaseUrls = new Set([
+    'https://conda.anaconda.org',
+    'https://repo.anaconda.com/pkgs'
+])
+
+// Package files are "<name>-<version>-<build>.<conda|tar.bz2>".
+const regexCondaFileName = /^(.+)-([^-]+)-([^-]+)\.(conda|tar\.bz2)$/
+// Match specs are "[<channel>::]<name>[<version>[<build>]]" where the
+// version and build follow "=" or "==", or are separated by spaces.
+// https://docs.conda.io/projects/conda/en/stable/user-guide/concepts/pkg-specs.html#package-match-specifications
+const regexCondaMatchSpec = /^(?:(\S+)::)?([A-Za-z0-9_.-]+)\s*(.*)$/
+// Exact versions are "==<version>", "=<version>=<build>", or
+// "<version> <build>". A single "=", like "=3.11", is a fuzzy "3.11.*" match.
+const regexCondaPinnedVersion =
+    /^(?:==([^\s=,|<>!*[\]]+)(?:=([^\s=*]+))?|=([^\s=,|<>!*[\]]+)=([^\s=*]+)|([^\s=,|<>!*[\]]+)\s+([^\s*]+))$/
+// https://github.com/conda/conda/blob/main/conda/base/constants.py
+const regexCondaSubdir =
+    /^(?:noarch|(?:emscripten|freebsd|linux|osx|wasi|win|zos)-[a-z0-9]+)$/
+const regexUrlScheme = /^[A-Za-z][A-Za-z0-9+.-]*:\/\//
+
+function createCondaPurl(name, version, qualifiers) {
+    // Creating the purl applies the conda normalize and validate rules,
+    // which lowercase the name.
+    return new PackageURL('conda', undefined, name, version, qualifiers)
+}
+
+function createCondaUrlPurl(url, checksums) {
+    // Returns undefined for URLs that are not of a package file.
+    let parsedUrl
+    try {
+        parsedUrl = new URL(url)
+    } catch {
+        return undefined
+    }
+    const segments = parsedUrl.pathname.split('/').filter(Boolean)
+    const fileMatch = regexCondaFileName.exec(
+        decodeURIComponent(segments.pop() ?? '')
+    )
+    if (fileMatch === null || segments.length < 2) {
+        return undefined
+    }
+    const { 1: name, 2: version, 3: build, 4: type } = fileMatch
+    const qualifiers = {
+        ...getCondaChannelQualifiers(
+            `${parsedUrl.origin}/${segments.slice(0, -1).join('/')}`
+        ),
+        build,
+        subdir: segments.at(-1),
+        type
+    }
+    if (checksums.length) {
+        qualifiers.checksum = checksums.join(',')
+    }
+    return createCondaPurl(name, version, qualifiers)
+}
+
+function fromCondaEnvironment(text) {
+    const environment = parseYaml(getLockfileText(text, 'environment.yml'))
+    const dependencies = Array.isArray(environment?.dependencies)
+        ? environment.dependencies
+        : []
+    const entries = []
+    for (let i = 0, { length } = dependencies; i < length; i += 1) {
+        const dependency = dependencies[i]
+        // A JSON pointer to the dependency, e.g. "/dependencies/0".
+        const pointer = `/dependencies/${i}`
+        if (typeof dependency === 'string') {
+            const entry = parseCondaMatchSpec(dependency, pointer)
+            if (entry) {
+                entries.push(entry)
+            }
+        } else if (Array.isArray(dependency?.pip)) {
+            // Pip dependencies are requirements.txt lines.
+            const { pip } = dependency
+            for (let j = 0, { length: length_j } = pip; j < length_j; j += 1) {
+                if (typeof pip[j] !== 'string') {
+                    continue
+                }
+                for (const { purl, metadata } of fromPipRequirements(pip[j])) {
+                    const { line: _line, ...pipMetadata } = metadata
+                    entries.push(
+                        createLockfileEntry(purl, {
+                            ...pipMetadata,
+                            pointer: `${pointer}/pip/${j}`
+                        })
+                    )
+                }
+            }
+        }
+    }
+    return entries
+}
+
+function fromCondaExplicit(text) {
+    // Explicit spec files, as written by "conda list --explicit", list the
+    // URLs of package files after an "@EXPLICIT" line with an optional MD5
+    // or SHA-256 hash fragment.
+    const lines = getLockfileText(text, 'conda explicit spec file').split(
+        /\r?\n/
+    )
+    const explicitIndex = lines.findIndex(line => line.trim() === '@EXPLICIT')
+    if (explicitIndex === -1) {
+        throw new SyntaxError(
+            'Expected an "@EXPLICIT" line in conda explicit spec file'
+        )
+    }
+    const entries = []
+    for (let i = explicitIndex + 1, { length } = lines; i < length; i += 1) {
+        const line = lines[i].trim()
+        if (line.length === 0 || line.startsWith('#')) {
+            continue
+        }
+        const hashIndex = line.indexOf('#')
+        const hash =
+            hashIndex === -1
+                ? ''
+                : line.slice(hashIndex + 1).replace(/^sha256:/, '')
+        const checksums = []
+        if (/^[0-9a-f]{32}$/i.test(hash)) {
+            checksums.push(`md5:${hash}`)
+        } else if (/^[0-9a-f]{64}$/i.test(hash)) {
+            checksums.push(`sha256:${hash}`)
+        }
+        const purl = createCondaUrlPurl(
+            hashIndex === -1 ? line : line.slice(0, hashIndex),
+            checksums
+        )
+        if (purl === undefined) {
+            throw new SyntaxError(
+                `Expected "<url>[#<hash>]" at line ${i + 1} of conda explicit spec file`
+            )
+        }
+        entries.push(createLockfileEntry(purl, { line: i + 1 }))
+    }
+    return entries
+}
+
+function fromCondaLockfile(text) {
+    const lockfile = parseYaml(getLockfileText(text, 'conda-lock.yml'))
+    const packages = Array.isArray(lockfile?.package) ? lockfile.package : []
+    // Packages are listed for each platform of the lockfile and noarch and
+    // pip packages are the same for every platform.
+    const entries = new Map()
+    for (const pkg of packages) {
+        if (!isObject(pkg) || typeof pkg.url !== 'string') {
+            continue
+        }
+        const hash = isObject(pkg.hash) ? pkg.hash : {}
+        const checksums = ['md5', 'sha256']
+            .filter(algorithm => typeof hash[algorithm] === 'string')
+            .map(algorithm => `${algorithm}:${hash[algorithm]}`)
+        let purl
+        if (pkg.manager === 'pip') {
+            purl = createPypiPurl(
+                pkg.name,
+                pkg.version,
+                checksums.length ? { checksum: checksums.join(',') } : {}
+            )
+        } else {
+            purl = createCondaUrlPurl(pkg.url, checksums)
+        }
+        if (purl === undefined) {
+            continue
+        }
+        const purlStr = purl.toString()
+        const existing = entries.get(purlStr)
+        if (existing) {
+            existing.metadata.optional &&= pkg.optional === true
+            existing.metadata.platforms.push(pkg.platform)
+        } else {
+            entries.set(purlStr, {
+                purl,
+                metadata: {
+                    category: pkg.category,
+                    optional: pkg.optional === true,
+                    platforms: [pkg.platform]
+                }
+            })
+        }
+    }
+    return [...entries.values()].map(({ purl, metadata }) =>
+        createLockfileEntry(purl, {
+            ...metadata,
+            platforms: Object.freeze(metadata.platforms)
+        })
+    )
+}
+
+function getCondaChannelQualifiers(channel) {
+    // Channels are names, like "conda-forge", or URLs whose last path
+    // segment is the channel name.
+    if (!regexUrlScheme.test(channel)) {
+        return { channel }
+    }
+    const slashIndex = channel.replace(/\/+$/, '').lastIndexOf('/')
+    const baseUrl = channel.slice(0, slashIndex)
+    const qualifiers = {
+        channel: channel.slice(slashIndex + 1).replace(/\/+$/, '')
+    }
+    if (!defaultChannelBaseUrls.has(baseUrl)) {
+        qualifiers.repository_url = baseUrl
+    }
+    return qualifiers
+}
+
+function parseCondaMatchSpec(spec, pointer) {
+    const match = regexCondaMatchSpec.exec(spec.trim())
+    if (match === null) {
+        return undefined
+    }
+    const { 1: channel, 2: name } = match
+    const specifier = match[3].trim()
+    // Exact versions, like those exported by "conda env export" as
+    // "=1.26.0=py311h64a7726_0", are pinned while fuzzy versions, wildcards,
+    // and ranges are not.
+    const versionMatch = regexCondaPinnedVersion.exec(specifier)
+    const version = versionMatch?.[1] ?? versionMatch?.[3] ?? versionMatch?.[5]
+    const build = versionMatch?.[2] ?? versionMatch?.[4] ?? versionMatch?.[6]
+    const qualifiers = {}
+    if (channel !== undefined) {
+        // Channels may be followed by a subdir, e.g. "conda-forge/linux-64".
+        const slashIndex = channel.lastIndexOf('/')
+        const subdir = channel.slice(slashIndex + 1)
+        if (slashIndex !== -1 && regexCondaSubdir.test(subdir)) {
+            Object.assign(
+                qualifiers,
+                getCondaChannelQualifiers(channel.slice(0, slashIndex))
+            )
+            qualifiers.subdir = subdir
+        } else {
+            Object.assign(qualifiers, getCondaChannelQualifiers(channel))
+        }
+    }
+    if (build !== undefined) {
+        qualifiers.build = build
+    }
+    return createLockfileEntry(createCondaPurl(name, version, qualifiers), {
+        pinned: version !== undefined,
+        pointer,
+        specifier
+    })
+}
+
+module.exports = {
+    fromCondaEnvironment,
+    fromCondaExplicit,
+    fromCondaLockfile
+}
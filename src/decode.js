@@ -8,7 +8,10 @@ function decodePurlComponent(comp, encodedURIComponent) {
     try {
         return decodeURIComponent(encodedURIComponent)
     } catch {}
-    throw new PurlError(`unable to decode "${comp}" component`)
+    throw new PurlError(`unable to decode "${comp}" component`, {
+        code: `${comp.toUpperCase()}_DECODE_FAILED`,
+        component: comp
+    })
 }
 
 module.exports = {
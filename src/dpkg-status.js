@@ -0,0 +1,139 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+
+// Sources are "<name>" or "<name> (<version>)" when the source version
+// differs from the binary version.
+const regexDpkgSource = /^(\S+)(?:\s+\((\S+)\))?$/
+
+function fromDpkgStatus(text, options) {
+    // Reads /var/lib/dpkg/status, or a file of /var/lib/dpkg/status.d, of
+    // deb822 stanzas separated by blank lines.
+    // https://man7.org/linux/man-pages/man5/deb822.5.html
+    const { osRelease } = { __proto__: null, ...options }
+    const release =
+        osRelease === undefined ? undefined : parseOsRelease(osRelease)
+    const namespace = release?.ID
+    // The distro is the id and version of the release, e.g. "debian-12",
+    // or its codename when it has no version, like Debian testing.
+    const distro =
+        namespace === undefined
+            ? undefined
+            : release.VERSION_ID
+              ? `${namespace}-${release.VERSION_ID}`
+              : release.VERSION_CODENAME
+    const entries = []
+    for (const { fields, line } of parseDpkgStanzas(
+        getLockfileText(text, 'dpkg status')
+    )) {
+        const { Architecture: arch, Package: name, Version: version } = fields
+        // Files of status.d have no status and list installed packages
+        // only, e.g. in distroless images.
+        const status = fields.Status?.split(/\s+/)
+        if (
+            name === undefined ||
+            version === undefined ||
+            (status !== undefined && status[2] !== 'installed')
+        ) {
+            continue
+        }
+        const qualifiers = {}
+        if (arch !== undefined) {
+            qualifiers.arch = arch
+        }
+        if (distro !== undefined) {
+            qualifiers.distro = distro
+        }
+        // Binary packages link their source package by its name, with its
+        // version when it differs, e.g. "glibc@2.36-9".
+        const sourceMatch =
+            fields.Source === undefined
+                ? null
+                : regexDpkgSource.exec(fields.Source)
+        if (sourceMatch !== null) {
+            const { 1: sourceName, 2: sourceVersion } = sourceMatch
+            if (sourceVersion !== undefined && sourceVersion !== version) {
+                qualifiers.upstream = `${sourceName}@${sourceVersion}`
+            } else if (sourceName !== name) {
+                qualifiers.upstream = sourceName
+            }
+        }
+        // Creating the purl applies the deb normalize rules, which lowercase
+        // the namespace and name.
+        entries.push(
+            createLockfileEntry(
+                new PackageURL('deb', namespace, name, version, qualifiers),
+                { line }
+            )
+        )
+    }
+    return entries
+}
+
+function parseDpkgStanzas(text) {
+    const lines = text.split(/\r?\n/)
+    const stanzas = []
+    let stanza
+    let fieldName
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i]
+        if (line.trim().length === 0) {
+            stanza = undefined
+            continue
+        }
+        // Lines starting with a space or tab continue the previous field,
+        // like the extended description.
+        const code = line.charCodeAt(0)
+        if (code === 32 /*' '*/ || code === 9 /*'\t'*/) {
+            if (stanza === undefined) {
+                throw new SyntaxError(
+                    `Unexpected continuation line at line ${i + 1} of dpkg status`
+                )
+            }
+            stanza.fields[fieldName] += `\n${line.trim()}`
+            continue
+        }
+        const colonIndex = line.indexOf(':')
+        if (colonIndex < 1) {
+            throw new SyntaxError(
+                `Expected "<field>: <value>" at line ${i + 1} of dpkg status`
+            )
+        }
+        if (stanza === undefined) {
+            stanza = { fields: { __proto__: null }, line: i + 1 }
+            stanzas.push(stanza)
+        }
+        fieldName = line.slice(0, colonIndex)
+        stanza.fields[fieldName] = line.slice(colonIndex + 1).trim()
+    }
+    return stanzas
+}
+
+function parseOsRelease(text) {
+    // Lines are "<KEY>=<value>" where values may be quoted like shell
+    // strings.
+    // https://www.freedesktop.org/software/systemd/man/latest/os-release.html
+    const release = { __proto__: null }
+    for (const rawLine of getLockfileText(text, 'os-release').split(/\r?\n/)) {
+        const line = rawLine.trim()
+        const equalsIndex = line.indexOf('=')
+        if (line.startsWith('#') || equalsIndex < 1) {
+            continue
+        }
+        let value = line.slice(equalsIndex + 1)
+        const quote = value[0]
+        if ((quote === '"' || quote === "'") && value.endsWith(quote)) {
+            value = value.slice(1, -1)
+            if (quote === '"') {
+                value = value.replace(/\\(.)/g, '$1')
+            }
+        }
+        release[line.slice(0, equalsIndex)] = value
+    }
+    return release
+}
+
+module.exports = {
+    fromDpkgStatus
+}
@@ -1,6 +1,6 @@
 'use strict'
 
-function formatPurlErrorMessage(message = '') {
+function formatPurlErrorMessage(message = '', prefix = 'Invalid purl') {
     const { length } = message
     let formatted = ''
     if (length) {
@@ -19,16 +19,60 @@ function formatPurlErrorMessage(message = '') {
             formatted = formatted.slice(0, -1)
         }
     }
-    return `Invalid purl: ${formatted}`
+    return `${prefix}: ${formatted}`
 }
 
+function formatPurlErrorSnippet(error) {
+    const { end, input, message, start } = error
+    if (typeof input !== 'string' || typeof start !== 'number') {
+        return message
+    }
+    // Underline at least one character, e.g. for an empty component.
+    const caretCount = Math.max(
+        1,
+        (typeof end === 'number' ? end : start + 1) - start
+    )
+    return `${message}\n  ${input}\n  ${' '.repeat(start)}${'^'.repeat(caretCount)}`
+}
+
+// The prefix of the messages of an error class, e.g. "Invalid vers" for
+// VersError.
+const kMessagePrefix = Symbol('messagePrefix')
+
 class PurlError extends Error {
-    constructor(message) {
-        super(formatPurlErrorMessage(message))
+    static [kMessagePrefix] = 'Invalid purl'
+
+    constructor(message, options) {
+        const { cause, code, component, end, input, purlType, start } = {
+            __proto__: null,
+            ...options
+        }
+        super(
+            formatPurlErrorMessage(message, new.target[kMessagePrefix]),
+            cause === undefined ? undefined : { cause }
+        )
+        // A stable machine readable code such as "NPM_NAME_UPPERCASE".
+        this.code = code
+        // The purl component, purl type, and purl string input the error
+        // relates to, if known.
+        this.component = component
+        this.purlType = purlType
+        this.input = input
+        // The [start, end) character offsets of the error into the input.
+        this.start = start
+        this.end = end
     }
 }
 
+// Errors of vers strings and constraints are purl errors with codes of
+// their own, such as "VERS_SCHEME_UNKNOWN".
+class VersError extends PurlError {
+    static [kMessagePrefix] = 'Invalid vers'
+}
+
 module.exports = {
     formatPurlErrorMessage,
-    PurlError
+    formatPurlErrorSnippet,
+    PurlError,
+    VersError
 }
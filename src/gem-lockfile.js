@@ -0,0 +1,103 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+const { convertScpLikeUrl } = require('./url-qualifiers')
+
+const RUBYGEMS_URL = 'https://rubygems.org'
+
+// Specs are "<name> (<version>[-<platform>])", as matched by Bundler.
+// https://github.com/rubygems/rubygems/blob/master/bundler/lib/bundler/lockfile_parser.rb
+const regexGemSpec = /^ {4}([^ (]+)(?: \(([^-)]*)(?:-([^)]*))?\))?$/
+const regexGemChecksum = /^ {2}([^ (]+) \(([^-)]*)(?:-([^)]*))?\)(?: (.*))?$/
+
+function fromGemfileLockfile(text) {
+    const lines = getLockfileText(text, 'Gemfile.lock').split(/\r?\n/)
+    // Bundler 2.5 lists the checksums of gems in a "CHECKSUMS" section
+    // after their specs.
+    const checksums = new Map()
+    let section
+    for (const line of lines) {
+        if (/^[A-Z]/.test(line)) {
+            section = line.trim()
+        } else if (section === 'CHECKSUMS') {
+            const match = regexGemChecksum.exec(line)
+            const sha256 = match?.[4]
+                ?.split(',')
+                .find(checksum => checksum.startsWith('sha256='))
+            if (sha256) {
+                checksums.set(
+                    getGemSpecKey(match[1], match[2], match[3]),
+                    `sha256:${sha256.slice(7)}`
+                )
+            }
+        }
+    }
+    const entries = []
+    let source
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i]
+        if (/^[A-Z]/.test(line)) {
+            // Sources are "GEM", "GIT", and "PATH" sections with "remote",
+            // "revision", and "specs" fields.
+            section = line.trim()
+            source = { __proto__: null }
+            continue
+        }
+        const fieldMatch = /^ {2}([a-z_]+): ?(.*)$/.exec(line)
+        if (fieldMatch) {
+            source[fieldMatch[1]] = fieldMatch[2]
+            continue
+        }
+        const specMatch = regexGemSpec.exec(line)
+        // Path gems are part of the project.
+        if (
+            specMatch === null ||
+            (section !== 'GEM' && section !== 'GIT') ||
+            specMatch[2] === undefined
+        ) {
+            continue
+        }
+        const { 1: name, 2: version, 3: platform } = specMatch
+        const qualifiers = {}
+        if (section === 'GIT') {
+            // Remotes may be scp-like locations, like
+            // "git@github.com:rails/rails.git", which are not URLs.
+            const remote = convertScpLikeUrl(source.remote)
+            qualifiers.vcs_url = source.revision
+                ? `git+${remote}@${source.revision}`
+                : `git+${remote}`
+        } else if (
+            typeof source.remote === 'string' &&
+            source.remote.replace(/\/+$/, '') !== RUBYGEMS_URL
+        ) {
+            qualifiers.repository_url = source.remote.replace(/\/+$/, '')
+        }
+        // Gems with native extensions are released for each platform.
+        if (platform !== undefined && platform !== 'ruby') {
+            qualifiers.platform = platform
+        }
+        const checksum = checksums.get(getGemSpecKey(name, version, platform))
+        if (checksum !== undefined) {
+            qualifiers.checksum = checksum
+        }
+        entries.push(
+            createLockfileEntry(
+                new PackageURL('gem', undefined, name, version, qualifiers),
+                {
+                    line: i + 1,
+                    source: section === 'GIT' ? 'vcs' : 'registry'
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function getGemSpecKey(name, version, platform) {
+    return `${name} ${version} ${platform ?? 'ruby'}`
+}
+
+module.exports = {
+    fromGemfileLockfile
+}
@@ -0,0 +1,146 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+
+const regexGoModToken = /"(?:[^"\\]|\\.)*"|`[^`]*`|\S+/g
+
+function createGolangPurl(modulePath, version) {
+    // The golang normalizer splits the module path into the namespace and
+    // the name of its last segment.
+    return new PackageURL('golang', undefined, modulePath, version)
+}
+
+function fromGoMod(text) {
+    const directives = parseGoModDirectives(getLockfileText(text, 'go.mod'))
+    // Replacements of a specific version take precedence over replacements
+    // of every version of a module.
+    const replacements = new Map()
+    for (const { args, verb } of directives) {
+        const arrowIndex = args.indexOf('=>')
+        if (verb === 'replace' && arrowIndex !== -1) {
+            const { 0: oldPath, 1: oldVersion } = args.slice(0, arrowIndex)
+            const { 0: newPath, 1: newVersion } = args.slice(arrowIndex + 1)
+            replacements.set(
+                oldVersion === undefined ? oldPath : `${oldPath}@${oldVersion}`,
+                { path: newPath, version: newVersion }
+            )
+        }
+    }
+    const entries = []
+    for (const { args, comment, verb } of directives) {
+        if (verb !== 'require' || args.length < 2) {
+            continue
+        }
+        const { 0: path, 1: version } = args
+        const replacement =
+            replacements.get(`${path}@${version}`) ?? replacements.get(path)
+        // Replacements without a version are local directories.
+        if (replacement && replacement.version === undefined) {
+            continue
+        }
+        entries.push(
+            createLockfileEntry(
+                createGolangPurl(
+                    replacement?.path ?? path,
+                    replacement?.version ?? version
+                ),
+                {
+                    indirect: /^indirect(?:;|$)/.test(comment),
+                    path,
+                    replaced: replacement !== undefined,
+                    version
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function fromGoSum(text) {
+    const lines = getLockfileText(text, 'go.sum').split(/\r?\n/)
+    // Each module version has a hash of its zip file and a hash of its
+    // go.mod file, which is all that is downloaded of modules that are only
+    // needed to resolve the module graph.
+    const modules = new Map()
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i].trim()
+        if (line.length === 0) {
+            continue
+        }
+        const fields = line.split(/\s+/)
+        if (fields.length !== 3) {
+            throw new SyntaxError(
+                `Expected "<module> <version> <hash>" at line ${i + 1} of go.sum`
+            )
+        }
+        const { 0: path, 2: hash } = fields
+        const isGoModHash = fields[1].endsWith('/go.mod')
+        const version = isGoModHash ? fields[1].slice(0, -7) : fields[1]
+        const key = `${path}@${version}`
+        let module = modules.get(key)
+        if (module === undefined) {
+            module = { goModHash: undefined, hash: undefined, path, version }
+            modules.set(key, module)
+        }
+        if (isGoModHash) {
+            module.goModHash = hash
+        } else {
+            module.hash = hash
+        }
+    }
+    // The "h1:" hashes are base64 SHA-256 hashes of a list of the hashes of
+    // each file rather than digests of an archive so they are metadata
+    // instead of checksum qualifiers.
+    return [...modules.values()].map(({ goModHash, hash, path, version }) =>
+        createLockfileEntry(createGolangPurl(path, version), {
+            goModHash,
+            hash
+        })
+    )
+}
+
+function parseGoModDirectives(text) {
+    // https://go.dev/ref/mod#go-mod-file-grammar
+    const directives = []
+    let blockVerb
+    const lines = text.split(/\r?\n/)
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i]
+        const commentIndex = line.indexOf('//')
+        const comment =
+            commentIndex === -1 ? '' : line.slice(commentIndex + 2).trim()
+        const tokens = (
+            commentIndex === -1 ? line : line.slice(0, commentIndex)
+        ).match(regexGoModToken)
+        if (tokens === null) {
+            continue
+        }
+        const args = tokens.map(unquoteGoModToken)
+        if (blockVerb !== undefined) {
+            if (args[0] === ')') {
+                blockVerb = undefined
+            } else {
+                directives.push({ args, comment, verb: blockVerb })
+            }
+        } else if (args.length === 2 && args[1] === '(') {
+            // A factored block, e.g. "require (".
+            blockVerb = args[0]
+        } else {
+            directives.push({ args: args.slice(1), comment, verb: args[0] })
+        }
+    }
+    return directives
+}
+
+function unquoteGoModToken(token) {
+    if (token.startsWith('"')) {
+        return JSON.parse(token)
+    }
+    return token.startsWith('`') ? token.slice(1, -1) : token
+}
+
+module.exports = {
+    fromGoMod,
+    fromGoSum
+}
@@ -0,0 +1,109 @@
+'use strict'
+
+// https://go.dev/ref/mod#pseudo-versions
+const regexPseudoVersion =
+    /^v\d+\.(?:0\.0-|\d+\.\d+-(?:[^+]*\.)?0\.)\d{14}-[A-Za-z0-9]+(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/
+const regexReleasePseudoBase = /^v\d+\.\d+\.\d+-0$/
+
+function decrementDecimalString(str) {
+    // Decrement a positive decimal string without the precision limits of
+    // Number, e.g. the "Z+1" patch of a "vX.Y.(Z+1)-0" pseudo-version.
+    const digits = str.split('')
+    let i = digits.length - 1
+    while (i >= 0 && digits[i] === '0') {
+        digits[i] = '9'
+        i -= 1
+    }
+    digits[i] = String(digits[i].charCodeAt(0) - 49 /*'1'*/)
+    return digits.join('').replace(/^0+(?=\d)/, '')
+}
+
+// https://go.dev/ref/mod#goproxy-protocol
+function escapeGolangModulePath(path) {
+    // Module proxies are served from case-insensitive file systems so each
+    // uppercase letter is escaped as a "!" followed by its lowercase letter.
+    let escaped = ''
+    for (let i = 0, { length } = path; i < length; i += 1) {
+        const code = path.charCodeAt(i)
+        escaped +=
+            code >= 65 /*'A'*/ && code <= 90 /*'Z'*/
+                ? `!${String.fromCharCode(code + 32)}`
+                : path[i]
+    }
+    return escaped
+}
+
+function parseGolangVersion(version) {
+    if (typeof version !== 'string') {
+        return undefined
+    }
+    // https://go.dev/ref/mod#incompatible-versions
+    const incompatible = version.endsWith('+incompatible')
+    let pseudo
+    if (regexPseudoVersion.test(version)) {
+        const plusIndex = version.indexOf('+')
+        let rest = plusIndex === -1 ? version : version.slice(0, plusIndex)
+        const revisionIndex = rest.lastIndexOf('-')
+        const revision = rest.slice(revisionIndex + 1)
+        rest = rest.slice(0, revisionIndex)
+        const dashIndex = rest.lastIndexOf('-')
+        const dotIndex = rest.lastIndexOf('.')
+        let base
+        let timestamp
+        if (dotIndex > dashIndex) {
+            // "vX.Y.Z-pre.0.yyyymmddhhmmss-rev" or "vX.Y.(Z+1)-0.yyyymmddhhmmss-rev"
+            timestamp = rest.slice(dotIndex + 1)
+            base = rest.slice(0, dotIndex)
+            if (regexReleasePseudoBase.test(base)) {
+                base = base.slice(0, -2)
+                const patchIndex = base.lastIndexOf('.') + 1
+                base = `${base.slice(0, patchIndex)}${decrementDecimalString(base.slice(patchIndex))}`
+            } else {
+                base = base.slice(0, -2)
+            }
+        } else {
+            // "vX.0.0-yyyymmddhhmmss-rev" has no base version.
+            timestamp = rest.slice(dashIndex + 1)
+        }
+        pseudo = Object.freeze({
+            __proto__: null,
+            base,
+            timestamp,
+            revision
+        })
+    }
+    return Object.freeze({
+        __proto__: null,
+        incompatible,
+        pseudo
+    })
+}
+
+function unescapeGolangModulePath(escaped) {
+    let path = ''
+    for (let i = 0, { length } = escaped; i < length; i += 1) {
+        const code = escaped.charCodeAt(i)
+        // An escaped path has no uppercase letters and each "!" must be
+        // followed by a lowercase letter.
+        if (code >= 65 /*'A'*/ && code <= 90 /*'Z'*/) {
+            return undefined
+        }
+        if (code === 33 /*'!'*/) {
+            const nextCode = escaped.charCodeAt(i + 1)
+            if (!((nextCode >= 97 /*'a'*/ && nextCode <= 122) /*'z'*/)) {
+                return undefined
+            }
+            path += String.fromCharCode(nextCode - 32)
+            i += 1
+        } else {
+            path += escaped[i]
+        }
+    }
+    return path
+}
+
+module.exports = {
+    escapeGolangModulePath,
+    parseGolangVersion,
+    unescapeGolangModulePath
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+const { isObject } = require('./objects')
+
+function createLockfileEntry(purl, metadata) {
+    return Object.freeze({
+        __proto__: null,
+        purl,
+        metadata: Object.freeze({ __proto__: null, ...metadata })
+    })
+}
+
+function getLockfileText(input, fileName) {
+    if (typeof input !== 'string') {
+        throw new TypeError(`A ${fileName} string argument is required.`)
+    }
+    return input
+}
+
+function parseJsonLockfile(input, fileName) {
+    if (typeof input === 'string') {
+        return JSON.parse(input)
+    }
+    if (isObject(input)) {
+        return input
+    }
+    throw new TypeError(`A ${fileName} string or object argument is required.`)
+}
+
+module.exports = {
+    createLockfileEntry,
+    getLockfileText,
+    parseJsonLockfile
+}
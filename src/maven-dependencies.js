@@ -0,0 +1,191 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { parseMavenCoordinates } = require('./maven')
+const { PackageURL } = require('./package-url')
+const { getXmlChild, getXmlChildText, parseXml } = require('./xml')
+
+const MAX_INTERPOLATION_DEPTH = 10
+
+const regexMavenProperty = /\$\{([^}]+)\}/g
+
+function createMavenPurl(groupId, artifactId, version, qualifiers) {
+    // Creating the purl applies the maven validate rules, which require the
+    // groupId namespace.
+    return new PackageURL('maven', groupId, artifactId, version, qualifiers)
+}
+
+function fromGradleLockfile(text) {
+    const lines = getLockfileText(text, 'gradle.lockfile').split(/\r?\n/)
+    const entries = []
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i].trim()
+        if (line.length === 0 || line.startsWith('#')) {
+            continue
+        }
+        // Lines are "<group>:<name>:<version>=<configurations>" and an
+        // "empty=<configurations>" line lists configurations without
+        // dependencies.
+        const equalsIndex = line.indexOf('=')
+        const coordinates =
+            equalsIndex === -1 ? line : line.slice(0, equalsIndex)
+        const components = parseMavenCoordinates(coordinates)
+        if (components === undefined) {
+            if (coordinates === 'empty') {
+                continue
+            }
+            throw new SyntaxError(
+                `Expected "<group>:<name>:<version>=<configurations>" at line ${i + 1} of gradle.lockfile`
+            )
+        }
+        const { namespace, name, version, qualifiers } = components
+        entries.push(
+            createLockfileEntry(
+                createMavenPurl(namespace, name, version, qualifiers),
+                {
+                    configurations: Object.freeze(
+                        equalsIndex === -1
+                            ? []
+                            : line
+                                  .slice(equalsIndex + 1)
+                                  .split(',')
+                                  .filter(config => config.length !== 0)
+                    ),
+                    line: i + 1
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function fromMavenPom(text) {
+    const project = parseXml(getLockfileText(text, 'pom.xml'))
+    if (project.name !== 'project') {
+        throw new SyntaxError('Expected a <project> root element in pom.xml')
+    }
+    const properties = getMavenPomProperties(project)
+    const interpolate = value => interpolateMavenProperties(value, properties)
+    // Dependencies without a version get it from the dependency management
+    // of the POM.
+    const managedVersions = new Map()
+    const managedDependencies = getXmlChild(
+        getXmlChild(project, 'dependencyManagement'),
+        'dependencies'
+    )
+    for (const dependency of managedDependencies?.children ?? []) {
+        const key = getMavenDependencyKey(dependency, interpolate)
+        const version = interpolate(getXmlChildText(dependency, 'version'))
+        if (version !== undefined) {
+            managedVersions.set(key, version)
+        }
+    }
+    const entries = []
+    const dependencies = getXmlChild(project, 'dependencies')
+    for (const dependency of dependencies?.children ?? []) {
+        if (dependency.name !== 'dependency') {
+            continue
+        }
+        const groupId = interpolate(getXmlChildText(dependency, 'groupId'))
+        const artifactId = interpolate(
+            getXmlChildText(dependency, 'artifactId')
+        )
+        const version =
+            interpolate(getXmlChildText(dependency, 'version')) ??
+            managedVersions.get(getMavenDependencyKey(dependency, interpolate))
+        // Only dependencies resolved to a groupId, artifactId, and version,
+        // rather than a version range or an undefined property, are
+        // extracted.
+        if (
+            [groupId, artifactId, version].some(
+                value => value === undefined || value.includes('${')
+            ) ||
+            /^[[(]/.test(version)
+        ) {
+            continue
+        }
+        const classifier = interpolate(
+            getXmlChildText(dependency, 'classifier')
+        )
+        const type = interpolate(getXmlChildText(dependency, 'type'))
+        const qualifiers = {}
+        if (classifier !== undefined) {
+            qualifiers.classifier = classifier
+        }
+        // The "jar" type is the default.
+        if (type !== undefined && type !== 'jar') {
+            qualifiers.type = type
+        }
+        entries.push(
+            createLockfileEntry(
+                createMavenPurl(groupId, artifactId, version, qualifiers),
+                {
+                    optional:
+                        interpolate(getXmlChildText(dependency, 'optional')) ===
+                        'true',
+                    scope:
+                        interpolate(getXmlChildText(dependency, 'scope')) ??
+                        'compile'
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function getMavenDependencyKey(dependency, interpolate) {
+    // Dependencies are managed by "<groupId>:<artifactId>:<type>:<classifier>".
+    return [
+        interpolate(getXmlChildText(dependency, 'groupId')),
+        interpolate(getXmlChildText(dependency, 'artifactId')),
+        interpolate(getXmlChildText(dependency, 'type')) ?? 'jar',
+        interpolate(getXmlChildText(dependency, 'classifier')) ?? ''
+    ].join(':')
+}
+
+function getMavenPomProperties(project) {
+    const properties = new Map()
+    const parent = getXmlChild(project, 'parent')
+    for (const key of ['groupId', 'artifactId', 'version']) {
+        const parentValue = getXmlChildText(parent, key)
+        if (parentValue !== undefined) {
+            properties.set(`project.parent.${key}`, parentValue)
+            properties.set(`parent.${key}`, parentValue)
+        }
+        // The groupId and version are inherited from the parent.
+        const value =
+            getXmlChildText(project, key) ??
+            (key === 'artifactId' ? undefined : parentValue)
+        if (value !== undefined) {
+            properties.set(`project.${key}`, value)
+            properties.set(`pom.${key}`, value)
+        }
+    }
+    for (const property of getXmlChild(project, 'properties')?.children ?? []) {
+        properties.set(property.name, property.text.trim())
+    }
+    return properties
+}
+
+function interpolateMavenProperties(value, properties) {
+    if (value === undefined) {
+        return undefined
+    }
+    // Properties may refer to other properties.
+    let interpolated = value
+    for (let depth = 0; depth < MAX_INTERPOLATION_DEPTH; depth += 1) {
+        const next = interpolated.replace(regexMavenProperty, (match, key) =>
+            properties.has(key) ? properties.get(key) : match
+        )
+        if (next === interpolated) {
+            break
+        }
+        interpolated = next
+    }
+    return interpolated
+}
+
+module.exports = {
+    fromGradleLockfile,
+    fromMavenPom
+}
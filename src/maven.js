@@ -0,0 +1,55 @@
+'use strict'
+
+function formatMavenCoordinates(purl) {
+    const { name, namespace, qualifiers, version } = purl
+    if (
+        typeof namespace !== 'string' ||
+        typeof name !== 'string' ||
+        typeof version !== 'string'
+    ) {
+        return undefined
+    }
+    const classifier = qualifiers?.classifier ?? ''
+    const type = qualifiers?.type ?? ''
+    // An empty classifier keeps the position of a packaging type, e.g.
+    // "org.example:app:1.0::war".
+    return `${namespace}:${name}:${version}${
+        type ? `:${classifier}:${type}` : classifier ? `:${classifier}` : ''
+    }`
+}
+
+function parseMavenCoordinates(coordinates) {
+    // "<groupId>:<artifactId>:<version>[:<classifier>][:<packaging>]"
+    const parts = coordinates.trim().split(':')
+    if (parts.length < 3 || parts.length > 5) {
+        return undefined
+    }
+    const {
+        0: groupId,
+        1: artifactId,
+        2: version,
+        3: classifier,
+        4: type
+    } = parts
+    if (!groupId || !artifactId || !version) {
+        return undefined
+    }
+    const qualifiers = {}
+    if (classifier) {
+        qualifiers.classifier = classifier
+    }
+    if (type) {
+        qualifiers.type = type
+    }
+    return {
+        namespace: groupId,
+        name: artifactId,
+        version,
+        qualifiers: classifier || type ? qualifiers : undefined
+    }
+}
+
+module.exports = {
+    formatMavenCoordinates,
+    parseMavenCoordinates
+}
@@ -1,5 +1,6 @@
 'use strict'
 
+const { normalizeChecksumQualifier } = require('./checksum')
 const { isObject } = require('./objects')
 const { isBlank } = require('./strings')
 
@@ -63,7 +64,11 @@ function normalizeQualifiers(rawQualifiers) {
             qualifiers = { __proto__: null }
         }
         // A key is case insensitive. The canonical form is lowercase.
-        qualifiers[key.toLowerCase()] = trimmed
+        const loweredKey = key.toLowerCase()
+        qualifiers[loweredKey] =
+            loweredKey === 'checksum'
+                ? normalizeChecksumQualifier(trimmed)
+                : trimmed
     }
     return qualifiers
 }
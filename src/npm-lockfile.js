@@ -0,0 +1,208 @@
+'use strict'
+
+const { createLockfileEntry, parseJsonLockfile } = require('./lockfile')
+const { isObject } = require('./objects')
+const { PackageURL } = require('./package-url')
+
+const NPM_REGISTRY_HOSTNAME = 'registry.npmjs.org'
+
+const regexGitHostShorthand = /^(github|gitlab|bitbucket):([^#]+)(?:#(.*))?$/
+
+const gitHostOrigins = {
+    __proto__: null,
+    bitbucket: 'https://bitbucket.org',
+    github: 'https://github.com',
+    gitlab: 'https://gitlab.com'
+}
+
+function createNpmLockfileEntry(rawName, version, resolved, metadata) {
+    const { qualifiers, source } = resolveNpmSource(resolved)
+    return createLockfileEntry(createNpmPurl(rawName, version, qualifiers), {
+        ...metadata,
+        resolved,
+        source
+    })
+}
+
+function createNpmPurl(rawName, version, qualifiers) {
+    const slashIndex = rawName.startsWith('@') ? rawName.indexOf('/') : -1
+    // Creating the purl applies the npm normalize and validate rules,
+    // including the allowances for legacy names.
+    return new PackageURL(
+        'npm',
+        slashIndex === -1 ? undefined : rawName.slice(0, slashIndex),
+        slashIndex === -1 ? rawName : rawName.slice(slashIndex + 1),
+        version,
+        qualifiers
+    )
+}
+
+function createNpmTarballPurl(rawName, version, qualifiers) {
+    const purl = createNpmPurl(rawName, version, qualifiers)
+    // Registry packages resolved without a tarball URL are downloaded from
+    // the npm registry.
+    if (
+        purl.qualifiers?.download_url !== undefined ||
+        purl.qualifiers?.vcs_url !== undefined
+    ) {
+        return purl
+    }
+    const downloadUrl = purl.toDownloadUrl()
+    return downloadUrl === undefined
+        ? purl
+        : createNpmPurl(rawName, version, {
+              ...purl.qualifiers,
+              download_url: downloadUrl
+          })
+}
+
+function fromNpmLockfile(json) {
+    const lockfile = parseJsonLockfile(json, 'package-lock.json')
+    // Lockfile versions 2 and 3 list every package by its install path in
+    // "packages" while version 1, which version 2 also includes for older
+    // npm clients, nests them in "dependencies".
+    return isObject(lockfile.packages)
+        ? fromNpmLockfilePackages(lockfile.packages)
+        : fromNpmLockfileDependencies(lockfile.dependencies, '')
+}
+
+function fromNpmLockfileDependencies(dependencies, parentPath) {
+    const entries = []
+    if (!isObject(dependencies)) {
+        return entries
+    }
+    for (const key of Object.keys(dependencies)) {
+        const dep = dependencies[key]
+        if (!isObject(dep)) {
+            continue
+        }
+        const path = `${parentPath}node_modules/${key}`
+        let name = key
+        let alias
+        let version = dep.version
+        let resolved = dep.resolved
+        if (typeof version === 'string') {
+            if (version.startsWith('npm:')) {
+                // An alias, e.g. "npm:string-width@4.2.3".
+                const atIndex = version.lastIndexOf('@')
+                alias = key
+                name = version.slice(4, atIndex)
+                version = version.slice(atIndex + 1)
+            } else if (isNpmSpecifierUrl(version)) {
+                // Git, tarball, and file dependencies record where they
+                // were resolved from as their version.
+                resolved ??= version
+                version = getNpmGitRevision(version)
+            }
+        }
+        entries.push(
+            createNpmLockfileEntry(name, version, resolved, {
+                alias,
+                dev: dep.dev === true,
+                integrity: dep.integrity,
+                optional: dep.optional === true,
+                path,
+                peer: false
+            }),
+            ...fromNpmLockfileDependencies(dep.dependencies, `${path}/`)
+        )
+    }
+    return entries
+}
+
+function fromNpmLockfilePackages(packages) {
+    const entries = []
+    for (const key of Object.keys(packages)) {
+        const pkg = packages[key]
+        const nodeModulesIndex = key.lastIndexOf('node_modules/')
+        // The root package, workspace packages, and the links to them are
+        // the project itself rather than its dependencies.
+        if (!isObject(pkg) || nodeModulesIndex === -1 || pkg.link === true) {
+            continue
+        }
+        const installName = key.slice(nodeModulesIndex + 13)
+        // Aliased packages record their real name.
+        const name = typeof pkg.name === 'string' ? pkg.name : installName
+        entries.push(
+            createNpmLockfileEntry(name, pkg.version, pkg.resolved, {
+                alias: name === installName ? undefined : installName,
+                // A "devOptional" package is both a dev and an optional
+                // dependency.
+                dev: pkg.dev === true || pkg.devOptional === true,
+                integrity: pkg.integrity,
+                optional: pkg.optional === true || pkg.devOptional === true,
+                path: key,
+                peer: pkg.peer === true
+            })
+        )
+    }
+    return entries
+}
+
+function getNpmGitRevision(specifier) {
+    if (!isNpmGitSpecifier(specifier)) {
+        return undefined
+    }
+    const hashIndex = specifier.lastIndexOf('#')
+    return hashIndex === -1 ? undefined : specifier.slice(hashIndex + 1)
+}
+
+function isNpmGitSpecifier(specifier) {
+    return (
+        specifier.startsWith('git+') ||
+        specifier.startsWith('git://') ||
+        regexGitHostShorthand.test(specifier)
+    )
+}
+
+function isNpmSpecifierUrl(specifier) {
+    return (
+        isNpmGitSpecifier(specifier) ||
+        specifier.startsWith('file:') ||
+        specifier.startsWith('http:') ||
+        specifier.startsWith('https:')
+    )
+}
+
+function resolveNpmSource(resolved) {
+    if (typeof resolved !== 'string') {
+        return { qualifiers: undefined, source: undefined }
+    }
+    if (isNpmGitSpecifier(resolved)) {
+        return {
+            qualifiers: { vcs_url: toNpmVcsUrl(resolved) },
+            source: 'git'
+        }
+    }
+    if (resolved.startsWith('http:') || resolved.startsWith('https:')) {
+        let hostname
+        try {
+            hostname = new URL(resolved).hostname
+        } catch {}
+        return hostname === NPM_REGISTRY_HOSTNAME
+            ? { qualifiers: undefined, source: 'registry' }
+            : { qualifiers: { download_url: resolved }, source: 'tarball' }
+    }
+    // Everything else is a local directory or tarball, e.g. "file:../foo"
+    // or "../foo".
+    return { qualifiers: undefined, source: 'file' }
+}
+
+function toNpmVcsUrl(specifier) {
+    // npm records the commit as a "#<revision>" fragment while vcs_url
+    // records it as an "@<revision>" suffix.
+    const shorthand = regexGitHostShorthand.exec(specifier)
+    const url = shorthand
+        ? `git+${gitHostOrigins[shorthand[1]]}/${shorthand[2]}.git`
+        : specifier.replace(/#.*$/, '')
+    const revision = shorthand ? shorthand[3] : getNpmGitRevision(specifier)
+    return revision ? `${url}@${revision}` : url
+}
+
+module.exports = {
+    createNpmPurl,
+    createNpmTarballPurl,
+    fromNpmLockfile,
+    isNpmGitSpecifier,
+    toNpmVcsUrl
+}
@@ -0,0 +1,225 @@
+'use strict'
+
+const { convertIntegrityToChecksum } = require('./checksum')
+const {
+    createLockfileEntry,
+    getLockfileText,
+    parseJsonLockfile
+} = require('./lockfile')
+const { isObject } = require('./objects')
+const { PackageURL } = require('./package-url')
+const { getXmlChild, parseXml } = require('./xml')
+
+const regexMsbuildProperty = /\$\(([\w.-]+)\)/g
+
+function createNugetPurl(id, version, qualifiers) {
+    // Creating the purl applies the nuget validate rules. Ids keep their
+    // casing and compare case-insensitively.
+    return new PackageURL('nuget', undefined, id, version, qualifiers)
+}
+
+function escapeJsonPointerToken(token) {
+    // https://www.rfc-editor.org/rfc/rfc6901#section-3
+    return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function fromCsproj(text, options) {
+    const { directoryPackagesProps } = { __proto__: null, ...options }
+    const project = parseMsbuildProject(text, '.csproj')
+    const props =
+        directoryPackagesProps === undefined
+            ? undefined
+            : parseMsbuildProject(
+                  directoryPackagesProps,
+                  'Directory.Packages.props'
+              )
+    // Properties of the project override those of Directory.Packages.props.
+    const properties = new Map()
+    for (const element of [props, project]) {
+        for (const group of getMsbuildElements(element, 'PropertyGroup')) {
+            for (const property of group.children) {
+                properties.set(property.name, property.text.trim())
+            }
+        }
+    }
+    const interpolate = value =>
+        value?.replace(regexMsbuildProperty, (match, key) =>
+            properties.has(key) ? properties.get(key) : match
+        )
+    // Central package management versions keyed by their lowercase id.
+    // https://learn.microsoft.com/en-us/nuget/consume-packages/central-package-management
+    const centralVersions = new Map()
+    for (const element of [props, project]) {
+        for (const group of getMsbuildElements(element, 'ItemGroup')) {
+            for (const item of group.children) {
+                const id = interpolate(item.attributes.Include)
+                const version = interpolate(getMsbuildMetadata(item, 'Version'))
+                if (
+                    item.name === 'PackageVersion' &&
+                    id !== undefined &&
+                    version !== undefined
+                ) {
+                    centralVersions.set(id.toLowerCase(), version)
+                }
+            }
+        }
+    }
+    const entries = []
+    for (const group of getMsbuildElements(project, 'ItemGroup')) {
+        for (const item of group.children) {
+            const id = interpolate(item.attributes.Include)
+            if (item.name !== 'PackageReference' || id === undefined) {
+                continue
+            }
+            const ownVersion = interpolate(
+                getMsbuildMetadata(item, 'VersionOverride') ??
+                    getMsbuildMetadata(item, 'Version')
+            )
+            const version = resolveNugetVersion(
+                ownVersion ?? centralVersions.get(id.toLowerCase())
+            )
+            // Only references resolved to a single version, rather than a
+            // floating version, a range, or an undefined property, are
+            // extracted.
+            if (version === undefined || id.includes('$(')) {
+                continue
+            }
+            entries.push(
+                createLockfileEntry(createNugetPurl(id, version), {
+                    central: ownVersion === undefined,
+                    privateAssets: interpolate(
+                        getMsbuildMetadata(item, 'PrivateAssets')
+                    )
+                })
+            )
+        }
+    }
+    return entries
+}
+
+function fromNugetLockfile(json) {
+    const lockfile = parseJsonLockfile(json, 'packages.lock.json')
+    const frameworks = isObject(lockfile.dependencies)
+        ? lockfile.dependencies
+        : {}
+    // Packages are listed for each target framework, and runtime identifier
+    // like "net8.0/win-x64", of the project.
+    const entries = new Map()
+    for (const framework of Object.keys(frameworks)) {
+        const packages = frameworks[framework]
+        if (!isObject(packages)) {
+            continue
+        }
+        for (const id of Object.keys(packages)) {
+            const pkg = packages[id]
+            // Project references are part of the solution.
+            if (
+                !isObject(pkg) ||
+                pkg.type === 'Project' ||
+                typeof pkg.resolved !== 'string'
+            ) {
+                continue
+            }
+            const qualifiers = {}
+            // The contentHash is the base64 SHA-512 hash of the .nupkg file.
+            const checksum =
+                typeof pkg.contentHash === 'string'
+                    ? convertIntegrityToChecksum(`sha512-${pkg.contentHash}`)
+                    : undefined
+            if (checksum !== undefined) {
+                qualifiers.checksum = checksum
+            }
+            const purl = createNugetPurl(id, pkg.resolved, qualifiers)
+            // Ids differ in casing between frameworks when they are
+            // referenced differently so entries are keyed by lowercase purl.
+            const key = purl.toString().toLowerCase()
+            const existing = entries.get(key)
+            const direct = pkg.type === 'Direct'
+            if (existing) {
+                existing.metadata.direct ||= direct
+                existing.metadata.targetFrameworks.push(framework)
+            } else {
+                entries.set(key, {
+                    purl,
+                    metadata: {
+                        direct,
+                        // A JSON pointer to the first listing of the package,
+                        // e.g. "/dependencies/net8.0/Newtonsoft.Json".
+                        pointer: `/dependencies/${escapeJsonPointerToken(framework)}/${escapeJsonPointerToken(id)}`,
+                        targetFrameworks: [framework]
+                    }
+                })
+            }
+        }
+    }
+    return [...entries.values()].map(({ purl, metadata }) =>
+        createLockfileEntry(purl, {
+            ...metadata,
+            targetFrameworks: Object.freeze(metadata.targetFrameworks)
+        })
+    )
+}
+
+function fromPackagesConfig(text) {
+    const root = parseXml(getLockfileText(text, 'packages.config'))
+    if (root.name !== 'packages') {
+        throw new SyntaxError(
+            'Expected a <packages> root element in packages.config'
+        )
+    }
+    const entries = []
+    for (const pkg of root.children) {
+        const { developmentDependency, id, targetFramework, version } =
+            pkg.attributes
+        if (pkg.name !== 'package' || id === undefined) {
+            continue
+        }
+        entries.push(
+            createLockfileEntry(createNugetPurl(id, version), {
+                developmentDependency: developmentDependency === 'true',
+                targetFramework
+            })
+        )
+    }
+    return entries
+}
+
+function getMsbuildElements(project, name) {
+    return project?.children.filter(child => child.name === name) ?? []
+}
+
+function getMsbuildMetadata(item, name) {
+    // Item metadata are attributes or child elements of the item.
+    const value = item.attributes[name] ?? getXmlChild(item, name)?.text.trim()
+    return value ? value : undefined
+}
+
+function parseMsbuildProject(text, fileName) {
+    const project = parseXml(getLockfileText(text, fileName))
+    if (project.name !== 'Project') {
+        throw new SyntaxError(
+            `Expected a <Project> root element in ${fileName}`
+        )
+    }
+    return project
+}
+
+function resolveNugetVersion(version) {
+    // A version is the minimum version of a range and "[<version>]" is an
+    // exact version. Floating versions and other ranges are unresolved.
+    // https://learn.microsoft.com/en-us/nuget/concepts/package-versioning#version-ranges
+    if (version === undefined || /[*$]/.test(version)) {
+        return undefined
+    }
+    const exactMatch = /^\[\s*([^,\s]+)\s*\]$/.exec(version)
+    if (exactMatch) {
+        return exactMatch[1]
+    }
+    return /[[\](),]/.test(version) ? undefined : version
+}
+
+module.exports = {
+    fromCsproj,
+    fromNugetLockfile,
+    fromPackagesConfig
+}
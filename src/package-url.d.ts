@@ -30,11 +30,65 @@ declare module "packageurl-js" {
 
   export type PurlComponentStringNormalizer = (comp: any) => string | undefined
 
-  export type PurlComponentValidator = (comp: any, throws: boolean) => boolean
+  export type PurlComponentName = 'type' | 'namespace' | 'name' | 'version' | 'qualifiers' | 'subpath'
 
-  export type PurlTypNormalizer = <T extends PackageURL>(purl: T) => T
+  export type PurlValidationIssue = {
+    /**
+     * A stable machine readable code such as "NPM_NAME_UPPERCASE".
+     */
+    code: string
+    /**
+     * The purl component the issue relates to, if any.
+     */
+    component: PurlComponentName | undefined
+    severity: 'error' | 'warning'
+    message: string
+  }
+
+  export type PurlValidationReport = {
+    valid: boolean
+    issues: PurlValidationIssue[]
+  }
+
+  /**
+   * Validates a purl component. When an issues array is provided, issues are
+   * collected into it instead of being thrown and validation continues past
+   * errors where possible.
+   */
+  export type PurlComponentValidator = (comp: any, throws: boolean, issues?: PurlValidationIssue[]) => boolean
+
+  export type PurlTypeNormalizer = <T extends PackageURL>(purl: T) => T
+
+  /**
+   * @deprecated Use {@link PurlTypeNormalizer}.
+   */
+  export type PurlTypNormalizer = PurlTypeNormalizer
+
+  /**
+   * Validates a purl of a type. When an issues array is provided, issues are
+   * collected into it instead of being thrown and validation continues past
+   * errors where possible.
+   */
+  export type PurlTypeValidator = (purl: PackageURL, throws: boolean, issues?: PurlValidationIssue[]) => boolean
+
+  export type PurlTypeVersionComparator = (a: string, b: string) => number
+
+  /**
+   * Compares two names of a type, e.g. case-insensitively for nuget.
+   */
+  export type PurlTypeNameComparator = (a: string, b: string) => number
 
-  export type PurlTypeValidator = (purl: PackageURL, throws: boolean) => boolean
+  /**
+   * Resolves a URL of a purl of a type, or undefined when the purl lacks the
+   * components it needs.
+   */
+  export type PurlTypeUrlTemplate = (purl: PackageURL) => string | undefined
+
+  /**
+   * Recognizes a URL of a type and returns its purl components, without the
+   * type, or undefined for URLs it does not recognize.
+   */
+  export type PurlTypeUrlParser = (url: URL) => Omit<PurlComponentsJSON, 'type'> | undefined
 
   export type PurlComponentEntry = Readonly<{
     encode: PurlComponentEncoder
@@ -42,11 +96,133 @@ declare module "packageurl-js" {
     validate: PurlComponentValidator
   }>
 
+  export type PurlTypeComponentRules = Readonly<{
+    /**
+     * Components that must be nullish or empty strings.
+     */
+    empty: readonly PurlComponentName[]
+    /**
+     * Components that must be non-empty strings.
+     */
+    required: readonly PurlComponentName[]
+  }>
+
+  export type PurlTypeQualifierDefinition = Readonly<{
+    description: string
+    /**
+     * The value used when the qualifier is absent, if any.
+     */
+    default?: string
+    /**
+     * A pattern the value must match.
+     */
+    pattern?: RegExp
+    /**
+     * The values the qualifier may have.
+     */
+    values?: readonly string[]
+  }>
+
+  export type PurlTypeQualifierCatalog = Readonly<{
+    [key: string]: PurlTypeQualifierDefinition
+  }>
+
   export type PurlTypeEntry = Readonly<{
-    normalize: PurlTypNormalizer
+    /**
+     * Compares names for {@link PackageURL.equals} and
+     * {@link PackageURL.compare}.
+     */
+    compareName: PurlTypeNameComparator
+    components: PurlTypeComponentRules
+    /**
+     * Resolves the download URL used by {@link PackageURL.toDownloadUrl}.
+     */
+    downloadUrl: PurlTypeUrlTemplate
+    /**
+     * Recognizes URLs for {@link PackageURL.fromUrl}.
+     */
+    fromUrl: PurlTypeUrlParser
+    normalize: PurlTypeNormalizer
+    /**
+     * Qualifiers defined by the type. Others, except the known qualifier
+     * names, are reported as warnings by {@link PackageURL.validate}.
+     */
+    qualifiers: PurlTypeQualifierCatalog
+    /**
+     * Resolves the page URL used by {@link PackageURL.toRepositoryUrl}.
+     */
+    repositoryUrl: PurlTypeUrlTemplate
     validate: PurlTypeValidator
+    version: PurlTypeVersionComparator
   }>
 
+  export type PurlTypeRegistryEntry = {
+    compareName?: PurlTypeNameComparator
+    downloadUrl?: PurlTypeUrlTemplate
+    fromUrl?: PurlTypeUrlParser
+    /**
+     * Qualifier keys the type supports in addition to the known qualifier
+     * names. When provided, any other qualifier key is rejected.
+     */
+    knownQualifiers?: string[]
+    normalize?: PurlTypeNormalizer
+    /**
+     * Qualifiers defined by the type. When provided, other qualifiers and
+     * values that do not fit their definition are reported as warnings by
+     * {@link PackageURL.validate}.
+     */
+    qualifiers?: { [key: string]: PurlTypeQualifierDefinition }
+    repositoryUrl?: PurlTypeUrlTemplate
+    validate?: PurlTypeValidator
+    version?: PurlTypeVersionComparator
+  }
+
+  /**
+   * Registry of purl type normalize and validate methods. Lookups fall back
+   * to the built-in {@link PurlType} entries.
+   */
+  export class PurlTypeRegistry {
+    /**
+     * Compares two versions using the version comparator of a registered or
+     * built-in purl type. Returns -1, 0, or 1.
+     */
+    compareVersions(type: string, a: string, b: string): -1 | 0 | 1
+
+    /**
+     * Gets the entry of a registered or built-in purl type.
+     */
+    get(type: string): (PurlTypeEntry & { knownQualifiers?: readonly string[] }) | undefined
+
+    /**
+     * Checks if a purl type is registered or built-in.
+     */
+    has(type: string): boolean
+
+    /**
+     * Checks if a purl type is built-in.
+     */
+    isBuiltin(type: string): boolean
+
+    /**
+     * Registers a custom purl type. Throws if the type is already registered
+     * or built-in, unless the entry of a built-in type only has
+     * `downloadUrl` and `repositoryUrl` templates, which override those of
+     * the type until it is unregistered.
+     */
+    register(type: string, entry: PurlTypeRegistryEntry): this
+
+    /**
+     * Gets the sorted names of all registered and built-in purl types.
+     */
+    types(): string[]
+
+    /**
+     * Unregisters a custom purl type or the URL template overrides of a
+     * built-in type. Built-in types cannot be unregistered.
+     */
+    unregister(type: string): boolean
+  }
+
   /**
    * Collection of PURL component encode, normalize, and validate methods.
    * @see {@link https://github.com/package-url/purl-spec/blob/master/PURL-SPECIFICATION.rst#rules-for-each-purl-component specification}
@@ -83,27 +259,91 @@ declare module "packageurl-js" {
     apk: PurlTypeEntry
     bitbucket: PurlTypeEntry
     bitnami: PurlTypeEntry
+    cargo: PurlTypeEntry
+    cocoapods: PurlTypeEntry
     composer: PurlTypeEntry
     conan: PurlTypeEntry
+    conda: PurlTypeEntry
+    cpan: PurlTypeEntry
     cran: PurlTypeEntry
     deb: PurlTypeEntry
+    docker: PurlTypeEntry
+    gem: PurlTypeEntry
+    generic: PurlTypeEntry
     github: PurlTypeEntry
     gitlab: PurlTypeEntry
     golang: PurlTypeEntry
+    hackage: PurlTypeEntry
     hex: PurlTypeEntry
     huggingface: PurlTypeEntry
     luarocks: PurlTypeEntry
     maven: PurlTypeEntry
     mlflow: PurlTypeEntry
     npm: PurlTypeEntry
+    nuget: PurlTypeEntry
     oci: PurlTypeEntry
     pub: PurlTypeEntry
     pypi: PurlTypeEntry
     qpkg: PurlTypeEntry
     rpm: PurlTypeEntry
+    swid: PurlTypeEntry
     swift: PurlTypeEntry
   }>
 
+  export type PurlComponents = {
+    type: string
+    namespace?: string | undefined | null
+    name: string
+    version?: string | undefined | null
+    qualifiers?: PurlQualifiers | string | undefined | null
+    subpath?: string | undefined | null
+  }
+
+  export type PurlChecksum = Readonly<{
+    /**
+     * The normalized algorithm name such as "sha256" or "sha3-512".
+     */
+    algorithm: string
+    /**
+     * The lowercase hex digest.
+     */
+    digest: string
+  }>
+
+  export type PurlComponentsJSON = {
+    type: string
+    namespace?: string
+    name: string
+    version?: string
+    qualifiers?: PurlQualifiers
+    subpath?: string
+  }
+
+  /**
+   * A JSON Schema (draft 2020-12) of {@link PurlComponentsJSON} including
+   * the required and empty component rules of each built-in type.
+   */
+  export const PurlJsonSchema: Readonly<Record<string, unknown>>
+
+  export type PurlEqualsOptions = {
+    /**
+     * Ignore the "qualifiers" component.
+     */
+    ignoreQualifiers?: boolean
+    /**
+     * Ignore the "subpath" component.
+     */
+    ignoreSubpath?: boolean
+    /**
+     * Ignore the "version" component.
+     */
+    ignoreVersion?: boolean
+    /**
+     * Only compare the qualifiers with these keys.
+     */
+    qualifierKeys?: string[]
+  }
+
   /**
    * A purl or package URL is an attempt to standardize existing approaches to reliably identify and locate software packages.
    * A purl is a URL string used to identify and locate a software package in a mostly universal and uniform way across
@@ -115,10 +355,17 @@ declare module "packageurl-js" {
 
     static Component: PurlComponent
 
+    static JsonSchema: typeof PurlJsonSchema
+
     static KnownQualifierNames: PurlQualifierNames
 
     static Type: PurlType
 
+    /**
+     * The registry used to look up purl type normalize and validate methods.
+     */
+    static readonly registry: PurlTypeRegistry
+
     /**
      * The package "type" or package "protocol" such as maven, npm, nuget, gem,
      * pypi, etc. Required.
@@ -158,18 +405,138 @@ declare module "packageurl-js" {
       name: string,
       version?: string | undefined | null,
       qualifiers?: PurlQualifiers | string | undefined | null,
-      subpath?: string | undefined | null
+      subpath?: string | undefined | null,
+      options?: PurlOptions
     )
 
+    /**
+     * Checks if the normalized components of the PackageURL are equal to those
+     * of another PackageURL, purl string, or components object.
+     */
+    equals(other: PackageURL | PurlComponents | string, options?: PurlEqualsOptions): boolean
+
+    /**
+     * The parsed entries of the "checksum" qualifier, or an empty array.
+     */
+    readonly checksums: readonly PurlChecksum[]
+
+    /**
+     * The parsed "vcs_url" qualifier, or undefined.
+     */
+    readonly vcs: PurlVcs | undefined
+
+    /**
+     * Hashes a file, by path or URL, or a Buffer and resolves to true if it
+     * matches every entry of the "checksum" qualifier.
+     */
+    verifyChecksums(input: string | URL | ArrayBufferView): Promise<boolean>
+
+    /**
+     * Resolves the URL to download the package from, which is the
+     * "download_url" qualifier when present. Types resolve it from the
+     * "repository_url" qualifier or their public registry. Returns undefined
+     * when the type or purl has no download URL.
+     */
+    toDownloadUrl(): string | undefined
+
+    /**
+     * Converts the PackageURL to a components object, omitting missing
+     * components, or to a purl string with `{ format: 'string' }`.
+     */
+    toJSON(options?: { format?: 'components' }): PurlComponentsJSON
+    toJSON(options: { format: 'string' }): string
+
+    /**
+     * Converts a maven PackageURL to
+     * "groupId:artifactId:version[:classifier][:packaging]" coordinates from
+     * its "classifier" and "type" qualifiers. Returns undefined for other
+     * types and for purls without a version.
+     */
+    toMavenCoordinates(): string | undefined
+
+    /**
+     * Resolves the URL of the human-facing page of the package, or of its
+     * version when present. Returns undefined when the type has no pages.
+     */
+    toRepositoryUrl(): string | undefined
+
     /**
      * Converts the PackageURL to a string.
      */
     toString(): string
 
     /**
-     * Parses a purl string into a PackageURL instance.
+     * Returns a new frozen PackageURL with the given namespace. Like all
+     * `with*` methods the new instance is normalized and validated.
+     */
+    withNamespace(namespace: string | undefined): PackageURL
+
+    /**
+     * Returns a new frozen PackageURL with the qualifier set to `value`, or
+     * removed if `value` is undefined.
+     */
+    withQualifier(key: string, value: string | undefined): PackageURL
+
+    /**
+     * Returns a new frozen PackageURL with the given subpath.
+     */
+    withSubpath(subpath: string | undefined): PackageURL
+
+    /**
+     * Returns a new frozen PackageURL with the given version.
+     */
+    withVersion(version: string | undefined): PackageURL
+
+    /**
+     * Returns a new frozen PackageURL without qualifiers.
      */
-    static fromString(purlStr: string): PackageURL
+    withoutQualifiers(): PackageURL
+
+    /**
+     * Compares two purls by their normalized components, ordering versions by
+     * the rules of their type. Returns -1, 0, or 1.
+     */
+    static compare(
+      a: PackageURL | PurlComponents | string,
+      b: PackageURL | PurlComponents | string
+    ): -1 | 0 | 1
+
+    /**
+     * Creates a PackageURL from a components object, as returned by
+     * {@link PackageURL.toJSON}, or a purl string. Null components are
+     * treated as missing.
+     */
+    static fromJSON(
+      json: PurlComponents | string,
+      options?: PurlOptions
+    ): PackageURL
+
+    /**
+     * Creates a maven PackageURL from
+     * "groupId:artifactId:version[:classifier][:packaging]" coordinates with
+     * the classifier and packaging as "classifier" and "type" qualifiers.
+     * Throws a PurlError with the "MAVEN_COORDINATES_INVALID" code for
+     * malformed coordinates.
+     */
+    static fromMavenCoordinates(coordinates: string): PackageURL
+
+    /**
+     * Parses a purl string into a PackageURL instance. In "strict" mode only
+     * canonical purl strings are accepted. In "lenient" mode common mistakes
+     * are repaired first and each repair is pushed to `options.repairs`.
+     */
+    static fromString(
+      purlStr: string,
+      options?: PurlFromStringOptions
+    ): PackageURL
+
+    /**
+     * Infers a PackageURL from a registry or forge URL, such as an npm
+     * package page or a Maven Central artifact, using the `fromUrl` parsers
+     * of registered and built-in types. Returns undefined when the URL is not
+     * recognized or its components do not make a valid purl.
+     */
+    static fromUrl(url: string | URL): PackageURL | undefined
 
     /**
      * Parses a purl string into a PackageURL arguments array.
@@ -182,8 +549,721 @@ declare module "packageurl-js" {
       qualifiers: PurlQualifiers | undefined,
       subpath: string | undefined
     ]
+
+    /**
+     * Validates a purl string or components object without throwing, collecting
+     * every issue found.
+     */
+    static validate(input: PurlComponents | string): PurlValidationReport
+
+    /**
+     * Registers a custom purl type with the class registry.
+     */
+    static registerType(type: string, entry: PurlTypeRegistryEntry): void
+
+    /**
+     * Unregisters a custom purl type from the class registry.
+     */
+    static unregisterType(type: string): boolean
+
+    /**
+     * Creates a PackageURL subclass scoped to the given registry, or to a new
+     * empty registry, so registrations do not leak into the global registry.
+     */
+    static withRegistry(registry?: PurlTypeRegistry): typeof PackageURL
+  }
+
+  export type VersComparator = '=' | '!=' | '<' | '<=' | '>' | '>=' | '*'
+
+  export type VersConstraint = Readonly<{
+    comparator: VersComparator
+    version: string
+  }>
+
+  export type PurlOptions = {
+    /**
+     * How to treat credentials embedded in the "download_url",
+     * "repository_url", and "vcs_url" qualifiers. Defaults to "allow".
+     */
+    credentials?: 'allow' | 'reject' | 'strip'
+  }
+
+  export type PurlFromStringOptions = PurlOptions & {
+    mode?: 'strict' | 'lenient'
+    repairs?: PurlRepair[]
+  }
+
+  /**
+   * An SPDX-style VCS location parsed from the "vcs_url" qualifier.
+   */
+  export type PurlVcs = Readonly<{
+    /**
+     * The version control tool such as "git", "hg", "svn", or "bzr".
+     */
+    tool: string
+    /**
+     * The repository URL without the tool prefix, revision, or subpath.
+     */
+    url: string
+    revision: string | undefined
+    subpath: string | undefined
+  }>
+
+  export type PurlRepair = {
+    /**
+     * A stable machine readable code such as "SCHEME_ADDED".
+     */
+    code: string
+    message: string
+  }
+
+  export type PurlErrorOptions = {
+    cause?: unknown
+    code?: string
+    component?: PurlComponentName
+    end?: number
+    input?: string
+    purlType?: string
+    start?: number
+  }
+
+  /**
+   * Error thrown for invalid purl strings and components.
+   */
+  export class PurlError extends Error {
+    constructor(message?: string, options?: PurlErrorOptions)
+
+    /**
+     * A stable machine readable code such as "NPM_NAME_UPPERCASE".
+     */
+    code: string | undefined
+
+    /**
+     * The purl component the error relates to, if known.
+     */
+    component: PurlComponentName | undefined
+
+    /**
+     * The end offset (exclusive) of the error into `input`, if known.
+     */
+    end: number | undefined
+
+    /**
+     * The purl string input, if the error was thrown while parsing one.
+     */
+    input: string | undefined
+
+    /**
+     * The purl type the error relates to, if known.
+     */
+    purlType: string | undefined
+
+    /**
+     * The start offset of the error into `input`, if known.
+     */
+    start: number | undefined
+  }
+
+  /**
+   * Formats a purl error message with its input and a caret underline of
+   * the offending characters, when known.
+   */
+  export function formatPurlErrorSnippet(error: PurlError): string
+
+  /**
+   * Error thrown for invalid vers strings and constraints. Its code is one
+   * of the "VERS_" codes, such as "VERS_SCHEME_UNKNOWN".
+   */
+  export class VersError extends PurlError {}
+
+  /**
+   * A version range specifier, aka. vers, such as "vers:npm/>=1.0.0|<2.0.0".
+   * @see {@link https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst specification}
+   */
+  export class VersionRange {
+    /**
+     * The versioning scheme such as npm, pypi, maven, etc.
+     */
+    readonly scheme: string
+
+    /**
+     * The constraints sorted by version.
+     */
+    readonly constraints: readonly VersConstraint[]
+
+    constructor(scheme: string, constraints: VersConstraint[])
+
+    /**
+     * Checks if a version, or the version of a purl of the matching type, is
+     * contained within the range.
+     */
+    contains(versionOrPurl: string | PackageURL): boolean
+
+    /**
+     * Creates a new range without redundant constraints.
+     */
+    simplify(): VersionRange
+
+    /**
+     * Converts the VersionRange to a vers string.
+     */
+    toString(): string
+
+    /**
+     * Parses a vers string into a VersionRange instance.
+     */
+    static fromString(versStr: string): VersionRange
+
+    /**
+     * Parses a vers string into a VersionRange arguments array.
+     */
+    static parseString(versStr: string): [
+      scheme: string,
+      constraints: VersConstraint[]
+    ]
+  }
+
+  /**
+   * Compares two versions of a purl type, e.g. semver for npm and cargo,
+   * PEP 440 for pypi, ComparableVersion for maven, dpkg ordering for deb,
+   * rpmvercmp for rpm, module versions for golang, and Gem::Version for gem.
+   * Types without version ordering rules compare runs of digits numerically
+   * and everything else lexically. Returns -1, 0, or 1.
+   */
+  export function compareVersions(type: string, a: string, b: string): -1 | 0 | 1
+
+  export type GolangPseudoVersion = {
+    /**
+     * The version the pseudo-version follows, e.g. "v1.2.3" for
+     * "v1.2.4-0.20191109021931-daa7c04131f5", or undefined for a
+     * "v0.0.0-" style pseudo-version without a base version.
+     */
+    base: string | undefined
+    /**
+     * The UTC commit time formatted as "yyyymmddhhmmss".
+     */
+    timestamp: string
+    /**
+     * The commit hash prefix, e.g. "daa7c04131f5".
+     */
+    revision: string
+  }
+
+  export type GolangVersion = {
+    /**
+     * Whether the version has a "+incompatible" suffix.
+     * @see {@link https://go.dev/ref/mod#incompatible-versions incompatible versions}
+     */
+    incompatible: boolean
+    /**
+     * The parts of a pseudo-version, or undefined for other versions.
+     * @see {@link https://go.dev/ref/mod#pseudo-versions pseudo-versions}
+     */
+    pseudo: GolangPseudoVersion | undefined
+  }
+
+  /**
+   * Escapes the uppercase letters of a Go module path or version as "!"
+   * followed by their lowercase letter, the form used by module proxies.
+   * @see {@link https://go.dev/ref/mod#goproxy-protocol GOPROXY protocol}
+   */
+  export function escapeGolangModulePath(path: string): string
+
+  /**
+   * Parses a Go module version into its "+incompatible" and pseudo-version
+   * parts. Returns undefined when `version` is not a string.
+   */
+  export function parseGolangVersion(
+    version: string
+  ): GolangVersion | undefined
+
+  /**
+   * Unescapes a module proxy escaped Go module path or version. Returns
+   * undefined when `escaped` is not in the escaped form.
+   */
+  export function unescapeGolangModulePath(escaped: string): string | undefined
+
+  /**
+   * A purl extracted from a lockfile or manifest with metadata about where
+   * and how it was found.
+   */
+  export type PurlLockfileEntry<T = { [key: string]: unknown }> = Readonly<{
+    purl: PackageURL
+    metadata: Readonly<T>
+  }>
+
+  export type NpmLockfileMetadata = {
+    /**
+     * The install name of an aliased package, e.g. "sw" for
+     * "sw@npm:string-width@4.2.3".
+     */
+    alias: string | undefined
+    dev: boolean
+    integrity: string | undefined
+    optional: boolean
+    /**
+     * The install path, e.g. "node_modules/a/node_modules/b".
+     */
+    path: string
+    peer: boolean
+    resolved: string | undefined
+    /**
+     * Where the package was resolved from. Git dependencies have a
+     * "vcs_url" qualifier and tarballs not from the npm registry have a
+     * "download_url" qualifier.
+     */
+    source: 'file' | 'git' | 'registry' | 'tarball' | undefined
+  }
+
+  /**
+   * Extracts the purls of the packages of a package-lock.json or
+   * npm-shrinkwrap.json of any lockfile version. The root package and
+   * workspace packages are skipped.
+   */
+  export function fromNpmLockfile(
+    json: string | object
+  ): PurlLockfileEntry<NpmLockfileMetadata>[]
+
+  export type PnpmLockfileMetadata = {
+    /**
+     * Whether the package is only a dev dependency. Lockfile version 9 does
+     * not record this so it is always false.
+     */
+    dev: boolean
+    /**
+     * The "packages" key, e.g. "/lodash@4.17.21" or "lodash@4.17.21".
+     */
+    key: string
+    optional: boolean
+  }
+
+  /**
+   * Extracts the deduplicated purls of the packages of a pnpm-lock.yaml of
+   * lockfile version 6 or 9. Integrity hashes are mapped to "checksum"
+   * qualifiers and tarball URLs to "download_url" qualifiers. Directory
+   * packages are skipped.
+   */
+  export function fromPnpmLockfile(
+    text: string
+  ): PurlLockfileEntry<PnpmLockfileMetadata>[]
+
+  export type YarnLockfileMetadata = {
+    /**
+     * The cache checksum of yarn berry lockfiles.
+     */
+    checksum?: string | undefined
+    /**
+     * The integrity hash of yarn classic lockfiles.
+     */
+    integrity?: string | undefined
+    /**
+     * The resolution of yarn berry lockfiles, e.g. "lodash@npm:4.17.21".
+     */
+    resolution?: string | undefined
+    /**
+     * The resolved URL of yarn classic lockfiles.
+     */
+    resolved?: string | undefined
+    /**
+     * The specifiers resolved to the package, e.g. "lodash@^4.17.0".
+     */
+    specifiers: readonly string[]
+  }
+
+  /**
+   * Extracts the deduplicated purls of the packages of a yarn.lock of yarn
+   * classic or yarn berry. Integrity hashes are mapped to "checksum"
+   * qualifiers, tarball URLs to "download_url" qualifiers, and git
+   * repositories to "vcs_url" qualifiers. Workspace, link, portal, patch,
+   * and file packages are skipped.
+   */
+  export function fromYarnLockfile(
+    text: string
+  ): PurlLockfileEntry<YarnLockfileMetadata>[]
+
+  export type PipRequirementsMetadata = {
+    /**
+     * Whether the requirement is installed in editable mode with "-e".
+     */
+    editable: boolean
+    extras: readonly string[]
+    /**
+     * The line number the requirement starts at.
+     */
+    line: number
+    /**
+     * The PEP 508 environment markers, e.g. 'python_version < "3.8"'.
+     */
+    markers: string | undefined
+    /**
+     * Whether the requirement pins a single version with "==" or "===".
+     * Unpinned requirements have no purl version.
+     */
+    pinned: boolean
+    /**
+     * The version specifier, e.g. ">=2.8.1,<3".
+     */
+    specifier: string
+    /**
+     * The direct reference URL of the requirement.
+     */
+    url: string | undefined
+  }
+
+  /**
+   * Extracts the purls of the requirements of a pip requirements file.
+   * Hashes are mapped to "checksum" qualifiers and direct reference URLs to
+   * "vcs_url" or "download_url" qualifiers. Options, like "-r", and local
+   * paths are skipped.
+   */
+  export function fromPipRequirements(
+    text: string
+  ): PurlLockfileEntry<PipRequirementsMetadata>[]
+
+  /**
+   * Where a package of a Python lockfile was resolved from. Packages of
+   * other indexes than PyPI have a "repository_url" qualifier, VCS packages
+   * have a "vcs_url" qualifier, and URL packages have a "download_url"
+   * qualifier.
+   */
+  export type PythonLockfileSource = 'registry' | 'url' | 'vcs'
+
+  export type PipfileLockfileMetadata = {
+    dev: boolean
+    /**
+     * The name of the package index source.
+     */
+    index: string | undefined
+    markers: string | undefined
+    source: PythonLockfileSource
+  }
+
+  /**
+   * Extracts the deduplicated purls of the packages of a Pipfile.lock.
+   * Local path packages are skipped.
+   */
+  export function fromPipfileLockfile(
+    json: string | object
+  ): PurlLockfileEntry<PipfileLockfileMetadata>[]
+
+  export type PoetryLockfileMetadata = {
+    /**
+     * The dependency groups, e.g. ["main"], or the category of lock
+     * version 1.
+     */
+    groups: readonly string[]
+    optional: boolean
+    source: PythonLockfileSource
+  }
+
+  /**
+   * Extracts the purls of the packages of a poetry.lock. File hashes are
+   * mapped to "checksum" qualifiers. Directory and file packages are
+   * skipped.
+   */
+  export function fromPoetryLockfile(
+    text: string
+  ): PurlLockfileEntry<PoetryLockfileMetadata>[]
+
+  export type UvLockfileMetadata = {
+    source: PythonLockfileSource
+  }
+
+  /**
+   * Extracts the purls of the packages of a uv.lock. Sdist and wheel hashes
+   * are mapped to "checksum" qualifiers. Editable, virtual, directory, and
+   * path packages are skipped.
+   */
+  export function fromUvLockfile(
+    text: string
+  ): PurlLockfileEntry<UvLockfileMetadata>[]
+
+  export type CargoLockfileMetadata = {
+    /**
+     * Where the crate was resolved from. Crates of other registries than
+     * crates.io have a "repository_url" qualifier and git crates have a
+     * "vcs_url" qualifier.
+     */
+    source: 'registry' | 'vcs'
+  }
+
+  /**
+   * Extracts the purls of the crates of a Cargo.lock. Checksums are mapped
+   * to "checksum" qualifiers. Workspace members and path dependencies are
+   * skipped.
+   */
+  export function fromCargoLockfile(
+    text: string
+  ): PurlLockfileEntry<CargoLockfileMetadata>[]
+
+  export type GoModMetadata = {
+    indirect: boolean
+    /**
+     * The required module path, which differs from the purl of replaced
+     * modules.
+     */
+    path: string
+    replaced: boolean
+    /**
+     * The required module version.
+     */
+    version: string
+  }
+
+  /**
+   * Extracts the purls of the required modules of a go.mod. Modules
+   * replaced by other modules have the purl of their replacement and
+   * modules replaced by local directories are skipped.
+   */
+  export function fromGoMod(text: string): PurlLockfileEntry<GoModMetadata>[]
+
+  export type GoSumMetadata = {
+    /**
+     * The "h1:" hash of the go.mod file of the module.
+     */
+    goModHash: string | undefined
+    /**
+     * The "h1:" hash of the module zip file, which is undefined for modules
+     * only needed to resolve the module graph.
+     */
+    hash: string | undefined
+  }
+
+  /**
+   * Extracts the purls of the module versions of a go.sum. The "h1:"
+   * hashes are not digests of an archive so they are metadata rather than
+   * "checksum" qualifiers.
+   */
+  export function fromGoSum(text: string): PurlLockfileEntry<GoSumMetadata>[]
+
+  export type GemfileLockfileMetadata = {
+    /**
+     * The line number of the gem spec.
+     */
+    line: number
+    /**
+     * Where the gem was resolved from. Gems of other servers than
+     * rubygems.org have a "repository_url" qualifier and git gems have a
+     * "vcs_url" qualifier.
+     */
+    source: 'registry' | 'vcs'
+  }
+
+  /**
+   * Extracts the purls of the gems of a Gemfile.lock. Native gems have a
+   * "platform" qualifier and checksums are mapped to "checksum" qualifiers.
+   * Path gems are skipped.
+   */
+  export function fromGemfileLockfile(
+    text: string
+  ): PurlLockfileEntry<GemfileLockfileMetadata>[]
+
+  export type ComposerLockfileMetadata = {
+    dev: boolean
+    /**
+     * A JSON pointer to the package, e.g. "/packages/0".
+     */
+    pointer: string
+  }
+
+  /**
+   * Extracts the purls of the packages of a composer.lock with the vendor as
+   * the namespace. Path repository packages are skipped.
+   */
+  export function fromComposerLockfile(
+    json: string | object
+  ): PurlLockfileEntry<ComposerLockfileMetadata>[]
+
+  export type SwiftLockfileMetadata = {
+    branch: string | undefined
+    /**
+     * A JSON pointer to the pin, e.g. "/pins/0".
+     */
+    pointer: string
+    revision: string | undefined
   }
 
+  /**
+   * Extracts the purls of the pins of a Package.resolved of version 1, 2, or
+   * 3 with the host and owner of the repository as the namespace. Pins of a
+   * branch or revision have their revision as the version. Local and
+   * registry pins are skipped.
+   */
+  export function fromSwiftLockfile(
+    json: string | object
+  ): PurlLockfileEntry<SwiftLockfileMetadata>[]
+
+  export type GradleLockfileMetadata = {
+    /**
+     * The configurations resolving the dependency, e.g. "runtimeClasspath".
+     */
+    configurations: readonly string[]
+    line: number
+  }
+
+  /**
+   * Extracts the purls of the dependencies of a gradle.lockfile.
+   */
+  export function fromGradleLockfile(
+    text: string
+  ): PurlLockfileEntry<GradleLockfileMetadata>[]
+
+  export type MavenPomMetadata = {
+    optional: boolean
+    /**
+     * The dependency scope, which defaults to "compile".
+     */
+    scope: string
+  }
+
+  /**
+   * Extracts the purls of the dependencies of a pom.xml. Properties of the
+   * POM are interpolated and dependencies without a version get the version
+   * of their dependency management. Dependencies that do not resolve to a
+   * single version are skipped.
+   */
+  export function fromMavenPom(
+    text: string
+  ): PurlLockfileEntry<MavenPomMetadata>[]
+
+  export type NugetLockfileMetadata = {
+    /**
+     * Whether the project references the package itself.
+     */
+    direct: boolean
+    pointer: string
+    /**
+     * The target frameworks listing the package, e.g. "net8.0" or
+     * "net8.0/win-x64".
+     */
+    targetFrameworks: readonly string[]
+  }
+
+  /**
+   * Extracts the purls of the packages of a NuGet packages.lock.json with
+   * their contentHash as checksum qualifier. Project references are skipped.
+   */
+  export function fromNugetLockfile(
+    json: string | Record<string, unknown>
+  ): PurlLockfileEntry<NugetLockfileMetadata>[]
+
+  export type PackagesConfigMetadata = {
+    developmentDependency: boolean
+    targetFramework: string | undefined
+  }
+
+  /**
+   * Extracts the purls of the packages of a NuGet packages.config.
+   */
+  export function fromPackagesConfig(
+    text: string
+  ): PurlLockfileEntry<PackagesConfigMetadata>[]
+
+  export type CsprojMetadata = {
+    /**
+     * Whether the version comes from central package management.
+     */
+    central: boolean
+    privateAssets: string | undefined
+  }
+
+  export type CsprojOptions = {
+    /**
+     * The text of the Directory.Packages.props of the project, which has the
+     * "PackageVersion" items of central package management.
+     */
+    directoryPackagesProps?: string
+  }
+
+  /**
+   * Extracts the purls of the "PackageReference" items of an SDK-style
+   * project file. "$(...)" properties of the project are interpolated and
+   * references that do not resolve to a single version are skipped.
+   */
+  export function fromCsproj(
+    text: string,
+    options?: CsprojOptions
+  ): PurlLockfileEntry<CsprojMetadata>[]
+
+  export type CondaEnvironmentMetadata = {
+    /**
+     * Whether the match spec is an exact version, like "==1.26.0",
+     * "=1.26.0=py311h64a7726_0", or "1.26.0 py311h64a7726_0". Fuzzy versions,
+     * like "=1.26", and unpinned specs have no purl version.
+     */
+    pinned: boolean
+    /**
+     * A JSON pointer to the dependency, e.g. "/dependencies/0" or
+     * "/dependencies/3/pip/0" for pip dependencies.
+     */
+    pointer: string
+    specifier: string
+  }
+
+  /**
+   * Extracts the purls of the dependencies of a conda environment.yml. Pip
+   * dependencies are pypi purls with the metadata of
+   * {@link fromPipRequirements} other than the line.
+   */
+  export function fromCondaEnvironment(
+    text: string
+  ): PurlLockfileEntry<
+    | CondaEnvironmentMetadata
+    | (Omit<PipRequirementsMetadata, 'line'> & { pointer: string })
+  >[]
+
+  export type CondaExplicitMetadata = {
+    line: number
+  }
+
+  /**
+   * Extracts the purls of the package URLs of a conda "@EXPLICIT" spec file
+   * with their "build", "channel", "subdir", and "type" qualifiers and MD5
+   * or SHA-256 hash as checksum qualifier.
+   */
+  export function fromCondaExplicit(
+    text: string
+  ): PurlLockfileEntry<CondaExplicitMetadata>[]
+
+  export type CondaLockfileMetadata = {
+    category: string | undefined
+    optional: boolean
+    platforms: readonly string[]
+  }
+
+  /**
+   * Extracts the purls of the conda and pip packages of a conda-lock.yml.
+   */
+  export function fromCondaLockfile(
+    text: string
+  ): PurlLockfileEntry<CondaLockfileMetadata>[]
+
+  export type DpkgStatusMetadata = {
+    /**
+     * The line of the first field of the package stanza.
+     */
+    line: number
+  }
+
+  export type DpkgStatusOptions = {
+    /**
+     * The text of the os-release file of the system, whose "ID" is the
+     * namespace and whose "ID" and "VERSION_ID" are the "distro" qualifier,
+     * e.g. "debian-12".
+     */
+    osRelease?: string
+  }
+
+  /**
+   * Extracts the purls of the installed packages of a dpkg status database,
+   * like /var/lib/dpkg/status or a file of /var/lib/dpkg/status.d. Source
+   * packages are linked by the "upstream" qualifier.
+   */
+  export function fromDpkgStatus(
+    text: string,
+    options?: DpkgStatusOptions
+  ): PurlLockfileEntry<DpkgStatusMetadata>[]
+
   // @ts-ignore
   export const PurlComponent = <PurlComponent>{}
   // @ts-ignore
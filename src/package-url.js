@@ -21,19 +21,443 @@ SOFTWARE.
 */
 'use strict'
 
+const { parseChecksumQualifier, verifyChecksums } = require('./checksum')
 const { decodePurlComponent } = require('./decode')
+const { formatMavenCoordinates, parseMavenCoordinates } = require('./maven')
 const { isObject, recursiveFreeze } = require('./objects')
-const { isBlank, isNonEmptyString, trimLeadingSlashes } = require('./strings')
+const {
+    compareStrings,
+    isBlank,
+    isNonEmptyString,
+    trimLeadingSlashes
+} = require('./strings')
 
 const { PurlComponent } = require('./purl-component')
+const { PurlJsonSchema } = require('./purl-json-schema')
 const { PurlQualifierNames } = require('./purl-qualifier-names')
 const { PurlType } = require('./purl-type')
+const {
+    PurlTypeRegistry,
+    compareVersions,
+    defaultRegistry
+} = require('./purl-type-registry')
+const { parseVcsUrl, processUrlCredentials } = require('./url-qualifiers')
+const { validateQualifiersByType } = require('./validate')
 const { PurlError } = require('./error')
 
+const PURL_COMPONENT_NAMES = [
+    'type',
+    'namespace',
+    'name',
+    'version',
+    'qualifiers',
+    'subpath'
+]
+
+function annotatePurlError(error, input, offsets, purlType) {
+    // Point errors raised while building a purl from a string at the offending
+    // component of the input.
+    if (error instanceof PurlError) {
+        if (error.purlType === undefined) {
+            error.purlType = purlType
+        }
+        if (error.input === undefined && input !== undefined) {
+            error.input = input
+            const range = offsets?.[error.component]
+            if (range) {
+                error.start = range[0]
+                error.end = range[1]
+            }
+        }
+    }
+    return error
+}
+
+function compareNames(PurlCtor, type, a, b) {
+    // Some types, like nuget, compare names case-insensitively.
+    const compare = PurlCtor.registry.get(type)?.compareName ?? compareStrings
+    return compare(a, b)
+}
+
+function compareOptionalStrings(a, b) {
+    // Missing components sort before present ones.
+    if (a === b) return 0
+    if (a === undefined) return -1
+    if (b === undefined) return 1
+    return compareStrings(a, b)
+}
+
+function derivePurl(purl, changes) {
+    const { type, namespace, name, version, qualifiers, subpath } = {
+        __proto__: null,
+        ...purl,
+        ...changes
+    }
+    // Derived purls are built by the constructor so they are normalized and
+    // validated like any other, then frozen so they stay that way.
+    const derived = new purl.constructor(
+        type,
+        namespace,
+        name,
+        version,
+        qualifiers,
+        subpath
+    )
+    if (derived.qualifiers) {
+        Object.freeze(derived.qualifiers)
+    }
+    return Object.freeze(derived)
+}
+
+function getPurlConstructor(thisArg) {
+    // Static methods may be called detached from the class, e.g. when
+    // destructured, so fallback to PackageURL in that case.
+    return typeof thisArg === 'function' ? thisArg : PackageURL
+}
+
+function normalizeComponent(comp, rawComp) {
+    if (comp === 'qualifiers') {
+        return typeof rawComp === 'string' || isObject(rawComp)
+            ? PurlComponent.qualifiers.normalize(rawComp)
+            : rawComp
+    }
+    return isNonEmptyString(rawComp)
+        ? PurlComponent[comp].normalize(rawComp)
+        : rawComp
+}
+
+function parsePurlString(purlStr) {
+    // https://github.com/package-url/purl-spec/blob/master/PURL-SPECIFICATION.rst#how-to-parse-a-purl-string-in-its-components
+    if (typeof purlStr !== 'string') {
+        throw new Error('A purl string argument is required.')
+    }
+    const offsets = { __proto__: null }
+    if (isBlank(purlStr)) {
+        return {
+            components: [
+                undefined,
+                undefined,
+                undefined,
+                undefined,
+                undefined,
+                undefined
+            ],
+            offsets
+        }
+    }
+
+    // Split the remainder once from left on ':'.
+    const colonIndex = purlStr.indexOf(':')
+    // Use WHATWG URL to split up the purl string.
+    //   - Split the purl string once from right on '#'
+    //   - Split the remainder once from right on '?'
+    //   - Split the remainder once from left on ':'
+    let url
+    let maybeUrlWithAuth
+    let pathStart = 0
+    if (colonIndex !== -1) {
+        try {
+            // Since a purl never contains a URL Authority, its scheme
+            // must not be suffixed with double slash as in 'pkg://'
+            // and should use instead 'pkg:'. Purl parsers must accept
+            // URLs such as 'pkg://' and must ignore the '//'
+            const beforeColon = purlStr.slice(0, colonIndex)
+            const afterColon = purlStr.slice(colonIndex + 1)
+            const trimmedAfterColon = trimLeadingSlashes(afterColon)
+            pathStart =
+                colonIndex + 1 + afterColon.length - trimmedAfterColon.length
+            url = new URL(`${beforeColon}:${trimmedAfterColon}`)
+            maybeUrlWithAuth =
+                afterColon.length === trimmedAfterColon.length
+                    ? url
+                    : new URL(purlStr)
+        } catch (e) {
+            throw new PurlError('failed to parse as URL', {
+                cause: e,
+                code: 'URL_PARSE_FAILED',
+                input: purlStr,
+                start: 0,
+                end: purlStr.length
+            })
+        }
+    }
+    // The scheme is a constant with the value "pkg".
+    if (url?.protocol !== 'pkg:') {
+        throw new PurlError('missing required "pkg" scheme component', {
+            code: 'SCHEME_REQUIRED',
+            input: purlStr,
+            start: 0,
+            end: colonIndex === -1 ? 0 : colonIndex
+        })
+    }
+    // A purl must NOT contain a URL Authority i.e. there is no support for
+    // username, password, host and port components.
+    if (maybeUrlWithAuth.username !== '' || maybeUrlWithAuth.password !== '') {
+        throw new PurlError('cannot contain a "user:pass@host:port"', {
+            code: 'AUTHORITY_NOT_ALLOWED',
+            input: purlStr,
+            start: colonIndex + 1,
+            end: purlStr.indexOf('@', colonIndex) + 1
+        })
+    }
+
+    // The URL parser may percent-encode characters of the path, so offsets
+    // into the input are found by splitting the raw path the same way.
+    const queryIndex = purlStr.indexOf('?', pathStart)
+    const hashIndex = purlStr.indexOf('#', pathStart)
+    const pathEnd =
+        queryIndex !== -1 && (hashIndex === -1 || queryIndex < hashIndex)
+            ? queryIndex
+            : hashIndex !== -1
+              ? hashIndex
+              : purlStr.length
+    const { pathname } = url
+    const split = splitPurlPath(pathname)
+    const rawSplit = splitPurlPath(purlStr.slice(pathStart, pathEnd))
+    // Missing components are given an empty range where they would be
+    // inserted.
+    const typeEnd = pathStart + rawSplit.typeEnd
+    const nameStart =
+        rawSplit.nameStart === -1 ? pathEnd : pathStart + rawSplit.nameStart
+    const nameEnd =
+        rawSplit.nameStart === -1 ? pathEnd : pathStart + rawSplit.nameEnd
+    const queryEnd = hashIndex === -1 ? purlStr.length : hashIndex
+    offsets.type = [pathStart, typeEnd]
+    offsets.namespace =
+        rawSplit.namespaceStart === -1
+            ? [nameStart, nameStart]
+            : [
+                  pathStart + rawSplit.namespaceStart,
+                  pathStart + rawSplit.namespaceEnd
+              ]
+    offsets.name = [nameStart, nameEnd]
+    offsets.version =
+        rawSplit.versionStart === -1
+            ? [nameEnd, nameEnd]
+            : [pathStart + rawSplit.versionStart, pathEnd]
+    offsets.qualifiers =
+        queryIndex !== -1 && queryIndex < queryEnd
+            ? [queryIndex + 1, queryEnd]
+            : [pathEnd, pathEnd]
+    offsets.subpath =
+        hashIndex === -1
+            ? [purlStr.length, purlStr.length]
+            : [hashIndex + 1, purlStr.length]
+
+    let rawType
+    try {
+        rawType = decodePurlComponent('type', pathname.slice(0, split.typeEnd))
+        if (split.nameStart === -1) {
+            return {
+                components: [
+                    rawType,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined
+                ],
+                offsets
+            }
+        }
+
+        let rawVersion
+        if (split.versionStart !== -1) {
+            // Split the remainder once from right on '@'.
+            rawVersion = decodePurlComponent(
+                'version',
+                pathname.slice(split.versionStart)
+            )
+        }
+
+        let rawNamespace
+        // Split the remainder once from right on '/'.
+        const rawName = decodePurlComponent(
+            'name',
+            pathname.slice(split.nameStart, split.nameEnd)
+        )
+        if (split.namespaceStart !== -1) {
+            // Split the remainder on '/'.
+            rawNamespace = decodePurlComponent(
+                'namespace',
+                pathname.slice(split.namespaceStart, split.namespaceEnd)
+            )
+        }
+
+        let rawQualifiers
+        const { searchParams } = url
+        if (searchParams.size !== 0) {
+            searchParams.forEach(value =>
+                decodePurlComponent('qualifiers', value)
+            )
+            // Split the remainder once from right on '?'.
+            rawQualifiers = searchParams
+        }
+
+        let rawSubpath
+        const { hash } = url
+        if (hash.length !== 0) {
+            // Split the purl string once from right on '#'.
+            rawSubpath = decodePurlComponent('subpath', hash.slice(1))
+        }
+
+        return {
+            components: [
+                rawType,
+                rawNamespace,
+                rawName,
+                rawVersion,
+                rawQualifiers,
+                rawSubpath
+            ],
+            offsets
+        }
+    } catch (e) {
+        throw annotatePurlError(e, purlStr, offsets, rawType?.toLowerCase())
+    }
+}
+
+function pickQualifiers(qualifiers, qualifierKeys) {
+    if (qualifiers === undefined || qualifierKeys === undefined) {
+        return qualifiers
+    }
+    let picked
+    for (const rawKey of qualifierKeys) {
+        const key = rawKey.toLowerCase()
+        const value = qualifiers[key]
+        if (value !== undefined) {
+            if (picked === undefined) {
+                picked = { __proto__: null }
+            }
+            picked[key] = value
+        }
+    }
+    return picked
+}
+
+function repairPurlString(purlStr, repairs) {
+    let repaired = purlStr.trim()
+    if (repaired.length !== purlStr.length) {
+        repairs.push({
+            code: 'WHITESPACE_TRIMMED',
+            message: 'leading and trailing whitespace was removed'
+        })
+    }
+    const colonIndex = repaired.indexOf(':')
+    const beforeColon = colonIndex === -1 ? '' : repaired.slice(0, colonIndex)
+    if (colonIndex === -1 || beforeColon.includes('/')) {
+        repaired = `pkg:${repaired}`
+        repairs.push({
+            code: 'SCHEME_ADDED',
+            message: 'missing "pkg" scheme was added'
+        })
+    } else if (beforeColon !== 'pkg' && beforeColon.toLowerCase() === 'pkg') {
+        repaired = `pkg${repaired.slice(colonIndex)}`
+        repairs.push({
+            code: 'SCHEME_LOWERCASED',
+            message: `"${beforeColon}" scheme was lowercased`
+        })
+    }
+    const afterScheme = repaired.slice(4)
+    const trimmedAfterScheme = trimLeadingSlashes(afterScheme)
+    if (trimmedAfterScheme.length !== afterScheme.length) {
+        repaired = `pkg:${trimmedAfterScheme}`
+        repairs.push({
+            code: 'SCHEME_SLASHES_REMOVED',
+            message: 'slashes after the "pkg" scheme were removed'
+        })
+    }
+    if (repaired.includes(' ')) {
+        repaired = repaired.replaceAll(' ', '%20')
+        repairs.push({
+            code: 'SPACES_ENCODED',
+            message: 'unencoded spaces were percent-encoded'
+        })
+    }
+    const hashIndex = repaired.indexOf('#')
+    const queryEnd = hashIndex === -1 ? repaired.length : hashIndex
+    const queryIndex = repaired.indexOf('?')
+    if (queryIndex !== -1 && queryIndex < queryEnd) {
+        // Keep the last of each duplicated qualifier, as the parser would.
+        const pairs = repaired.slice(queryIndex + 1, queryEnd).split('&')
+        const lastIndexes = new Map()
+        for (let i = 0, { length } = pairs; i < length; i += 1) {
+            const pair = pairs[i]
+            const eqIndex = pair.indexOf('=')
+            const key = (
+                eqIndex === -1 ? pair : pair.slice(0, eqIndex)
+            ).toLowerCase()
+            if (lastIndexes.has(key)) {
+                repairs.push({
+                    code: 'QUALIFIER_DUPLICATE_REMOVED',
+                    message: `duplicate "${key}" qualifier was removed`
+                })
+            }
+            lastIndexes.set(key, i)
+        }
+        if (lastIndexes.size !== pairs.length) {
+            const keptIndexes = new Set(lastIndexes.values())
+            const kept = pairs.filter((_pair, i) => keptIndexes.has(i))
+            repaired = `${repaired.slice(0, queryIndex + 1)}${kept.join('&')}${repaired.slice(queryEnd)}`
+        }
+    }
+    return repaired
+}
+
+function splitPurlPath(path) {
+    const firstSlashIndex = path.indexOf('/')
+    const typeEnd = firstSlashIndex === -1 ? path.length : firstSlashIndex
+    if (firstSlashIndex < 1) {
+        return {
+            typeEnd,
+            namespaceStart: -1,
+            namespaceEnd: -1,
+            nameStart: -1,
+            nameEnd: -1,
+            versionStart: -1
+        }
+    }
+    let atSignIndex = path.lastIndexOf('@')
+    // Handle unencoded leading '@' characters. This is a small break from
+    // the specification to make parsing more forgiving so that users don't
+    // have to deal with it.
+    if (atSignIndex !== -1 && path.charCodeAt(atSignIndex - 1) === 47 /*'/'*/) {
+        atSignIndex = -1
+    }
+    const beforeVersionStart = typeEnd + 1
+    const beforeVersionEnd = atSignIndex === -1 ? path.length : atSignIndex
+    const lastSlashIndex = path.lastIndexOf('/', beforeVersionEnd - 1)
+    const hasNamespace = lastSlashIndex >= beforeVersionStart
+    return {
+        typeEnd,
+        namespaceStart: hasNamespace ? beforeVersionStart : -1,
+        namespaceEnd: hasNamespace ? lastSlashIndex : -1,
+        nameStart: hasNamespace ? lastSlashIndex + 1 : beforeVersionStart,
+        nameEnd: beforeVersionEnd,
+        versionStart: atSignIndex === -1 ? -1 : atSignIndex + 1
+    }
+}
+
+function toPackageURL(PurlCtor, value) {
+    if (value instanceof PackageURL) {
+        return value
+    }
+    if (typeof value === 'string') {
+        return PurlCtor.fromString(value)
+    }
+    if (isObject(value)) {
+        const { type, namespace, name, version, qualifiers, subpath } = value
+        return new PurlCtor(type, namespace, name, version, qualifiers, subpath)
+    }
+    throw new TypeError('A PackageURL, purl string, or object is required.')
+}
+
 class PackageURL {
     static Component = recursiveFreeze(PurlComponent)
+    static JsonSchema = PurlJsonSchema
     static KnownQualifierNames = recursiveFreeze(PurlQualifierNames)
     static Type = recursiveFreeze(PurlType)
+    static registry = defaultRegistry
 
     constructor(
         rawType,
@@ -41,37 +465,41 @@ class PackageURL {
         rawName,
         rawVersion,
         rawQualifiers,
-        rawSubpath
+        rawSubpath,
+        options
     ) {
-        const type = isNonEmptyString(rawType)
-            ? PurlComponent.type.normalize(rawType)
-            : rawType
+        const { credentials = 'allow' } = { __proto__: null, ...options }
+        if (
+            credentials !== 'allow' &&
+            credentials !== 'reject' &&
+            credentials !== 'strip'
+        ) {
+            throw new TypeError(
+                'Credentials must be "allow", "reject", or "strip".'
+            )
+        }
+
+        const type = normalizeComponent('type', rawType)
         PurlComponent.type.validate(type, true)
 
-        const namespace = isNonEmptyString(rawNamespace)
-            ? PurlComponent.namespace.normalize(rawNamespace)
-            : rawNamespace
+        const namespace = normalizeComponent('namespace', rawNamespace)
         PurlComponent.namespace.validate(namespace, true)
 
-        const name = isNonEmptyString(rawName)
-            ? PurlComponent.name.normalize(rawName)
-            : rawName
+        const name = normalizeComponent('name', rawName)
         PurlComponent.name.validate(name, true)
 
-        const version = isNonEmptyString(rawVersion)
-            ? PurlComponent.version.normalize(rawVersion)
-            : rawVersion
+        const version = normalizeComponent('version', rawVersion)
         PurlComponent.version.validate(version, true)
 
-        const qualifiers =
-            typeof rawQualifiers === 'string' || isObject(rawQualifiers)
-                ? PurlComponent.qualifiers.normalize(rawQualifiers)
-                : rawQualifiers
+        // Credentials embedded in URL qualifiers are stripped or rejected
+        // before validation when asked to.
+        const qualifiers = processUrlCredentials(
+            normalizeComponent('qualifiers', rawQualifiers),
+            credentials
+        )
         PurlComponent.qualifiers.validate(qualifiers, true)
 
-        const subpath = isNonEmptyString(rawSubpath)
-            ? PurlComponent.subpath.normalize(rawSubpath)
-            : rawSubpath
+        const subpath = normalizeComponent('subpath', rawSubpath)
         PurlComponent.subpath.validate(subpath, true)
 
         this.type = type
@@ -81,11 +509,99 @@ class PackageURL {
         this.qualifiers = qualifiers ?? undefined
         this.subpath = subpath ?? undefined
 
-        const typeHelpers = PurlType[type]
+        const typeHelpers = new.target.registry.get(type)
         if (typeHelpers) {
             typeHelpers.normalize(this)
-            typeHelpers.validate(this, true)
+            try {
+                typeHelpers.validate(this, true)
+            } catch (e) {
+                throw annotatePurlError(e, undefined, undefined, type)
+            }
+        }
+    }
+
+    get checksums() {
+        return parseChecksumQualifier(this.qualifiers?.checksum)
+    }
+
+    get vcs() {
+        return parseVcsUrl(this.qualifiers?.vcs_url)
+    }
+
+    equals(other, options) {
+        const {
+            ignoreQualifiers = false,
+            ignoreSubpath = false,
+            ignoreVersion = false,
+            qualifierKeys
+        } = { __proto__: null, ...options }
+        const otherPurl = toPackageURL(this.constructor, other)
+        if (
+            this.type !== otherPurl.type ||
+            this.namespace !== otherPurl.namespace ||
+            compareNames(
+                this.constructor,
+                this.type,
+                this.name,
+                otherPurl.name
+            ) !== 0 ||
+            (!ignoreVersion && this.version !== otherPurl.version) ||
+            (!ignoreSubpath && this.subpath !== otherPurl.subpath)
+        ) {
+            return false
+        }
+        return (
+            ignoreQualifiers ||
+            PurlComponent.qualifiers.encode(
+                pickQualifiers(this.qualifiers, qualifierKeys)
+            ) ===
+                PurlComponent.qualifiers.encode(
+                    pickQualifiers(otherPurl.qualifiers, qualifierKeys)
+                )
+        )
+    }
+
+    toDownloadUrl() {
+        // An explicit download_url qualifier wins over the type template.
+        const downloadUrl = this.qualifiers?.download_url
+        if (downloadUrl !== undefined) {
+            return downloadUrl
+        }
+        return this.constructor.registry.get(this.type)?.downloadUrl(this)
+    }
+
+    toJSON(options) {
+        // JSON.stringify() calls toJSON() with the property key as argument.
+        const { format = 'components' } = {
+            __proto__: null,
+            ...(isObject(options) ? options : undefined)
+        }
+        if (format === 'string') {
+            return this.toString()
+        }
+        if (format !== 'components') {
+            throw new TypeError('Format must be "components" or "string".')
+        }
+        const json = { __proto__: null }
+        for (const comp of PURL_COMPONENT_NAMES) {
+            const value = this[comp]
+            if (value !== undefined) {
+                json[comp] =
+                    comp === 'qualifiers'
+                        ? { __proto__: null, ...value }
+                        : value
+            }
         }
+        return json
+    }
+
+    toMavenCoordinates() {
+        // Purls without a version have no coordinates.
+        return this.type === 'maven' ? formatMavenCoordinates(this) : undefined
+    }
+
+    toRepositoryUrl() {
+        return this.constructor.registry.get(this.type)?.repositoryUrl(this)
     }
 
     toString() {
@@ -107,157 +623,298 @@ class PackageURL {
         return purlStr
     }
 
-    static fromString(purlStr) {
-        return new PackageURL(...PackageURL.parseString(purlStr))
+    verifyChecksums(input) {
+        return verifyChecksums(this.checksums, input)
     }
 
-    static parseString(purlStr) {
-        // https://github.com/package-url/purl-spec/blob/master/PURL-SPECIFICATION.rst#how-to-parse-a-purl-string-in-its-components
-        if (typeof purlStr !== 'string') {
-            throw new Error('A purl string argument is required.')
+    withNamespace(namespace) {
+        return derivePurl(this, { namespace })
+    }
+
+    withQualifier(key, value) {
+        const qualifiers = { __proto__: null, ...this.qualifiers }
+        if (typeof key === 'string') {
+            delete qualifiers[key.toLowerCase()]
         }
-        if (isBlank(purlStr)) {
-            return [
-                undefined,
-                undefined,
-                undefined,
-                undefined,
-                undefined,
-                undefined
-            ]
+        if (value !== undefined) {
+            qualifiers[key] = value
         }
+        return derivePurl(this, { qualifiers })
+    }
 
-        // Split the remainder once from left on ':'.
-        const colonIndex = purlStr.indexOf(':')
-        // Use WHATWG URL to split up the purl string.
-        //   - Split the purl string once from right on '#'
-        //   - Split the remainder once from right on '?'
-        //   - Split the remainder once from left on ':'
-        let url
-        let maybeUrlWithAuth
-        if (colonIndex !== -1) {
-            try {
-                // Since a purl never contains a URL Authority, its scheme
-                // must not be suffixed with double slash as in 'pkg://'
-                // and should use instead 'pkg:'. Purl parsers must accept
-                // URLs such as 'pkg://' and must ignore the '//'
-                const beforeColon = purlStr.slice(0, colonIndex)
-                const afterColon = purlStr.slice(colonIndex + 1)
-                const trimmedAfterColon = trimLeadingSlashes(afterColon)
-                url = new URL(`${beforeColon}:${trimmedAfterColon}`)
-                maybeUrlWithAuth =
-                    afterColon.length === trimmedAfterColon.length
-                        ? url
-                        : new URL(purlStr)
-            } catch (e) {
-                throw new PurlError('failed to parse as URL', {
-                    cause: e
-                })
-            }
-        }
-        // The scheme is a constant with the value "pkg".
-        if (url?.protocol !== 'pkg:') {
-            throw new PurlError('missing required "pkg" scheme component')
+    withSubpath(subpath) {
+        return derivePurl(this, { subpath })
+    }
+
+    withVersion(version) {
+        return derivePurl(this, { version })
+    }
+
+    withoutQualifiers() {
+        return derivePurl(this, { qualifiers: undefined })
+    }
+
+    static compare(a, b) {
+        const PurlCtor = getPurlConstructor(this)
+        const purlA = toPackageURL(PurlCtor, a)
+        const purlB = toPackageURL(PurlCtor, b)
+        const result =
+            compareStrings(purlA.type, purlB.type) ||
+            compareOptionalStrings(purlA.namespace, purlB.namespace) ||
+            compareNames(PurlCtor, purlA.type, purlA.name, purlB.name)
+        if (result !== 0) {
+            return result
         }
-        // A purl must NOT contain a URL Authority i.e. there is no support for
-        // username, password, host and port components.
-        if (
-            maybeUrlWithAuth.username !== '' ||
-            maybeUrlWithAuth.password !== ''
-        ) {
-            throw new PurlError('cannot contain a "user:pass@host:port"')
+        const { version: versionA } = purlA
+        const { version: versionB } = purlB
+        if (versionA !== undefined && versionB !== undefined) {
+            // Order versions by the rules of their type and fallback to
+            // comparing the version strings so that only equal purls compare
+            // as 0.
+            const versionResult =
+                PurlCtor.registry.compareVersions(
+                    purlA.type,
+                    versionA,
+                    versionB
+                ) || compareStrings(versionA, versionB)
+            if (versionResult !== 0) {
+                return versionResult
+            }
+        } else if (versionA !== versionB) {
+            return versionA === undefined ? -1 : 1
         }
-
-        const { pathname } = url
-        const firstSlashIndex = pathname.indexOf('/')
-        const rawType = decodePurlComponent(
-            'type',
-            firstSlashIndex === -1
-                ? pathname
-                : pathname.slice(0, firstSlashIndex)
+        return (
+            compareStrings(
+                PurlComponent.qualifiers.encode(purlA.qualifiers),
+                PurlComponent.qualifiers.encode(purlB.qualifiers)
+            ) || compareOptionalStrings(purlA.subpath, purlB.subpath)
         )
-        if (firstSlashIndex < 1) {
-            return [
-                rawType,
-                undefined,
-                undefined,
-                undefined,
-                undefined,
-                undefined
-            ]
-        }
+    }
 
-        let rawVersion
-        let atSignIndex = pathname.lastIndexOf('@')
-        // Handle unencoded leading '@' characters. This is a small break from
-        // the specification to make parsing more forgiving so that users don't
-        // have to deal with it.
-        if (
-            atSignIndex !== -1 &&
-            pathname.charCodeAt(atSignIndex - 1) === 47 /*'/'*/
-        ) {
-            atSignIndex = -1
+    static fromJSON(json, options) {
+        const PurlCtor = getPurlConstructor(this)
+        if (typeof json === 'string') {
+            return PurlCtor.fromString(json, options)
         }
-        const beforeVersion = pathname.slice(
-            rawType.length + 1,
-            atSignIndex === -1 ? pathname.length : atSignIndex
-        )
-        if (atSignIndex !== -1) {
-            // Split the remainder once from right on '@'.
-            rawVersion = decodePurlComponent(
-                'version',
-                pathname.slice(atSignIndex + 1)
+        if (!isObject(json)) {
+            throw new TypeError(
+                'A purl string or components object argument is required.'
             )
         }
+        // JSON has no undefined so null is accepted for missing components.
+        const components = PURL_COMPONENT_NAMES.map(
+            comp => json[comp] ?? undefined
+        )
+        return new PurlCtor(...components, options)
+    }
 
-        let rawNamespace
-        let rawName
-        const lastSlashIndex = beforeVersion.lastIndexOf('/')
-        if (lastSlashIndex === -1) {
-            // Split the remainder once from right on '/'.
-            rawName = decodePurlComponent('name', beforeVersion)
-        } else {
-            // Split the remainder once from right on '/'.
-            rawName = decodePurlComponent(
-                'name',
-                beforeVersion.slice(lastSlashIndex + 1)
+    static fromMavenCoordinates(coordinates) {
+        const PurlCtor = getPurlConstructor(this)
+        if (typeof coordinates !== 'string') {
+            throw new TypeError(
+                'A Maven coordinates string argument is required.'
             )
-            // Split the remainder on '/'.
-            rawNamespace = decodePurlComponent(
-                'namespace',
-                beforeVersion.slice(0, lastSlashIndex)
+        }
+        const components = parseMavenCoordinates(coordinates)
+        if (components === undefined) {
+            throw new PurlError(
+                'maven coordinates must be "groupId:artifactId:version[:classifier][:packaging]"',
+                { code: 'MAVEN_COORDINATES_INVALID', input: coordinates }
             )
         }
+        const { namespace, name, version, qualifiers } = components
+        return new PurlCtor('maven', namespace, name, version, qualifiers)
+    }
 
-        let rawQualifiers
-        const { searchParams } = url
-        if (searchParams.size !== 0) {
-            searchParams.forEach(value =>
-                decodePurlComponent('qualifiers', value)
+    static fromString(rawPurlStr, options) {
+        const PurlCtor = getPurlConstructor(this)
+        const { mode, repairs = [] } = { __proto__: null, ...options }
+        if (mode !== undefined && mode !== 'strict' && mode !== 'lenient') {
+            throw new TypeError('Mode must be "strict" or "lenient".')
+        }
+        if (!Array.isArray(repairs)) {
+            throw new TypeError('Repairs must be an array.')
+        }
+        const purlStr =
+            mode === 'lenient' && typeof rawPurlStr === 'string'
+                ? repairPurlString(rawPurlStr, repairs)
+                : rawPurlStr
+        const { components, offsets } = parsePurlString(purlStr)
+        let purl
+        try {
+            purl = new PurlCtor(...components, options)
+        } catch (e) {
+            throw annotatePurlError(e, purlStr, offsets)
+        }
+        if (mode === 'strict') {
+            const canonical = purl.toString()
+            if (canonical !== purlStr) {
+                let start = 0
+                while (purlStr[start] === canonical[start]) {
+                    start += 1
+                }
+                throw new PurlError(`expected canonical form "${canonical}"`, {
+                    code: 'NOT_CANONICAL',
+                    input: purlStr,
+                    purlType: purl.type,
+                    start,
+                    end: purlStr.length
+                })
+            }
+        }
+        return purl
+    }
+
+    static fromUrl(url) {
+        const PurlCtor = getPurlConstructor(this)
+        let parsedUrl = url
+        if (typeof url === 'string') {
+            try {
+                parsedUrl = new URL(url)
+            } catch {
+                return undefined
+            }
+        } else if (!(url instanceof URL)) {
+            throw new TypeError(
+                'A URL string or URL object argument is required.'
             )
-            // Split the remainder once from right on '?'.
-            rawQualifiers = searchParams
         }
+        const { registry } = PurlCtor
+        // Registered types are tried before built-in types so they can claim
+        // URLs of private mirrors.
+        const types = registry
+            .types()
+            .sort((a, b) => registry.isBuiltin(a) - registry.isBuiltin(b))
+        for (const type of types) {
+            const components = registry.get(type).fromUrl(parsedUrl)
+            if (components !== undefined) {
+                const { namespace, name, version, qualifiers, subpath } =
+                    components
+                // Recognized URLs may still have components the type rejects,
+                // like "https://www.npmjs.com/package/@babel".
+                try {
+                    return new PurlCtor(
+                        type,
+                        namespace,
+                        name,
+                        version,
+                        qualifiers,
+                        subpath
+                    )
+                } catch (e) {
+                    if (!(e instanceof PurlError)) {
+                        throw e
+                    }
+                    return undefined
+                }
+            }
+        }
+        return undefined
+    }
 
-        let rawSubpath
-        const { hash } = url
-        if (hash.length !== 0) {
-            // Split the purl string once from right on '#'.
-            rawSubpath = decodePurlComponent('subpath', hash.slice(1))
+    static parseString(purlStr) {
+        return parsePurlString(purlStr).components
+    }
+
+    static validate(input) {
+        const PurlCtor = getPurlConstructor(this)
+        const issues = []
+        let rawComponents
+        if (typeof input === 'string') {
+            try {
+                rawComponents = PurlCtor.parseString(input)
+            } catch (e) {
+                if (!(e instanceof PurlError)) {
+                    throw e
+                }
+                issues.push({
+                    code: e.code ?? 'INVALID_PURL_STRING',
+                    component: e.component,
+                    severity: 'error',
+                    message: e.message.replace(/^Invalid purl: /, '')
+                })
+                return { valid: false, issues }
+            }
+        } else if (isObject(input)) {
+            const { type, namespace, name, version, qualifiers, subpath } =
+                input
+            rawComponents = [
+                type,
+                namespace,
+                name,
+                version,
+                qualifiers,
+                subpath
+            ]
+        } else {
+            throw new TypeError('A purl string or object argument is required.')
         }
+        const purl = { __proto__: null }
+        for (let i = 0, { length } = PURL_COMPONENT_NAMES; i < length; i += 1) {
+            const comp = PURL_COMPONENT_NAMES[i]
+            const value = normalizeComponent(comp, rawComponents[i])
+            PurlComponent[comp].validate(value, false, issues)
+            purl[comp] = value ?? undefined
+        }
+        // Type rules assume a name, string components, and a qualifiers
+        // object, so only check them when the components are of those types.
+        // They are still checked when component values are invalid so that
+        // all issues are reported.
+        if (
+            isNonEmptyString(purl.name) &&
+            PURL_COMPONENT_NAMES.every(comp =>
+                comp === 'qualifiers'
+                    ? purl[comp] === undefined || isObject(purl[comp])
+                    : purl[comp] === undefined || typeof purl[comp] === 'string'
+            )
+        ) {
+            const typeHelpers = PurlCtor.registry.get(purl.type)
+            if (typeHelpers) {
+                typeHelpers.normalize(purl)
+                typeHelpers.validate(purl, false, issues)
+                if (typeHelpers.qualifiers) {
+                    validateQualifiersByType(
+                        purl.type,
+                        typeHelpers.qualifiers,
+                        purl.qualifiers,
+                        false,
+                        issues
+                    )
+                }
+            }
+        }
+        return {
+            valid: !issues.some(issue => issue.severity === 'error'),
+            issues
+        }
+    }
+
+    static registerType(type, entry) {
+        getPurlConstructor(this).registry.register(type, entry)
+    }
 
-        return [
-            rawType,
-            rawNamespace,
-            rawName,
-            rawVersion,
-            rawQualifiers,
-            rawSubpath
-        ]
+    static unregisterType(type) {
+        return getPurlConstructor(this).registry.unregister(type)
+    }
+
+    static withRegistry(registry = new PurlTypeRegistry()) {
+        if (!(registry instanceof PurlTypeRegistry)) {
+            throw new TypeError('A PurlTypeRegistry argument is required.')
+        }
+        const PurlCtor = getPurlConstructor(this)
+        return class ScopedPackageURL extends PurlCtor {
+            static registry = registry
+        }
     }
 }
 
-for (const staticProp of ['Component', 'KnownQualifierNames', 'Type']) {
+for (const staticProp of [
+    'Component',
+    'JsonSchema',
+    'KnownQualifierNames',
+    'Type',
+    'registry'
+]) {
     Reflect.defineProperty(PackageURL, staticProp, {
         ...Reflect.getOwnPropertyDescriptor(PackageURL, staticProp),
         writable: false
@@ -269,6 +926,9 @@ Reflect.setPrototypeOf(PackageURL.prototype, null)
 module.exports = {
     PackageURL,
     PurlComponent,
+    PurlJsonSchema,
     PurlQualifierNames,
-    PurlType
+    PurlType,
+    PurlTypeRegistry,
+    compareVersions
 }
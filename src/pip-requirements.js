@@ -0,0 +1,215 @@
+'use strict'
+
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+
+const PYPI_HOSTNAME = 'pypi.org'
+
+// https://peps.python.org/pep-0508/#names
+const regexPep508Name = /^[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?/
+// https://peps.python.org/pep-0440/#version-specifiers
+const regexPinnedSpecifier = /^===?\s*([^\s,*]+)$/
+const regexRequirementOption = /\s--?[A-Za-z]/
+const regexUrlScheme = /^[A-Za-z][A-Za-z0-9+.-]*:\/\//
+const regexVcsUrl = /^(?:bzr|git|hg|svn)\+/
+
+function createPypiPurl(name, version, qualifiers) {
+    // Creating the purl applies the pypi normalize rules, e.g. PEP 503 name
+    // normalization.
+    return new PackageURL('pypi', undefined, name, version, qualifiers)
+}
+
+function createPythonRequirementEntry(requirement, hashes, editable, line) {
+    const { extras, markers, name, specifier, url } = requirement
+    const qualifiers = {}
+    if (hashes.length) {
+        qualifiers.checksum = hashes.join(',')
+    }
+    if (url !== undefined) {
+        const source = resolvePythonUrlSource(url)
+        if (source === undefined) {
+            return undefined
+        }
+        Object.assign(qualifiers, source)
+    }
+    // Only "==" and "===" specifiers of a single version pin a requirement.
+    // Others are version ranges, which are kept in the metadata.
+    const pinnedMatch = regexPinnedSpecifier.exec(specifier)
+    return createLockfileEntry(
+        createPypiPurl(name, pinnedMatch?.[1], qualifiers),
+        {
+            editable,
+            extras: Object.freeze(extras),
+            line,
+            markers,
+            pinned: pinnedMatch !== null,
+            specifier,
+            url
+        }
+    )
+}
+
+function fromPipRequirements(text) {
+    const lines = getLockfileText(text, 'requirements.txt').split(/\r?\n/)
+    const entries = []
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const lineNumber = i + 1
+        let line = stripPipComment(lines[i])
+        // A line ending with a backslash continues on the next line.
+        while (line.endsWith('\\') && i + 1 < length) {
+            i += 1
+            line = `${line.slice(0, -1)}${stripPipComment(lines[i])}`
+        }
+        line = line.trim()
+        if (line.length === 0) {
+            continue
+        }
+        let editable = false
+        const editableMatch = /^(?:-e|--editable)(?:\s+|=)/.exec(line)
+        if (editableMatch) {
+            editable = true
+            line = line.slice(editableMatch[0].length)
+        } else if (line.startsWith('-')) {
+            // Options like "-r", "-c", and "--index-url" do not name a
+            // requirement.
+            continue
+        }
+        const optionMatch = regexRequirementOption.exec(line)
+        const requirementText = optionMatch
+            ? line.slice(0, optionMatch.index)
+            : line
+        const options = optionMatch ? line.slice(optionMatch.index) : ''
+        const requirement = parsePipRequirementText(requirementText.trim())
+        if (requirement === undefined) {
+            continue
+        }
+        // Hash-checking mode lists each allowed archive hash, e.g.
+        // "--hash=sha256:<hex digest>".
+        const hashes = []
+        const regexHashOption = /--hash(?:=|\s+)(\S+)/g
+        let match
+        while ((match = regexHashOption.exec(options)) !== null) {
+            hashes.push(match[1])
+        }
+        const entry = createPythonRequirementEntry(
+            requirement,
+            hashes,
+            editable,
+            lineNumber
+        )
+        if (entry) {
+            entries.push(entry)
+        }
+    }
+    return entries
+}
+
+function getPythonRepositoryUrl(url) {
+    // The repository_url qualifier defaults to https://pypi.org.
+    let hostname
+    try {
+        hostname = new URL(url).hostname
+    } catch {}
+    return hostname === PYPI_HOSTNAME || hostname === `www.${PYPI_HOSTNAME}`
+        ? undefined
+        : url
+}
+
+function parsePep508Requirement(text) {
+    // https://peps.python.org/pep-0508/#grammar
+    // "<name>[<extras>] <version specifier or "@ <url>"> ; <markers>"
+    const nameMatch = regexPep508Name.exec(text)
+    if (nameMatch === null) {
+        return undefined
+    }
+    const name = nameMatch[0]
+    let rest = text.slice(name.length).trimStart()
+    let extras = []
+    if (rest.startsWith('[')) {
+        const closeIndex = rest.indexOf(']')
+        if (closeIndex === -1) {
+            return undefined
+        }
+        extras = rest
+            .slice(1, closeIndex)
+            .split(',')
+            .map(extra => extra.trim())
+            .filter(extra => extra.length !== 0)
+        rest = rest.slice(closeIndex + 1).trimStart()
+    }
+    let markers
+    let specifier = ''
+    let url
+    if (rest.startsWith('@')) {
+        // A URL ends at whitespace so that "; <markers>" may follow.
+        rest = rest.slice(1).trimStart()
+        const spaceIndex = rest.search(/\s/)
+        url = spaceIndex === -1 ? rest : rest.slice(0, spaceIndex)
+        rest = spaceIndex === -1 ? '' : rest.slice(spaceIndex).trimStart()
+        if (url.length === 0) {
+            return undefined
+        }
+    } else {
+        const semicolonIndex = rest.indexOf(';')
+        specifier = (
+            semicolonIndex === -1 ? rest : rest.slice(0, semicolonIndex)
+        )
+            .trim()
+            .replace(/^\((.*)\)$/, '$1')
+            .replace(/\s+/g, '')
+        rest = semicolonIndex === -1 ? '' : rest.slice(semicolonIndex)
+    }
+    if (rest.startsWith(';')) {
+        markers = rest.slice(1).trim() || undefined
+    } else if (rest.length !== 0) {
+        return undefined
+    }
+    return { extras, markers, name, specifier, url }
+}
+
+function parsePipRequirementText(text) {
+    // pip also accepts bare URLs and paths naming their project with an
+    // "#egg=<name>" fragment.
+    if (
+        regexUrlScheme.test(text) ||
+        regexVcsUrl.test(text) ||
+        /^[./~]/.test(text)
+    ) {
+        const eggMatch = /[#&]egg=([^&\s]+)/.exec(text)
+        const requirement = eggMatch
+            ? parsePep508Requirement(eggMatch[1])
+            : undefined
+        return requirement
+            ? { ...requirement, url: text.replace(/#.*$/, '') }
+            : undefined
+    }
+    return parsePep508Requirement(text)
+}
+
+function resolvePythonUrlSource(url) {
+    // Returns the qualifiers of a direct reference URL or undefined for
+    // local paths.
+    if (regexVcsUrl.test(url)) {
+        // pip records the revision as an "@<revision>" suffix, as vcs_url
+        // does.
+        return { vcs_url: url.replace(/#.*$/, '') }
+    }
+    if (/^https?:/.test(url)) {
+        return { download_url: url.replace(/#.*$/, '') }
+    }
+    return undefined
+}
+
+function stripPipComment(line) {
+    // https://pip.pypa.io/en/stable/reference/requirements-file-format/#comments
+    const match = /(?:^|\s)#/.exec(line)
+    return match ? line.slice(0, match.index) : line
+}
+
+module.exports = {
+    createPypiPurl,
+    fromPipRequirements,
+    getPythonRepositoryUrl,
+    parsePep508Requirement,
+    resolvePythonUrlSource
+}
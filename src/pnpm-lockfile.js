@@ -0,0 +1,112 @@
+'use strict'
+
+const { convertIntegrityToChecksum } = require('./checksum')
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const { createNpmTarballPurl } = require('./npm-lockfile')
+const { isObject } = require('./objects')
+const { parseYaml } = require('./yaml')
+
+function fromPnpmLockfile(text) {
+    const lockfile = parseYaml(getLockfileText(text, 'pnpm-lock.yaml'))
+    const entries = new Map()
+    if (!isObject(lockfile) || !isObject(lockfile.packages)) {
+        return []
+    }
+    const { packages } = lockfile
+    // Lockfile version 9 moved the dependency details of packages, like
+    // "optional", to "snapshots" keyed by package and peer dependencies.
+    const snapshots = isObject(lockfile.snapshots)
+        ? lockfile.snapshots
+        : { __proto__: null }
+    const optionalKeys = new Set(
+        Object.keys(snapshots)
+            .filter(key => snapshots[key]?.optional === true)
+            .map(stripPnpmPeerSuffix)
+    )
+    for (const key of Object.keys(packages)) {
+        const pkg = isObject(packages[key])
+            ? packages[key]
+            : { __proto__: null }
+        const resolution = isObject(pkg.resolution)
+            ? pkg.resolution
+            : { __proto__: null }
+        const qualifiers = resolvePnpmQualifiers(resolution)
+        // Directory and local tarball packages are part of the project.
+        if (qualifiers === undefined) {
+            continue
+        }
+        const parsed = parsePnpmPackageKey(key)
+        const name = typeof pkg.name === 'string' ? pkg.name : parsed.name
+        const version =
+            typeof pkg.version === 'string' ? pkg.version : parsed.version
+        if (!name) {
+            continue
+        }
+        const purl = createNpmTarballPurl(name, version, qualifiers)
+        const purlStr = purl.toString()
+        const dev = pkg.dev === true
+        const optional =
+            pkg.optional === true || optionalKeys.has(stripPnpmPeerSuffix(key))
+        const existing = entries.get(purlStr)
+        // A package installed with different peer dependencies has an entry
+        // for each, which are only dev or optional if all of them are.
+        if (existing) {
+            existing.metadata.dev &&= dev
+            existing.metadata.optional &&= optional
+        } else {
+            entries.set(purlStr, {
+                purl,
+                metadata: { dev, key, optional }
+            })
+        }
+    }
+    return [...entries.values()].map(({ purl, metadata }) =>
+        createLockfileEntry(purl, metadata)
+    )
+}
+
+function parsePnpmPackageKey(key) {
+    // Package keys are "/<name>@<version>(<peers>)" in lockfile version 6
+    // and "<name>@<version>" in lockfile version 9.
+    const id = stripPnpmPeerSuffix(key.startsWith('/') ? key.slice(1) : key)
+    const atIndex = id.indexOf('@', 1)
+    return atIndex === -1
+        ? { name: undefined, version: undefined }
+        : { name: id.slice(0, atIndex), version: id.slice(atIndex + 1) }
+}
+
+function resolvePnpmQualifiers(resolution) {
+    const { commit, directory, integrity, repo, tarball, type } = resolution
+    if (typeof directory === 'string') {
+        return undefined
+    }
+    if (type === 'git' && typeof repo === 'string') {
+        const url = repo.startsWith('git+') ? repo : `git+${repo}`
+        return {
+            vcs_url: typeof commit === 'string' ? `${url}@${commit}` : url
+        }
+    }
+    const qualifiers = {}
+    if (typeof tarball === 'string') {
+        if (tarball.startsWith('file:')) {
+            return undefined
+        }
+        qualifiers.download_url = tarball
+    }
+    if (typeof integrity === 'string') {
+        const checksum = convertIntegrityToChecksum(integrity)
+        if (checksum !== undefined) {
+            qualifiers.checksum = checksum
+        }
+    }
+    return qualifiers
+}
+
+function stripPnpmPeerSuffix(key) {
+    const parenIndex = key.indexOf('(')
+    return parenIndex === -1 ? key : key.slice(0, parenIndex)
+}
+
+module.exports = {
+    fromPnpmLockfile
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+const { recursiveFreeze } = require('./objects')
+const { PurlType } = require('./purl-type')
+
+function createCaseInsensitivePattern(str) {
+    let pattern = ''
+    for (const char of str) {
+        const lower = char.toLowerCase()
+        const upper = char.toUpperCase()
+        pattern +=
+            lower === upper
+                ? char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                : `[${lower}${upper}]`
+    }
+    return `^${pattern}$`
+}
+
+function createTypeRulesSchemas() {
+    const schemas = []
+    for (const type of Object.keys(PurlType)) {
+        const { empty, required } = PurlType[type].components
+        if (empty.length === 0 && required.length === 0) {
+            continue
+        }
+        const properties = {}
+        for (const name of required) {
+            properties[name] = { type: 'string', minLength: 1 }
+        }
+        for (const name of empty) {
+            properties[name] = { type: ['string', 'null'], maxLength: 0 }
+        }
+        schemas.push({
+            if: {
+                properties: {
+                    type: { pattern: createCaseInsensitivePattern(type) }
+                },
+                required: ['type']
+            },
+            then: required.length
+                ? { properties, required: [...required] }
+                : { properties }
+        })
+    }
+    return schemas
+}
+
+// A JSON Schema of the purl components object accepted by
+// PackageURL.fromJSON() and returned by PackageURL#toJSON().
+const PurlJsonSchema = recursiveFreeze({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Package URL components',
+    type: 'object',
+    properties: {
+        type: {
+            type: 'string',
+            // The type is composed only of ASCII letters and numbers, '.', '+'
+            // and '-' and cannot start with a number.
+            pattern: '^[A-Za-z.+-][A-Za-z0-9.+-]*$'
+        },
+        namespace: { type: ['string', 'null'] },
+        name: { type: 'string', minLength: 1 },
+        version: { type: ['string', 'null'] },
+        qualifiers: {
+            type: ['object', 'null'],
+            // A key is composed only of ASCII letters and numbers, '.', '-'
+            // and '_' and cannot start with a number.
+            propertyNames: { pattern: '^[A-Za-z._-][A-Za-z0-9._-]*$' },
+            additionalProperties: { type: 'string' }
+        },
+        subpath: { type: ['string', 'null'] }
+    },
+    required: ['type', 'name'],
+    additionalProperties: false,
+    allOf: createTypeRulesSchemas()
+})
+
+module.exports = {
+    PurlJsonSchema
+}
@@ -0,0 +1,300 @@
+'use strict'
+
+// Qualifiers defined by each PURL type:
+// https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst
+// Each qualifier has a description, may constrain its value to a pattern or
+// a list of values, and may have a default value.
+
+const regexArch = /^[A-Za-z0-9_.+-]+$/
+
+const PurlTypeQualifiers = {
+    __proto__: null,
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#alpm
+    alpm: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            pattern: regexArch
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#apk
+    apk: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            pattern: regexArch
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#bitnami
+    bitnami: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            default: 'amd64',
+            pattern: regexArch
+        },
+        distro: {
+            description: 'Distribution name.'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cargo
+    cargo: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the crate registry.',
+            default: 'https://crates.io'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cocoapods
+    cocoapods: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the CocoaPods spec repository.',
+            default: 'https://cdn.cocoapods.org/'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conan
+    conan: {
+        __proto__: null,
+        channel: {
+            description: 'Channel name.'
+        },
+        prev: {
+            description: 'Package revision.',
+            pattern: /^[0-9a-f]+$/
+        },
+        rrev: {
+            description: 'Recipe revision.',
+            pattern: /^[0-9a-f]+$/
+        },
+        user: {
+            description: 'User name.'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conda
+    conda: {
+        __proto__: null,
+        build: {
+            description: 'Build string, e.g. "py36h06a4308_0".',
+            pattern: /^[A-Za-z0-9_.]+$/
+        },
+        channel: {
+            description: 'Channel name.'
+        },
+        repository_url: {
+            description: 'URL of the conda channel server.',
+            default: 'https://repo.anaconda.com'
+        },
+        subdir: {
+            description: 'Platform subdirectory, e.g. "linux-64".',
+            pattern: /^[a-z0-9_]+(?:-[a-z0-9_]+)?$/
+        },
+        type: {
+            description: 'Package format.',
+            values: ['conda', 'tar.bz2']
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cpan
+    cpan: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the CPAN mirror.',
+            default: 'https://www.cpan.org/'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#deb
+    deb: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            pattern: /^[a-z0-9-]+$/
+        },
+        distro: {
+            description: 'Distribution, e.g. "bookworm".'
+        },
+        upstream: {
+            description:
+                'Source package of a binary package, e.g. "glibc@2.36-9".'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#docker
+    docker: {
+        __proto__: null,
+        repository_url: {
+            description: 'Registry of the image, e.g. "gcr.io".',
+            default: 'https://hub.docker.com'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#gem
+    gem: {
+        __proto__: null,
+        platform: {
+            description: 'Gem platform.',
+            default: 'ruby'
+        },
+        repository_url: {
+            description: 'URL of the gem server.',
+            default: 'https://rubygems.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#generic
+    generic: {
+        __proto__: null,
+        checksum: {
+            description:
+                'Checksums of the artifact, e.g. "sha1:ad9503c3e994a4f".'
+        },
+        download_url: {
+            description: 'URL of the artifact.'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#hackage
+    hackage: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the Hackage server.',
+            default: 'https://hackage.haskell.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#hex
+    hex: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the Hex repository.',
+            default: 'https://repo.hex.pm'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#huggingface
+    huggingface: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the Hugging Face Hub.',
+            default: 'https://huggingface.co'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#maven
+    maven: {
+        __proto__: null,
+        classifier: {
+            description: 'Maven classifier.',
+            pattern: /^[A-Za-z0-9_.-]+$/
+        },
+        repository_url: {
+            description: 'URL of the Maven repository.',
+            default: 'https://repo.maven.apache.org/maven2'
+        },
+        type: {
+            description: 'Maven packaging type.',
+            default: 'jar',
+            pattern: /^[A-Za-z0-9_.-]+$/
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#mlflow
+    mlflow: {
+        __proto__: null,
+        model_uuid: {
+            description: 'Model UUID.',
+            pattern:
+                /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i
+        },
+        repository_url: {
+            description: 'URL of the MLflow server.'
+        },
+        run_id: {
+            description: 'Training run ID.',
+            pattern: /^[0-9a-f]+$/i
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#npm
+    npm: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the npm registry.',
+            default: 'https://registry.npmjs.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#nuget
+    nuget: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the NuGet feed.',
+            default: 'https://www.nuget.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#oci
+    oci: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            pattern: regexArch
+        },
+        repository_url: {
+            description:
+                'Registry and repository of the artifact, e.g. "ghcr.io/debian".'
+        },
+        tag: {
+            description: 'Artifact tag.',
+            // https://github.com/opencontainers/distribution-spec/blob/main/spec.md#pulling-manifests
+            pattern: /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#pub
+    pub: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the pub server.',
+            default: 'https://pub.dartlang.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#pypi
+    pypi: {
+        __proto__: null,
+        repository_url: {
+            description: 'URL of the package index.',
+            default: 'https://pypi.org'
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#rpm
+    rpm: {
+        __proto__: null,
+        arch: {
+            description: 'Package architecture.',
+            pattern: /^[A-Za-z0-9_]+$/
+        },
+        distro: {
+            description: 'Distribution, e.g. "fedora-35".'
+        },
+        epoch: {
+            description: 'Package epoch.',
+            pattern: /^\d+$/
+        }
+    },
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swid
+    swid: {
+        __proto__: null,
+        patch: {
+            description: 'Whether the tag describes a patch.',
+            default: 'false',
+            values: ['false', 'true']
+        },
+        tag_creator_name: {
+            description: 'Name of the tag creator.'
+        },
+        tag_creator_regid: {
+            description:
+                'Registration id of the tag creator, e.g. "microsoft.com".'
+        },
+        tag_id: {
+            description: 'Identifier of the tag, lowercase when it is a GUID.'
+        },
+        tag_version: {
+            description: 'Version of the tag.',
+            default: '0',
+            pattern: /^\d+$/
+        }
+    }
+}
+
+module.exports = {
+    PurlTypeQualifiers
+}
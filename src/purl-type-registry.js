@@ -0,0 +1,258 @@
+'use strict'
+
+const { isObject, recursiveFreeze } = require('./objects')
+const { normalizeType } = require('./normalize')
+const { PurlQualifierNames } = require('./purl-qualifier-names')
+const { PurlType } = require('./purl-type')
+const { compareStrings } = require('./strings')
+const { createIssueCode, reportIssue, validateType } = require('./validate')
+const { compareVersionsByTokens } = require('./versions')
+
+const PurlTypeNormalizer = purl => purl
+const PurlTypeUrlParser = _url => undefined
+const PurlTypeUrlTemplate = _purl => undefined
+const PurlTypeValidator = (_purl, _throws, _issues) => true
+const PurlTypeVersionComparator = compareVersionsByTokens
+
+const genericQualifierNames = Object.values(PurlQualifierNames)
+
+// Keys of entries that may override those of built-in types.
+const builtinOverrideKeys = new Set(['downloadUrl', 'repositoryUrl'])
+
+function createBuiltinOverrideEntry(type, entry) {
+    // Built-in types keep their rules and only have their URL templates
+    // replaced, e.g. to point at a private mirror.
+    const builtin = PurlType[type]
+    const {
+        downloadUrl = builtin.downloadUrl,
+        repositoryUrl = builtin.repositoryUrl
+    } = entry
+    if (typeof downloadUrl !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "downloadUrl" must be a function`
+        )
+    }
+    if (typeof repositoryUrl !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "repositoryUrl" must be a function`
+        )
+    }
+    return Object.freeze({
+        __proto__: null,
+        ...builtin,
+        downloadUrl,
+        repositoryUrl
+    })
+}
+
+function createKnownQualifiersValidator(type, knownQualifiers, validate) {
+    const knownNames = new Set([...genericQualifierNames, ...knownQualifiers])
+    return function validateKnownQualifiers(purl, throws, issues) {
+        const { qualifiers } = purl
+        let valid = true
+        if (isObject(qualifiers)) {
+            for (const key of Object.keys(qualifiers)) {
+                if (!knownNames.has(key)) {
+                    reportIssue(
+                        {
+                            code: createIssueCode(
+                                type,
+                                'qualifier not supported'
+                            ),
+                            component: 'qualifiers',
+                            message: `${type} does not support a "${key}" qualifier`
+                        },
+                        throws,
+                        issues
+                    )
+                    if (issues === undefined) {
+                        return false
+                    }
+                    valid = false
+                }
+            }
+        }
+        return validate(purl, throws, issues) && valid
+    }
+}
+
+function createTypeValidator(type, validate) {
+    return function validateType(purl, throws, issues) {
+        if (issues === undefined) {
+            return validate(purl, throws)
+        }
+        // Custom validators may not know how to collect issues so report
+        // their failures as a single issue.
+        const { length } = issues
+        let message
+        try {
+            if (validate(purl, false, issues) || issues.length !== length) {
+                return issues.length === length
+            }
+        } catch (e) {
+            message = String(e?.message ?? '').replace(/^Invalid purl: /, '')
+        }
+        reportIssue(
+            {
+                code: createIssueCode(type, 'invalid'),
+                component: undefined,
+                message: message || `${type} purl is invalid`
+            },
+            throws,
+            issues
+        )
+        return false
+    }
+}
+
+function createRegistryEntry(type, entry) {
+    if (!isObject(entry)) {
+        throw new TypeError(`purl type "${type}" entry must be an object`)
+    }
+    const {
+        compareName = compareStrings,
+        downloadUrl = PurlTypeUrlTemplate,
+        fromUrl = PurlTypeUrlParser,
+        knownQualifiers,
+        normalize = PurlTypeNormalizer,
+        qualifiers,
+        repositoryUrl = PurlTypeUrlTemplate,
+        validate = PurlTypeValidator,
+        version = PurlTypeVersionComparator
+    } = entry
+    if (typeof compareName !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "compareName" must be a function`
+        )
+    }
+    if (typeof downloadUrl !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "downloadUrl" must be a function`
+        )
+    }
+    if (typeof fromUrl !== 'function') {
+        throw new TypeError(`purl type "${type}" "fromUrl" must be a function`)
+    }
+    if (typeof normalize !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "normalize" must be a function`
+        )
+    }
+    if (typeof repositoryUrl !== 'function') {
+        throw new TypeError(
+            `purl type "${type}" "repositoryUrl" must be a function`
+        )
+    }
+    if (typeof validate !== 'function') {
+        throw new TypeError(`purl type "${type}" "validate" must be a function`)
+    }
+    if (typeof version !== 'function') {
+        throw new TypeError(`purl type "${type}" "version" must be a function`)
+    }
+    if (qualifiers !== undefined && !isObject(qualifiers)) {
+        throw new TypeError(
+            `purl type "${type}" "qualifiers" must be an object`
+        )
+    }
+    if (knownQualifiers !== undefined && !Array.isArray(knownQualifiers)) {
+        throw new TypeError(
+            `purl type "${type}" "knownQualifiers" must be an array`
+        )
+    }
+    const loweredQualifiers = knownQualifiers?.map(key => key.toLowerCase())
+    return Object.freeze({
+        __proto__: null,
+        compareName,
+        downloadUrl,
+        fromUrl,
+        knownQualifiers: loweredQualifiers
+            ? Object.freeze(loweredQualifiers)
+            : undefined,
+        normalize,
+        qualifiers: qualifiers
+            ? recursiveFreeze({ __proto__: null, ...qualifiers })
+            : undefined,
+        repositoryUrl,
+        validate: loweredQualifiers
+            ? createKnownQualifiersValidator(
+                  type,
+                  loweredQualifiers,
+                  createTypeValidator(type, validate)
+              )
+            : createTypeValidator(type, validate),
+        version
+    })
+}
+
+class PurlTypeRegistry {
+    #entries = new Map()
+
+    compareVersions(rawType, a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string') {
+            throw new TypeError('Version arguments must be strings.')
+        }
+        const compare = this.get(rawType)?.version ?? PurlTypeVersionComparator
+        const result = compare(a, b)
+        return result === 0 ? 0 : result < 0 ? -1 : 1
+    }
+
+    get(rawType) {
+        const type = normalizeType(rawType)
+        return this.#entries.get(type) ?? PurlType[type]
+    }
+
+    has(rawType) {
+        return this.get(rawType) !== undefined
+    }
+
+    isBuiltin(rawType) {
+        return PurlType[normalizeType(rawType)] !== undefined
+    }
+
+    register(rawType, entry) {
+        const type = normalizeType(rawType)
+        validateType(type, true)
+        const isBuiltin = this.isBuiltin(type)
+        if (
+            this.#entries.has(type) ||
+            (isBuiltin &&
+                !(
+                    isObject(entry) &&
+                    Object.keys(entry).every(key =>
+                        builtinOverrideKeys.has(key)
+                    )
+                ))
+        ) {
+            throw new TypeError(`purl type "${type}" is already registered`)
+        }
+        this.#entries.set(
+            type,
+            isBuiltin
+                ? createBuiltinOverrideEntry(type, entry)
+                : createRegistryEntry(type, entry)
+        )
+        return this
+    }
+
+    types() {
+        return [
+            ...new Set([...Object.keys(PurlType), ...this.#entries.keys()])
+        ].sort()
+    }
+
+    unregister(rawType) {
+        return this.#entries.delete(normalizeType(rawType))
+    }
+}
+
+const defaultRegistry = new PurlTypeRegistry()
+
+function compareVersions(type, a, b) {
+    return defaultRegistry.compareVersions(type, a, b)
+}
+
+module.exports = {
+    PurlTypeRegistry,
+    compareVersions,
+    defaultRegistry
+}
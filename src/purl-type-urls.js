@@ -0,0 +1,578 @@
+'use strict'
+
+const { escapeGolangModulePath } = require('./golang')
+
+const { encodeURIComponent } = globalThis
+
+const regexUrlScheme = /^[A-Za-z][A-Za-z0-9+.-]*:\/\//
+
+function encodePath(...components) {
+    // Encode each path segment of the components, skipping missing ones, but
+    // keep the ":" and "@" characters that are allowed in URL paths.
+    const segments = []
+    for (const component of components) {
+        if (typeof component !== 'string') {
+            continue
+        }
+        for (const segment of component.split('/')) {
+            if (segment.length !== 0) {
+                segments.push(
+                    encodeURIComponent(segment)
+                        .replace(/%3A/g, ':')
+                        .replace(/%40/g, '@')
+                )
+            }
+        }
+    }
+    return segments.join('/')
+}
+
+function fromPathSegments(segments, version) {
+    // Split a path into the namespace of all but its last segment and the
+    // name of its last segment.
+    return {
+        namespace:
+            segments.length > 1 ? segments.slice(0, -1).join('/') : undefined,
+        name: segments.at(-1),
+        version
+    }
+}
+
+function getBaseUrl(purl, defaultUrl) {
+    const repositoryUrl = purl.qualifiers?.repository_url
+    if (typeof repositoryUrl !== 'string') {
+        return defaultUrl
+    }
+    // A repository_url may be a bare host and path, e.g. "gcr.io".
+    const url = regexUrlScheme.test(repositoryUrl)
+        ? repositoryUrl
+        : `https://${repositoryUrl}`
+    return url.replace(/\/+$/, '')
+}
+
+function getPathSegments(url, ...hostnames) {
+    // The decoded non-empty path segments of a URL of one of the hostnames,
+    // or undefined for other or malformed URLs.
+    if (!hostnames.includes(url.hostname)) {
+        return undefined
+    }
+    const segments = []
+    for (const segment of url.pathname.split('/')) {
+        if (segment.length !== 0) {
+            try {
+                segments.push(decodeURIComponent(segment))
+            } catch {
+                return undefined
+            }
+        }
+    }
+    return segments
+}
+
+function hasRepositoryUrl(purl) {
+    return typeof purl.qualifiers?.repository_url === 'string'
+}
+
+// Download URL templates of PURL types, which resolve to undefined when a purl
+// lacks the components they need. Private mirrors are respected through the
+// repository_url qualifier.
+const PurlTypeDownloadUrls = {
+    __proto__: null,
+    // https://support.atlassian.com/bitbucket-cloud/docs/download-repository-archives/
+    bitbucket(purl) {
+        const { name, namespace, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://bitbucket.org')}/${encodePath(namespace, name)}/get/${encodePath(version)}.tar.gz`
+    },
+    // https://doc.rust-lang.org/cargo/reference/registry-index.html#index-configuration
+    cargo(purl) {
+        const { name, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://crates.io')}/api/v1/crates/${encodePath(name)}/${encodePath(version)}/download`
+    },
+    // https://cran.r-project.org/doc/manuals/r-release/R-admin.html#Installing-packages
+    cran(purl) {
+        const { name, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://cran.r-project.org')}/src/contrib/${encodePath(`${name}_${version}`)}.tar.gz`
+    },
+    // https://guides.rubygems.org/rubygems-org-api/
+    gem(purl) {
+        const { name, version } = purl
+        if (version === undefined) {
+            return undefined
+        }
+        // Platform gems are suffixed with their platform, e.g. "-java".
+        const platform = purl.qualifiers?.platform
+        const suffix =
+            platform === undefined || platform === 'ruby' ? '' : `-${platform}`
+        return `${getBaseUrl(purl, 'https://rubygems.org')}/downloads/${encodePath(`${name}-${version}${suffix}`)}.gem`
+    },
+    // https://docs.github.com/en/repositories/working-with-files/using-files/downloading-source-code-archives#source-code-archive-urls
+    github(purl) {
+        const { name, namespace, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://github.com')}/${encodePath(namespace, name)}/archive/${encodePath(version)}.tar.gz`
+    },
+    // https://docs.gitlab.com/ee/api/repositories.html#get-file-archive
+    gitlab(purl) {
+        const { name, namespace, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://gitlab.com')}/${encodePath(namespace, name)}/-/archive/${encodePath(version)}/${encodePath(`${name}-${version}`)}.tar.gz`
+    },
+    // https://go.dev/ref/mod#goproxy-protocol
+    golang(purl) {
+        const { name, namespace, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://proxy.golang.org')}/${encodePath(escapeGolangModulePath(namespace ? `${namespace}/${name}` : name))}/@v/${encodePath(escapeGolangModulePath(version))}.zip`
+    },
+    // https://hackage.haskell.org/api#core
+    hackage(purl) {
+        const { name, version } = purl
+        if (version === undefined) {
+            return undefined
+        }
+        const packageId = encodePath(`${name}-${version}`)
+        return `${getBaseUrl(purl, 'https://hackage.haskell.org')}/package/${packageId}/${packageId}.tar.gz`
+    },
+    // https://github.com/hexpm/specifications/blob/main/endpoints.md#repository
+    hex(purl) {
+        const { name, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://repo.hex.pm')}/tarballs/${encodePath(`${name}-${version}`)}.tar`
+    },
+    // https://maven.apache.org/repository/layout.html
+    maven(purl) {
+        const { name, namespace, version } = purl
+        if (namespace === undefined || version === undefined) {
+            return undefined
+        }
+        const classifier = purl.qualifiers?.classifier
+        const type = purl.qualifiers?.type ?? 'jar'
+        const fileName = `${name}-${version}${classifier === undefined ? '' : `-${classifier}`}.${type}`
+        return `${getBaseUrl(purl, 'https://repo.maven.apache.org/maven2')}/${encodePath(namespace.replace(/\./g, '/'), name, version, fileName)}`
+    },
+    // https://github.com/npm/registry/blob/main/docs/REGISTRY-API.md#getpackageversion
+    npm(purl) {
+        const { name, namespace, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://registry.npmjs.org')}/${encodePath(namespace, name)}/-/${encodePath(`${name}-${version}`)}.tgz`
+    },
+    // https://learn.microsoft.com/en-us/nuget/api/package-base-address-resource#download-package-content-nupkg
+    nuget(purl) {
+        const { version } = purl
+        if (version === undefined) {
+            return undefined
+        }
+        // The package content resource uses lowercase ids and versions.
+        const id = encodePath(purl.name.toLowerCase())
+        const loweredVersion = encodePath(version.toLowerCase())
+        return `${getBaseUrl(purl, 'https://api.nuget.org/v3-flatcontainer')}/${id}/${loweredVersion}/${id}.${loweredVersion}.nupkg`
+    },
+    // https://github.com/dart-lang/pub/blob/master/doc/repository-spec-v2.md
+    pub(purl) {
+        const { name, version } = purl
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://pub.dev')}/packages/${encodePath(name)}/versions/${encodePath(version)}.tar.gz`
+    },
+    // https://docs.pypi.org/api/json/#get-a-release
+    pypi(purl) {
+        const { name, version } = purl
+        // Release files are content addressed so resolve to the JSON API of
+        // the release, which lists them.
+        return version === undefined
+            ? undefined
+            : `${getBaseUrl(purl, 'https://pypi.org')}/pypi/${encodePath(name)}/${encodePath(version)}/json`
+    }
+}
+
+// URL parsers of PURL types, which recognize the download and page URLs of
+// their public registries and forges and return the purl components, without
+// the type, or undefined for URLs they do not recognize.
+const PurlTypeUrlParsers = {
+    __proto__: null,
+    bitbucket(url) {
+        const segments = getPathSegments(url, 'bitbucket.org')
+        if (segments === undefined || segments.length < 2) {
+            return undefined
+        }
+        const { 0: owner, 1: repo, 2: page, 3: ref } = segments
+        return {
+            namespace: owner,
+            name: stripGitSuffix(repo),
+            version: page === 'src' || page === 'commits' ? ref : undefined
+        }
+    },
+    cargo(url) {
+        const segments = getPathSegments(url, 'crates.io')
+        if (segments?.[0] === 'crates' && segments.length >= 2) {
+            // https://crates.io/crates/<name>/<version>
+            return { name: segments[1], version: segments[2] }
+        }
+        if (
+            segments?.length === 6 &&
+            segments.slice(0, 3).join('/') === 'api/v1/crates' &&
+            segments[5] === 'download'
+        ) {
+            return { name: segments[3], version: segments[4] }
+        }
+        return undefined
+    },
+    cocoapods(url) {
+        const segments = getPathSegments(url, 'cocoapods.org')
+        return segments?.[0] === 'pods' && segments.length === 2
+            ? { name: segments[1] }
+            : undefined
+    },
+    composer(url) {
+        const segments = getPathSegments(url, 'packagist.org')
+        return segments?.[0] === 'packages' && segments.length === 3
+            ? { namespace: segments[1], name: segments[2] }
+            : undefined
+    },
+    cran(url) {
+        // cran purls require a version so only source package downloads,
+        // like /src/contrib/<name>_<version>.tar.gz, are recognized.
+        const segments = getPathSegments(url, 'cran.r-project.org')
+        const match =
+            segments?.length === 3 &&
+            segments[0] === 'src' &&
+            segments[1] === 'contrib'
+                ? /^([^_]+)_(.+)\.tar\.gz$/.exec(segments[2])
+                : null
+        return match ? { name: match[1], version: match[2] } : undefined
+    },
+    docker(url) {
+        const segments = getPathSegments(url, 'hub.docker.com')
+        if (segments?.[0] === '_' && segments.length >= 2) {
+            // Official images, e.g. https://hub.docker.com/_/nginx
+            return { name: segments[1] }
+        }
+        return segments?.[0] === 'r' && segments.length >= 3
+            ? { namespace: segments[1], name: segments[2] }
+            : undefined
+    },
+    gem(url) {
+        const segments = getPathSegments(url, 'rubygems.org')
+        if (segments?.[0] !== 'gems' || segments.length < 2) {
+            return undefined
+        }
+        return {
+            name: segments[1],
+            version: segments[2] === 'versions' ? segments[3] : undefined
+        }
+    },
+    github(url) {
+        const segments = getPathSegments(url, 'github.com', 'www.github.com')
+        if (segments === undefined || segments.length < 2) {
+            return undefined
+        }
+        const { 0: owner, 1: repo, 2: page } = segments
+        let version
+        if (page === 'tree' || page === 'blob' || page === 'commit') {
+            version = segments[3]
+        } else if (page === 'releases' && segments[3] === 'tag') {
+            version = segments[4]
+        } else if (page === 'archive' && segments.length > 3) {
+            // https://github.com/<owner>/<repo>/archive/refs/tags/<tag>.tar.gz
+            version = stripArchiveExtension(
+                segments.slice(3).join('/')
+            ).replace(/^refs\/(?:heads|tags)\//, '')
+        }
+        return { namespace: owner, name: stripGitSuffix(repo), version }
+    },
+    gitlab(url) {
+        const segments = getPathSegments(url, 'gitlab.com')
+        if (segments === undefined) {
+            return undefined
+        }
+        // Projects may be in nested groups so their path ends at the "-"
+        // segment that starts project pages.
+        const dashIndex = segments.indexOf('-')
+        const projectSegments =
+            dashIndex === -1 ? segments : segments.slice(0, dashIndex)
+        if (projectSegments.length < 2) {
+            return undefined
+        }
+        const page = dashIndex === -1 ? undefined : segments[dashIndex + 1]
+        const version =
+            page === 'tree' ||
+            page === 'blob' ||
+            page === 'commit' ||
+            page === 'tags' ||
+            page === 'archive'
+                ? segments[dashIndex + 2]
+                : undefined
+        projectSegments.push(stripGitSuffix(projectSegments.pop()))
+        return fromPathSegments(projectSegments, version)
+    },
+    golang(url) {
+        if (url.hostname === 'pkg.go.dev') {
+            const modulePath = url.pathname.slice(1)
+            const atIndex = modulePath.lastIndexOf('@')
+            // The golang normalizer splits the module path.
+            return modulePath.includes('/')
+                ? {
+                      name:
+                          atIndex === -1
+                              ? modulePath
+                              : modulePath.slice(0, atIndex),
+                      version:
+                          atIndex === -1
+                              ? undefined
+                              : modulePath.slice(atIndex + 1)
+                  }
+                : undefined
+        }
+        // https://proxy.golang.org/<module>/@v/<version>.zip in the escaped
+        // form, which the golang normalizer unescapes.
+        const segments = getPathSegments(url, 'proxy.golang.org')
+        const vIndex = segments?.indexOf('@v') ?? -1
+        if (vIndex < 2 || vIndex !== segments.length - 2) {
+            return undefined
+        }
+        return {
+            name: segments.slice(0, vIndex).join('/'),
+            version: segments[vIndex + 1].replace(/\.(?:info|mod|zip)$/, '')
+        }
+    },
+    hackage(url) {
+        const segments = getPathSegments(url, 'hackage.haskell.org')
+        if (segments?.[0] !== 'package' || segments.length < 2) {
+            return undefined
+        }
+        // A package id is the name optionally followed by "-<version>".
+        const match = /^(.+?)(?:-(\d+(?:\.\d+)*))?$/.exec(segments[1])
+        return { name: match[1], version: match[2] }
+    },
+    hex(url) {
+        const segments = getPathSegments(url, 'hex.pm')
+        return segments?.[0] === 'packages' && segments.length >= 2
+            ? { name: segments[1], version: segments[2] }
+            : undefined
+    },
+    maven(url) {
+        let segments = getPathSegments(
+            url,
+            'central.sonatype.com',
+            'mvnrepository.com'
+        )
+        if (segments?.[0] === 'artifact' && segments.length >= 3) {
+            // https://central.sonatype.com/artifact/<group>/<artifact>/<version>
+            return {
+                namespace: segments[1],
+                name: segments[2],
+                version: segments[3]
+            }
+        }
+        // https://maven.apache.org/repository/layout.html
+        segments = getPathSegments(
+            url,
+            'repo.maven.apache.org',
+            'repo1.maven.org'
+        )
+        if (segments?.[0] !== 'maven2' || segments.length < 5) {
+            return undefined
+        }
+        const fileName = segments.at(-1)
+        const version = segments.at(-2)
+        const name = segments.at(-3)
+        const prefix = `${name}-${version}`
+        if (!fileName.startsWith(prefix)) {
+            return undefined
+        }
+        // The rest of the file name is an optional "-<classifier>" and the
+        // ".<extension>", which is the type.
+        const match = /^(?:-([^.]+))?\.(.+)$/.exec(
+            fileName.slice(prefix.length)
+        )
+        if (match === null) {
+            return undefined
+        }
+        const { 1: classifier, 2: type } = match
+        const qualifiers = {}
+        if (classifier !== undefined) {
+            qualifiers.classifier = classifier
+        }
+        if (type !== 'jar') {
+            qualifiers.type = type
+        }
+        return {
+            namespace: segments.slice(1, -3).join('.'),
+            name,
+            version,
+            qualifiers
+        }
+    },
+    npm(url) {
+        let segments = getPathSegments(url, 'www.npmjs.com', 'npmjs.com')
+        if (segments !== undefined) {
+            // https://www.npmjs.com/package/<name>/v/<version>
+            if (segments[0] !== 'package' || segments.length < 2) {
+                return undefined
+            }
+            segments = segments.slice(1)
+            const scoped = segments[0].startsWith('@')
+            const nameSegments = segments.slice(0, scoped ? 2 : 1)
+            const page = segments[nameSegments.length]
+            return fromPathSegments(
+                nameSegments,
+                page === 'v' ? segments[nameSegments.length + 1] : undefined
+            )
+        }
+        // https://registry.npmjs.org/<name>/-/<name>-<version>.tgz
+        segments = getPathSegments(url, 'registry.npmjs.org')
+        if (segments === undefined || segments.length === 0) {
+            return undefined
+        }
+        const scoped = segments[0].startsWith('@')
+        const nameSegments = segments.slice(0, scoped ? 2 : 1)
+        const rest = segments.slice(nameSegments.length)
+        let version
+        if (rest[0] === '-' && rest.length === 2) {
+            const prefix = `${nameSegments.at(-1)}-`
+            if (!rest[1].startsWith(prefix) || !rest[1].endsWith('.tgz')) {
+                return undefined
+            }
+            version = rest[1].slice(prefix.length, -4)
+        } else if (rest.length === 1) {
+            version = rest[0]
+        }
+        return fromPathSegments(nameSegments, version)
+    },
+    nuget(url) {
+        const segments = getPathSegments(url, 'www.nuget.org', 'nuget.org')
+        return segments?.[0] === 'packages' && segments.length >= 2
+            ? { name: segments[1], version: segments[2] }
+            : undefined
+    },
+    pub(url) {
+        const segments = getPathSegments(url, 'pub.dev', 'pub.dartlang.org')
+        if (segments?.[0] !== 'packages' || segments.length < 2) {
+            return undefined
+        }
+        return {
+            name: segments[1],
+            version: segments[2] === 'versions' ? segments[3] : undefined
+        }
+    },
+    pypi(url) {
+        const segments = getPathSegments(url, 'pypi.org', 'www.pypi.org')
+        if (segments?.[0] === 'project' && segments.length >= 2) {
+            // https://pypi.org/project/<name>/<version>/
+            return { name: segments[1], version: segments[2] }
+        }
+        if (segments?.[0] === 'pypi' && segments.at(-1) === 'json') {
+            // https://pypi.org/pypi/<name>/<version>/json
+            return segments.length === 3 || segments.length === 4
+                ? {
+                      name: segments[1],
+                      version: segments.length === 4 ? segments[2] : undefined
+                  }
+                : undefined
+        }
+        return undefined
+    }
+}
+
+// Repository URL templates of PURL types, which resolve to the human-facing
+// page of a package, or of its version when present. Pages of private mirrors
+// are resolved through the repository_url qualifier.
+const PurlTypeRepositoryUrls = {
+    __proto__: null,
+    bitbucket(purl) {
+        const { name, namespace, version } = purl
+        return `${getBaseUrl(purl, 'https://bitbucket.org')}/${encodePath(namespace, name)}${version === undefined ? '' : `/src/${encodePath(version)}`}`
+    },
+    cargo(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://crates.io')}/crates/${encodePath(name, version)}`
+    },
+    cocoapods(purl) {
+        return `https://cocoapods.org/pods/${encodePath(purl.name)}`
+    },
+    composer(purl) {
+        const { name, namespace } = purl
+        return `${getBaseUrl(purl, 'https://packagist.org')}/packages/${encodePath(namespace, name)}`
+    },
+    cran(purl) {
+        return `${getBaseUrl(purl, 'https://cran.r-project.org')}/package=${encodePath(purl.name)}`
+    },
+    gem(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://rubygems.org')}/gems/${encodePath(name)}${version === undefined ? '' : `/versions/${encodePath(version)}`}`
+    },
+    github(purl) {
+        const { name, namespace, version } = purl
+        return `${getBaseUrl(purl, 'https://github.com')}/${encodePath(namespace, name)}${version === undefined ? '' : `/tree/${encodePath(version)}`}`
+    },
+    gitlab(purl) {
+        const { name, namespace, version } = purl
+        return `${getBaseUrl(purl, 'https://gitlab.com')}/${encodePath(namespace, name)}${version === undefined ? '' : `/-/tree/${encodePath(version)}`}`
+    },
+    golang(purl) {
+        const { name, namespace, version } = purl
+        return `https://pkg.go.dev/${encodePath(namespace, name)}${version === undefined ? '' : `@${encodePath(version)}`}`
+    },
+    hackage(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://hackage.haskell.org')}/package/${encodePath(version === undefined ? name : `${name}-${version}`)}`
+    },
+    hex(purl) {
+        const { name, version } = purl
+        return `https://hex.pm/packages/${encodePath(name, version)}`
+    },
+    maven(purl) {
+        const { name, namespace, version } = purl
+        if (namespace === undefined) {
+            return undefined
+        }
+        // Mirrors have no artifact pages so resolve to their directory.
+        return hasRepositoryUrl(purl)
+            ? `${getBaseUrl(purl)}/${encodePath(namespace.replace(/\./g, '/'), name, version)}/`
+            : `https://central.sonatype.com/artifact/${encodePath(namespace, name, version)}`
+    },
+    npm(purl) {
+        const { name, namespace, version } = purl
+        // Private registries have no package pages so resolve to their
+        // package document.
+        return hasRepositoryUrl(purl)
+            ? `${getBaseUrl(purl)}/${encodePath(namespace, name)}`
+            : `https://www.npmjs.com/package/${encodePath(namespace, name)}${version === undefined ? '' : `/v/${encodePath(version)}`}`
+    },
+    nuget(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://www.nuget.org')}/packages/${encodePath(name, version)}`
+    },
+    pub(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://pub.dev')}/packages/${encodePath(name)}${version === undefined ? '' : `/versions/${encodePath(version)}`}`
+    },
+    pypi(purl) {
+        const { name, version } = purl
+        return `${getBaseUrl(purl, 'https://pypi.org')}/project/${encodePath(name, version)}/`
+    }
+}
+
+function stripArchiveExtension(fileName) {
+    return fileName.replace(/\.(?:tar\.gz|tgz|zip)$/, '')
+}
+
+function stripGitSuffix(repo) {
+    return repo.endsWith('.git') ? repo.slice(0, -4) : repo
+}
+
+module.exports = {
+    PurlTypeDownloadUrls,
+    PurlTypeRepositoryUrls,
+    PurlTypeUrlParsers
+}
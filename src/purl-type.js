@@ -1,21 +1,72 @@
 'use strict'
 
 const { encodeURIComponent } = require('./encode')
+const { parseGolangVersion, unescapeGolangModulePath } = require('./golang')
 const { isNullishOrEmptyString } = require('./lang')
 const { createHelpersNamespaceObject } = require('./helpers')
+const { PurlTypeQualifiers } = require('./purl-type-qualifiers')
 const {
+    PurlTypeDownloadUrls,
+    PurlTypeRepositoryUrls,
+    PurlTypeUrlParsers
+} = require('./purl-type-urls')
+const {
+    compareStrings,
+    compareStringsIgnoringCase,
     isSemverString,
     lowerName,
     lowerNamespace,
     lowerVersion,
     replaceDashesWithUnderscores,
-    replaceUnderscoresWithDashes
+    replaceSeparatorRunsWithDashes,
+    upperNamespace
 } = require('./strings')
-const { validateEmptyByType, validateRequiredByType } = require('./validate')
-const { PurlError } = require('./error')
+const { reportIssue, validateComponentsByType } = require('./validate')
+const {
+    compareDebianVersions,
+    compareGemVersions,
+    compareGolangVersions,
+    compareMavenVersions,
+    comparePep440Versions,
+    compareRpmVersions,
+    compareSemverVersions,
+    compareVersionsByTokens
+} = require('./versions')
+
+const PurlTypeComponentRules = Object.freeze({
+    __proto__: null,
+    empty: Object.freeze([]),
+    required: Object.freeze([])
+})
+const PurlTypeNameComparator = compareStrings
+const PurlTypeNormalizer = purl => purl
+const PurlTypeQualifierCatalog = Object.freeze({ __proto__: null })
+const PurlTypeUrlParser = _url => undefined
+const PurlTypeUrlTemplate = _purl => undefined
+const PurlTypeValidator = (_purl, _throws, _issues) => true
+// Types without version ordering rules compare runs of digits numerically and
+// everything else lexically.
+const PurlTypeVersionComparator = compareVersionsByTokens
 
-const PurlTypNormalizer = purl => purl
-const PurlTypeValidator = (_purl, _throws) => true
+// https://doc.rust-lang.org/cargo/reference/manifest.html#the-name-field
+const regexCargoName = /^[A-Za-z0-9_-]+$/
+// https://guides.rubygems.org/name-your-gem/
+const regexGemName = /^[A-Za-z0-9._-]+$/
+const regexGuid =
+    /^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/
+// https://cabal.readthedocs.io/en/stable/cabal-package-description-file.html#pkg-field-name
+const regexHackageName =
+    /^[A-Za-z0-9]*[A-Za-z][A-Za-z0-9]*(?:-[A-Za-z0-9]*[A-Za-z][A-Za-z0-9]*)*$/
+// https://learn.microsoft.com/en-us/nuget/reference/nuspec#id
+const regexNugetName = /^\w+(?:[.-]\w+)*$/
+const regexWhitespace = /\s/
+
+function unescapeGolangComponent(value) {
+    // Keep values that are not in the escaped form of a module proxy as is.
+    return value.includes('!')
+        ? unescapeGolangModulePath(value) ?? value
+        : value
+}
 
 const getNpmBuiltinNames = (() => {
     let builtinNames
@@ -52,11 +103,54 @@ const isNpmBuiltinName = id => getNpmBuiltinNames().includes(id.toLowerCase())
 
 const isNpmLegacyName = id => getNpmLegacyNames().includes(id)
 
+function createComponentRules({ empty = [], required = [] }) {
+    return Object.freeze({
+        __proto__: null,
+        empty: Object.freeze(empty),
+        required: Object.freeze(required)
+    })
+}
+
+// Components that a type requires to be present or empty.
+const purlTypeComponentRules = {
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cargo
+    cargo: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cocoapods
+    cocoapods: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conda
+    conda: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cran
+    cran: createComponentRules({ required: ['version'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#gem
+    gem: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#hackage
+    hackage: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#maven
+    maven: createComponentRules({ required: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#mlflow
+    mlflow: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#nuget
+    nuget: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#oci
+    oci: createComponentRules({ empty: ['namespace'] }),
+    // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swift
+    swift: createComponentRules({ required: ['namespace', 'version'] })
+}
+
 module.exports = {
     // PURL types:
     // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst
     PurlType: createHelpersNamespaceObject(
         {
+            compareName: {
+                // Package ids are case-insensitive but keep the casing of
+                // their author.
+                // https://learn.microsoft.com/en-us/nuget/reference/nuspec#id
+                nuget: compareStringsIgnoringCase
+            },
+            components: purlTypeComponentRules,
+            downloadUrl: PurlTypeDownloadUrls,
+            fromUrl: PurlTypeUrlParsers,
             normalize: {
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#alpm
                 alpm(purl) {
@@ -87,6 +181,18 @@ module.exports = {
                     lowerName(purl)
                     return purl
                 },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conda
+                conda(purl) {
+                    lowerName(purl)
+                    return purl
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cpan
+                cpan(purl) {
+                    // The namespace is the CPAN id of the author, which is
+                    // written uppercase.
+                    upperNamespace(purl)
+                    return purl
+                },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#deb
                 deb(purl) {
                     lowerNamespace(purl)
@@ -106,13 +212,40 @@ module.exports = {
                     return purl
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#golang
-                // golang(purl) {
-                //     // Ignore case-insensitive rule because go.mod are case-sensitive.
-                //     // Pending spec change: https://github.com/package-url/purl-spec/pull/196
-                //     lowerNamespace(purl)
-                //     lowerName(purl)
-                //     return purl
-                // },
+                golang(purl) {
+                    // Module paths are case-sensitive so their case is kept,
+                    // but paths and versions copied from a module proxy are
+                    // unescaped, e.g. "github.com/!azure" to "github.com/Azure".
+                    // https://github.com/package-url/purl-spec/pull/196
+                    const { name, namespace, version } = purl
+                    if (typeof namespace === 'string') {
+                        purl.namespace = unescapeGolangComponent(namespace)
+                    }
+                    purl.name = unescapeGolangComponent(name)
+                    if (typeof version === 'string') {
+                        purl.version = unescapeGolangComponent(version)
+                    }
+                    // The last segment of a module path is the name and the
+                    // rest is the namespace, e.g. "golang.org/x/tools/gopls"
+                    // is the "gopls" name in the "golang.org/x/tools" namespace.
+                    if (purl.name.includes('/')) {
+                        const segments = purl.name
+                            .split('/')
+                            .filter(s => s.length !== 0)
+                        if (segments.length !== 0) {
+                            purl.name = segments.pop()
+                            purl.namespace =
+                                [purl.namespace, ...segments]
+                                    .filter(
+                                        s =>
+                                            typeof s === 'string' &&
+                                            s.length !== 0
+                                    )
+                                    .join('/') || purl.namespace
+                        }
+                    }
+                    return purl
+                },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#hex
                 hex(purl) {
                     lowerNamespace(purl)
@@ -163,7 +296,8 @@ module.exports = {
                 pypi(purl) {
                     lowerNamespace(purl)
                     lowerName(purl)
-                    purl.name = replaceUnderscoresWithDashes(purl.name)
+                    // https://peps.python.org/pep-0503/#normalized-names
+                    purl.name = replaceSeparatorRunsWithDashes(purl.name)
                     return purl
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#qpkg
@@ -175,44 +309,245 @@ module.exports = {
                 rpm(purl) {
                     lowerNamespace(purl)
                     return purl
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swid
+                swid(purl) {
+                    const { qualifiers } = purl
+                    // A tag_id that is a GUID should be lowercase.
+                    if (regexGuid.test(qualifiers?.tag_id)) {
+                        qualifiers.tag_id = qualifiers.tag_id.toLowerCase()
+                    }
+                    return purl
                 }
             },
+            qualifiers: PurlTypeQualifiers,
+            repositoryUrl: PurlTypeRepositoryUrls,
             validate: {
-                // TODO: cocoapods name validation
-                // TODO: cpan namespace validation
-                // TODO: swid qualifier validation
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cargo
+                cargo(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'cargo',
+                        purlTypeComponentRules.cargo,
+                        purl,
+                        throws,
+                        issues
+                    )
+                    if (!valid && issues === undefined) {
+                        return false
+                    }
+                    if (!regexCargoName.test(purl.name)) {
+                        reportIssue(
+                            {
+                                code: 'CARGO_NAME_ILLEGAL_CHARACTER',
+                                component: 'name',
+                                message:
+                                    'cargo "name" component may only contain [A-Za-z0-9_-] characters'
+                            },
+                            throws,
+                            issues
+                        )
+                        return false
+                    }
+                    return valid
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cocoapods
+                cocoapods(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'cocoapods',
+                        purlTypeComponentRules.cocoapods,
+                        purl,
+                        throws,
+                        issues
+                    )
+                    if (!valid && issues === undefined) {
+                        return false
+                    }
+                    // Subspecs, which may contain a "+", belong in the subpath.
+                    const { name } = purl
+                    if (
+                        regexWhitespace.test(name) &&
+                        !reportIssue(
+                            {
+                                code: 'COCOAPODS_NAME_WHITESPACE',
+                                component: 'name',
+                                message:
+                                    'cocoapods "name" component cannot contain whitespace'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
+                        return false
+                    }
+                    if (
+                        name.includes('+') &&
+                        !reportIssue(
+                            {
+                                code: 'COCOAPODS_NAME_PLUS',
+                                component: 'name',
+                                message:
+                                    'cocoapods "name" component cannot contain a plus (+) character'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
+                        return false
+                    }
+                    if (
+                        name.charCodeAt(0) === 46 /*'.'*/ &&
+                        !reportIssue(
+                            {
+                                code: 'COCOAPODS_NAME_LEADING_PERIOD',
+                                component: 'name',
+                                message:
+                                    'cocoapods "name" component cannot start with a period'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
+                        return false
+                    }
+                    return valid
+                },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conan
-                conan(purl, throws) {
+                conan(purl, throws, issues) {
                     if (isNullishOrEmptyString(purl.namespace)) {
                         if (purl.qualifiers?.channel) {
-                            if (throws) {
-                                throw new PurlError(
-                                    'conan requires a "namespace" component when a "channel" qualifier is present'
-                                )
-                            }
+                            reportIssue(
+                                {
+                                    code: 'CONAN_CHANNEL_REQUIRES_NAMESPACE',
+                                    component: 'namespace',
+                                    message:
+                                        'conan requires a "namespace" component when a "channel" qualifier is present'
+                                },
+                                throws,
+                                issues
+                            )
                             return false
                         }
                     } else if (isNullishOrEmptyString(purl.qualifiers)) {
-                        if (throws) {
-                            throw new PurlError(
-                                'conan requires a "qualifiers" component when a namespace is present'
+                        reportIssue(
+                            {
+                                code: 'CONAN_NAMESPACE_REQUIRES_QUALIFIERS',
+                                component: 'qualifiers',
+                                message:
+                                    'conan requires a "qualifiers" component when a namespace is present'
+                            },
+                            throws,
+                            issues
+                        )
+                        return false
+                    }
+                    return true
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#conda
+                conda(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'conda',
+                        purlTypeComponentRules.conda,
+                        purl,
+                        throws,
+                        issues
+                    )
+                    // Channels are names, like "conda-forge", and the server
+                    // of a channel is the "repository_url" qualifier.
+                    const channel = purl.qualifiers?.channel
+                    if (
+                        channel !== undefined &&
+                        (channel.includes('://') ||
+                            regexWhitespace.test(channel))
+                    ) {
+                        reportIssue(
+                            {
+                                code: 'CONDA_CHANNEL_INVALID',
+                                component: 'qualifiers',
+                                message:
+                                    'conda "channel" qualifier should be a channel name rather than a URL',
+                                severity: 'warning'
+                            },
+                            throws,
+                            issues
+                        )
+                    }
+                    return valid
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cpan
+                cpan(purl, throws, issues) {
+                    const { name, namespace } = purl
+                    if (isNullishOrEmptyString(namespace)) {
+                        // Without a namespace the name is a module name, like
+                        // "Perl::Version", which cannot contain a "-".
+                        if (name.includes('-')) {
+                            reportIssue(
+                                {
+                                    code: 'CPAN_NAMESPACE_REQUIRED',
+                                    component: 'namespace',
+                                    message:
+                                        'cpan requires a "namespace" component for a distribution name containing a "-"'
+                                },
+                                throws,
+                                issues
                             )
+                            return false
                         }
+                    } else if (name.includes('::')) {
+                        // With a namespace the name is a distribution name,
+                        // like "Perl-Version", which cannot contain a "::".
+                        reportIssue(
+                            {
+                                code: 'CPAN_NAME_MODULE_WITH_NAMESPACE',
+                                component: 'name',
+                                message:
+                                    'cpan "name" component cannot contain "::" when a namespace is present'
+                            },
+                            throws,
+                            issues
+                        )
                         return false
                     }
                     return true
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#cran
-                cran(purl, throws) {
-                    return validateRequiredByType(
+                cran(purl, throws, issues) {
+                    return validateComponentsByType(
                         'cran',
-                        'version',
-                        purl.version,
-                        throws
+                        purlTypeComponentRules.cran,
+                        purl,
+                        throws,
+                        issues
+                    )
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#gem
+                gem(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'gem',
+                        purlTypeComponentRules.gem,
+                        purl,
+                        throws,
+                        issues
                     )
+                    if (!valid && issues === undefined) {
+                        return false
+                    }
+                    if (!regexGemName.test(purl.name)) {
+                        reportIssue(
+                            {
+                                code: 'GEM_NAME_ILLEGAL_CHARACTER',
+                                component: 'name',
+                                message:
+                                    'gem "name" component may only contain [A-Za-z0-9._-] characters'
+                            },
+                            throws,
+                            issues
+                        )
+                        return false
+                    }
+                    return valid
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#golang
-                golang(purl) {
+                golang(purl, throws, issues) {
                     // Still being lenient here since the standard changes aren't official.
                     // Pending spec change: https://github.com/package-url/purl-spec/pull/196
                     const { version } = purl
@@ -226,163 +561,334 @@ module.exports = {
                         version.charCodeAt(0) === 118 /*'v'*/ &&
                         !isSemverString(version.slice(1))
                     ) {
-                        if (throws) {
-                            throw new PurlError(
-                                'golang "version" component starting with a "v" must be followed by a valid semver version'
-                            )
-                        }
+                        reportIssue(
+                            {
+                                code: 'GOLANG_VERSION_INVALID_SEMVER',
+                                component: 'version',
+                                message:
+                                    'golang "version" component starting with a "v" must be followed by a valid semver version'
+                            },
+                            throws,
+                            issues
+                        )
+                        return false
+                    }
+                    // https://go.dev/ref/mod#incompatible-versions
+                    if (
+                        parseGolangVersion(version)?.incompatible &&
+                        /^v[01]\./.test(version)
+                    ) {
+                        reportIssue(
+                            {
+                                code: 'GOLANG_VERSION_INCOMPATIBLE_MAJOR',
+                                component: 'version',
+                                message:
+                                    'golang "version" component with a "+incompatible" suffix must have a major version of 2 or higher'
+                            },
+                            throws,
+                            issues
+                        )
                         return false
                     }
                     return true
                 },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#hackage
+                hackage(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'hackage',
+                        purlTypeComponentRules.hackage,
+                        purl,
+                        throws,
+                        issues
+                    )
+                    if (!valid && issues === undefined) {
+                        return false
+                    }
+                    if (!regexHackageName.test(purl.name)) {
+                        reportIssue(
+                            {
+                                code: 'HACKAGE_NAME_INVALID',
+                                component: 'name',
+                                message:
+                                    'hackage "name" component must be kebab-case words of letters and digits, each with at least one letter'
+                            },
+                            throws,
+                            issues
+                        )
+                        return false
+                    }
+                    return valid
+                },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#maven
-                maven(purl, throws) {
-                    return validateRequiredByType(
+                maven(purl, throws, issues) {
+                    return validateComponentsByType(
                         'maven',
-                        'namespace',
-                        purl.namespace,
-                        throws
+                        purlTypeComponentRules.maven,
+                        purl,
+                        throws,
+                        issues
                     )
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#mlflow
-                mlflow(purl, throws) {
-                    return validateEmptyByType(
+                mlflow(purl, throws, issues) {
+                    return validateComponentsByType(
                         'mlflow',
-                        'namespace',
-                        purl.namespace,
-                        throws
+                        purlTypeComponentRules.mlflow,
+                        purl,
+                        throws,
+                        issues
                     )
                 },
                 // Validation based on
                 // https://github.com/npm/validate-npm-package-name/tree/v6.0.0
                 // ISC License
                 // Copyright (c) 2015, npm, Inc
-                npm(purl, throws) {
+                npm(purl, throws, issues) {
                     const { name, namespace } = purl
                     const hasNs = namespace?.length > 0
                     const id = getNpmId(purl)
                     const code0 = id.charCodeAt(0)
                     const compName = hasNs ? 'namespace' : 'name'
-                    if (code0 === 46 /*'.'*/) {
-                        if (throws) {
-                            throw new PurlError(
-                                `npm "${compName}" component cannot start with a period`
-                            )
-                        }
+                    if (
+                        code0 === 46 /*'.'*/ &&
+                        !reportIssue(
+                            {
+                                code: `NPM_${compName.toUpperCase()}_LEADING_PERIOD`,
+                                component: compName,
+                                message: `npm "${compName}" component cannot start with a period`
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
                         return false
                     }
-                    if (code0 === 95 /*'_'*/) {
-                        if (throws) {
-                            throw new PurlError(
-                                `npm "${compName}" component cannot start with an underscore`
-                            )
-                        }
+                    if (
+                        code0 === 95 /*'_'*/ &&
+                        !reportIssue(
+                            {
+                                code: `NPM_${compName.toUpperCase()}_LEADING_UNDERSCORE`,
+                                component: compName,
+                                message: `npm "${compName}" component cannot start with an underscore`
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
                         return false
                     }
-                    if (name.trim() !== name) {
-                        if (throws) {
-                            throw new PurlError(
-                                'npm "name" component cannot contain leading or trailing spaces'
-                            )
-                        }
+                    if (
+                        name.trim() !== name &&
+                        !reportIssue(
+                            {
+                                code: 'NPM_NAME_SURROUNDING_SPACES',
+                                component: 'name',
+                                message:
+                                    'npm "name" component cannot contain leading or trailing spaces'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
                         return false
                     }
-                    if (encodeURIComponent(name) !== name) {
-                        if (throws) {
-                            throw new PurlError(
-                                `npm "name" component can only contain URL-friendly characters`
-                            )
-                        }
+                    if (
+                        encodeURIComponent(name) !== name &&
+                        !reportIssue(
+                            {
+                                code: 'NPM_NAME_NOT_URL_FRIENDLY',
+                                component: 'name',
+                                message: `npm "name" component can only contain URL-friendly characters`
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
                         return false
                     }
                     if (hasNs) {
-                        if (namespace.trim() !== namespace) {
-                            if (throws) {
-                                throw new PurlError(
-                                    'npm "namespace" component cannot contain leading or trailing spaces'
-                                )
-                            }
+                        if (
+                            namespace.trim() !== namespace &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAMESPACE_SURROUNDING_SPACES',
+                                    component: 'namespace',
+                                    message:
+                                        'npm "namespace" component cannot contain leading or trailing spaces'
+                                },
+                                throws,
+                                issues
+                            )
+                        ) {
                             return false
                         }
-                        if (code0 !== 64 /*'@'*/) {
-                            throw new PurlError(
-                                `npm "namespace" component must start with an "@" character`
+                        if (
+                            code0 !== 64 /*'@'*/ &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAMESPACE_MISSING_AT_SIGN',
+                                    component: 'namespace',
+                                    message: `npm "namespace" component must start with an "@" character`
+                                },
+                                throws,
+                                issues
                             )
+                        ) {
+                            return false
                         }
                         const namespaceWithoutAtSign = namespace.slice(1)
                         if (
                             encodeURIComponent(namespaceWithoutAtSign) !==
-                            namespaceWithoutAtSign
+                                namespaceWithoutAtSign &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAMESPACE_NOT_URL_FRIENDLY',
+                                    component: 'namespace',
+                                    message: `npm "namespace" component can only contain URL-friendly characters`
+                                },
+                                throws,
+                                issues
+                            )
                         ) {
-                            if (throws) {
-                                throw new PurlError(
-                                    `npm "namespace" component can only contain URL-friendly characters`
-                                )
-                            }
                             return false
                         }
                     }
                     const loweredId = id.toLowerCase()
                     if (
-                        loweredId === 'node_modules' ||
-                        loweredId === 'favicon.ico'
+                        (loweredId === 'node_modules' ||
+                            loweredId === 'favicon.ico') &&
+                        !reportIssue(
+                            {
+                                code: `NPM_${compName.toUpperCase()}_NOT_ALLOWED`,
+                                component: compName,
+                                message: `npm "${compName}" component of "${loweredId}" is not allowed`
+                            },
+                            throws,
+                            issues
+                        )
                     ) {
-                        if (throws) {
-                            throw new PurlError(
-                                `npm "${compName}" component of "${loweredId}" is not allowed`
-                            )
-                        }
                         return false
                     }
                     // The remaining checks are only for modern names.
                     // https://github.com/npm/validate-npm-package-name/tree/v6.0.0?tab=readme-ov-file#naming-rules
                     if (!isNpmLegacyName(id)) {
-                        if (id.length > 214) {
-                            if (throws) {
-                                throw new PurlError(
-                                    `npm "namespace" and "name" components can not collectively be more than 214 characters`
-                                )
-                            }
+                        if (
+                            id.length > 214 &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAME_TOO_LONG',
+                                    component: 'name',
+                                    message: `npm "namespace" and "name" components can not collectively be more than 214 characters`
+                                },
+                                throws,
+                                issues
+                            )
+                        ) {
                             return false
                         }
-                        if (loweredId !== id) {
-                            if (throws) {
-                                throw new PurlError(
-                                    `npm "name" component can not contain capital letters`
-                                )
-                            }
+                        if (
+                            loweredId !== id &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAME_UPPERCASE',
+                                    component: 'name',
+                                    message: `npm "name" component can not contain capital letters`
+                                },
+                                throws,
+                                issues
+                            )
+                        ) {
                             return false
                         }
-                        if (/[~'!()*]/.test(name)) {
-                            if (throws) {
-                                throw new PurlError(
-                                    `npm "name" component can not contain special characters ("~\'!()*")`
-                                )
-                            }
+                        if (
+                            /[~'!()*]/.test(name) &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAME_SPECIAL_CHARACTERS',
+                                    component: 'name',
+                                    message: `npm "name" component can not contain special characters ("~\'!()*")`
+                                },
+                                throws,
+                                issues
+                            )
+                        ) {
                             return false
                         }
-                        if (isNpmBuiltinName(id)) {
-                            if (throws) {
-                                throw new PurlError(
-                                    'npm "name" component can not be a core module name'
-                                )
-                            }
+                        if (
+                            isNpmBuiltinName(id) &&
+                            !reportIssue(
+                                {
+                                    code: 'NPM_NAME_BUILTIN',
+                                    component: 'name',
+                                    message:
+                                        'npm "name" component can not be a core module name'
+                                },
+                                throws,
+                                issues
+                            )
+                        ) {
                             return false
                         }
                     }
                     return true
                 },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#nuget
+                nuget(purl, throws, issues) {
+                    const valid = validateComponentsByType(
+                        'nuget',
+                        purlTypeComponentRules.nuget,
+                        purl,
+                        throws,
+                        issues
+                    )
+                    if (!valid && issues === undefined) {
+                        return false
+                    }
+                    const { name } = purl
+                    if (
+                        name.length > 100 &&
+                        !reportIssue(
+                            {
+                                code: 'NUGET_NAME_TOO_LONG',
+                                component: 'name',
+                                message:
+                                    'nuget "name" component can not be more than 100 characters'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
+                        return false
+                    }
+                    if (
+                        !regexNugetName.test(name) &&
+                        !reportIssue(
+                            {
+                                code: 'NUGET_NAME_ILLEGAL_CHARACTER',
+                                component: 'name',
+                                message:
+                                    'nuget "name" component must be words of [A-Za-z0-9_] characters separated by a "." or "-"'
+                            },
+                            throws,
+                            issues
+                        )
+                    ) {
+                        return false
+                    }
+                    return valid
+                },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#oci
-                oci(purl, throws) {
-                    return validateEmptyByType(
+                oci(purl, throws, issues) {
+                    return validateComponentsByType(
                         'oci',
-                        'namespace',
-                        purl.namespace,
-                        throws
+                        purlTypeComponentRules.oci,
+                        purl,
+                        throws,
+                        issues
                     )
                 },
                 // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#pub
-                pub(purl, throws) {
+                pub(purl, throws, issues) {
                     const { name } = purl
                     for (let i = 0, { length } = name; i < length; i += 1) {
                         const code = name.charCodeAt(i)
@@ -396,38 +902,77 @@ module.exports = {
                                 )
                             )
                         ) {
-                            if (throws) {
-                                throw new PurlError(
-                                    'pub "name" component may only contain [a-z0-9_] characters'
-                                )
-                            }
+                            reportIssue(
+                                {
+                                    code: 'PUB_NAME_ILLEGAL_CHARACTER',
+                                    component: 'name',
+                                    message:
+                                        'pub "name" component may only contain [a-z0-9_] characters'
+                                },
+                                throws,
+                                issues
+                            )
                             return false
                         }
                     }
                     return true
                 },
-                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swift
-                swift(purl, throws) {
-                    return (
-                        validateRequiredByType(
-                            'swift',
-                            'namespace',
-                            purl.namespace,
-                            throws
-                        ) &&
-                        validateRequiredByType(
-                            'swift',
-                            'version',
-                            purl.version,
-                            throws
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swid
+                swid(purl, throws, issues) {
+                    if (isNullishOrEmptyString(purl.qualifiers?.tag_id)) {
+                        reportIssue(
+                            {
+                                code: 'SWID_TAG_ID_REQUIRED',
+                                component: 'qualifiers',
+                                message: 'swid requires a "tag_id" qualifier'
+                            },
+                            throws,
+                            issues
                         )
+                        return false
+                    }
+                    return true
+                },
+                // https://github.com/package-url/purl-spec/blob/master/PURL-TYPES.rst#swift
+                swift(purl, throws, issues) {
+                    return validateComponentsByType(
+                        'swift',
+                        purlTypeComponentRules.swift,
+                        purl,
+                        throws,
+                        issues
                     )
                 }
+            },
+            version: {
+                // https://doc.rust-lang.org/cargo/reference/resolver.html#semver-compatibility
+                cargo: compareSemverVersions,
+                // https://man7.org/linux/man-pages/man7/deb-version.7.html
+                deb: compareDebianVersions,
+                // https://guides.rubygems.org/patterns/#semantic-versioning
+                gem: compareGemVersions,
+                // https://go.dev/ref/mod#versions
+                golang: compareGolangVersions,
+                // https://maven.apache.org/pom.html#version-order-specification
+                maven: compareMavenVersions,
+                // https://docs.npmjs.com/about-semantic-versioning
+                npm: compareSemverVersions,
+                // https://peps.python.org/pep-0440/#version-scheme
+                pypi: comparePep440Versions,
+                // https://rpm-software-management.github.io/rpm/manual/dependencies.html#versioning
+                rpm: compareRpmVersions
             }
         },
         {
-            normalize: PurlTypNormalizer,
-            validate: PurlTypeValidator
+            compareName: PurlTypeNameComparator,
+            components: PurlTypeComponentRules,
+            downloadUrl: PurlTypeUrlTemplate,
+            fromUrl: PurlTypeUrlParser,
+            normalize: PurlTypeNormalizer,
+            qualifiers: PurlTypeQualifierCatalog,
+            repositoryUrl: PurlTypeUrlTemplate,
+            validate: PurlTypeValidator,
+            version: PurlTypeVersionComparator
         }
     )
 }
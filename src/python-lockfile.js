@@ -0,0 +1,242 @@
+'use strict'
+
+const {
+    createLockfileEntry,
+    getLockfileText,
+    parseJsonLockfile
+} = require('./lockfile')
+const { isObject } = require('./objects')
+const {
+    createPypiPurl,
+    getPythonRepositoryUrl,
+    resolvePythonUrlSource
+} = require('./pip-requirements')
+const { parseToml } = require('./toml')
+
+function createPythonLockfilePurl(name, version, qualifiers, hashes) {
+    const checksums = hashes.filter(hash => typeof hash === 'string')
+    const definedQualifiers = Object.fromEntries(
+        Object.entries(qualifiers).filter(({ 1: value }) => value !== undefined)
+    )
+    if (checksums.length) {
+        definedQualifiers.checksum = checksums.join(',')
+    }
+    return createPypiPurl(name, version, definedQualifiers)
+}
+
+function fromPipfileLockfile(json) {
+    const lockfile = parseJsonLockfile(json, 'Pipfile.lock')
+    // Packages name the "[[source]]" of their index by its name.
+    const indexUrls = { __proto__: null }
+    const sources = lockfile._meta?.sources
+    if (Array.isArray(sources)) {
+        for (const source of sources) {
+            if (typeof source?.name === 'string') {
+                indexUrls[source.name] = source.url
+            }
+        }
+    }
+    const entries = new Map()
+    for (const { 0: section, 1: dev } of [
+        ['default', false],
+        ['develop', true]
+    ]) {
+        const packages = lockfile[section]
+        if (!isObject(packages)) {
+            continue
+        }
+        for (const name of Object.keys(packages)) {
+            const pkg = packages[name]
+            if (!isObject(pkg)) {
+                continue
+            }
+            let qualifiers
+            let source
+            if (typeof pkg.git === 'string') {
+                qualifiers = { vcs_url: toGitVcsUrl(pkg.git, pkg.ref) }
+                source = 'vcs'
+            } else if (typeof pkg.file === 'string') {
+                qualifiers = resolvePythonUrlSource(pkg.file)
+                source = qualifiers?.vcs_url === undefined ? 'url' : 'vcs'
+            } else if (typeof pkg.path !== 'string') {
+                const indexUrl = indexUrls[pkg.index]
+                qualifiers = {
+                    repository_url:
+                        typeof indexUrl === 'string'
+                            ? getPythonRepositoryUrl(indexUrl)
+                            : undefined
+                }
+                source = 'registry'
+            }
+            // Local paths are part of the project.
+            if (qualifiers === undefined) {
+                continue
+            }
+            const version =
+                typeof pkg.version === 'string' && pkg.version.startsWith('==')
+                    ? pkg.version.replace(/^===?/, '')
+                    : undefined
+            const purl = createPythonLockfilePurl(
+                name,
+                version,
+                qualifiers,
+                Array.isArray(pkg.hashes) ? pkg.hashes : []
+            )
+            const purlStr = purl.toString()
+            const existing = entries.get(purlStr)
+            // Packages of both sections are only dev dependencies if they are
+            // not also default dependencies.
+            if (existing) {
+                existing.metadata.dev &&= dev
+            } else {
+                entries.set(purlStr, {
+                    purl,
+                    metadata: {
+                        dev,
+                        index: pkg.index,
+                        markers: pkg.markers,
+                        source
+                    }
+                })
+            }
+        }
+    }
+    return [...entries.values()].map(({ purl, metadata }) =>
+        createLockfileEntry(purl, metadata)
+    )
+}
+
+function fromPoetryLockfile(text) {
+    const lockfile = parseToml(getLockfileText(text, 'poetry.lock'))
+    const packages = Array.isArray(lockfile.package) ? lockfile.package : []
+    // Lock version 1 lists the files of each package in "[metadata.files]"
+    // while later versions list them in "files" of the package.
+    const legacyFiles = isObject(lockfile.metadata?.files)
+        ? lockfile.metadata.files
+        : { __proto__: null }
+    const entries = []
+    for (const pkg of packages) {
+        const pkgSource = isObject(pkg.source) ? pkg.source : {}
+        let qualifiers
+        let source
+        if (pkgSource.type === 'git' && typeof pkgSource.url === 'string') {
+            qualifiers = {
+                vcs_url: toGitVcsUrl(
+                    pkgSource.url,
+                    pkgSource.resolved_reference ?? pkgSource.reference
+                )
+            }
+            source = 'vcs'
+        } else if (pkgSource.type === 'url') {
+            qualifiers = { download_url: pkgSource.url }
+            source = 'url'
+        } else if (
+            pkgSource.type !== 'directory' &&
+            pkgSource.type !== 'file'
+        ) {
+            // Packages of other indexes have a "legacy" source.
+            qualifiers = {
+                repository_url:
+                    typeof pkgSource.url === 'string'
+                        ? getPythonRepositoryUrl(pkgSource.url)
+                        : undefined
+            }
+            source = 'registry'
+        }
+        // Directory and file packages are part of the project.
+        if (qualifiers === undefined) {
+            continue
+        }
+        const files = Array.isArray(pkg.files)
+            ? pkg.files
+            : Array.isArray(legacyFiles[pkg.name])
+              ? legacyFiles[pkg.name]
+              : []
+        entries.push(
+            createLockfileEntry(
+                createPythonLockfilePurl(
+                    pkg.name,
+                    pkg.version,
+                    qualifiers,
+                    files.map(file => file?.hash)
+                ),
+                {
+                    // Lock version 1 has a "category" instead of "groups".
+                    groups: Object.freeze(
+                        Array.isArray(pkg.groups)
+                            ? pkg.groups
+                            : typeof pkg.category === 'string'
+                              ? [pkg.category]
+                              : []
+                    ),
+                    optional: pkg.optional === true,
+                    source
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function fromUvLockfile(text) {
+    const lockfile = parseToml(getLockfileText(text, 'uv.lock'))
+    const packages = Array.isArray(lockfile.package) ? lockfile.package : []
+    const entries = []
+    for (const pkg of packages) {
+        const pkgSource = isObject(pkg.source) ? pkg.source : {}
+        let qualifiers
+        let source
+        if (typeof pkgSource.registry === 'string') {
+            qualifiers = {
+                repository_url: getPythonRepositoryUrl(pkgSource.registry)
+            }
+            source = 'registry'
+        } else if (typeof pkgSource.git === 'string') {
+            // Git sources are "<url>?<rev|tag|branch>=<reference>#<commit>".
+            const hashIndex = pkgSource.git.indexOf('#')
+            const url = pkgSource.git
+                .slice(0, hashIndex === -1 ? undefined : hashIndex)
+                .replace(/\?.*$/, '')
+            qualifiers = {
+                vcs_url: toGitVcsUrl(
+                    url,
+                    hashIndex === -1
+                        ? undefined
+                        : pkgSource.git.slice(hashIndex + 1)
+                )
+            }
+            source = 'vcs'
+        } else if (typeof pkgSource.url === 'string') {
+            qualifiers = { download_url: pkgSource.url }
+            source = 'url'
+        } else {
+            // Editable, virtual, directory, and path packages are part of
+            // the project.
+            continue
+        }
+        const wheels = Array.isArray(pkg.wheels) ? pkg.wheels : []
+        entries.push(
+            createLockfileEntry(
+                createPythonLockfilePurl(pkg.name, pkg.version, qualifiers, [
+                    pkg.sdist?.hash,
+                    ...wheels.map(wheel => wheel?.hash)
+                ]),
+                { source }
+            )
+        )
+    }
+    return entries
+}
+
+function toGitVcsUrl(url, revision) {
+    const vcsUrl = url.startsWith('git+') ? url : `git+${url}`
+    return typeof revision === 'string' && revision.length
+        ? `${vcsUrl}@${revision}`
+        : vcsUrl
+}
+
+module.exports = {
+    fromPipfileLockfile,
+    fromPoetryLockfile,
+    fromUvLockfile
+}
@@ -12,6 +12,17 @@ const { compare: localeCompare } = new Intl.Collator()
 const regexSemverNumberedGroups =
     /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/
 
+function compareStrings(a, b) {
+    // Compare by code unit, like C strcmp, rather than by locale so that
+    // orderings are stable across environments.
+    if (a === b) return 0
+    return a < b ? -1 : 1
+}
+
+function compareStringsIgnoringCase(a, b) {
+    return compareStrings(a.toLowerCase(), b.toLowerCase())
+}
+
 function isBlank(str) {
     for (let i = 0, { length } = str; i < length; i += 1) {
         const code = str.charCodeAt(i)
@@ -93,16 +104,23 @@ function replaceDashesWithUnderscores(str) {
     return fromIndex ? result + str.slice(fromIndex) : str
 }
 
-function replaceUnderscoresWithDashes(str) {
-    // Replace all "_" with "-"
+function replaceSeparatorRunsWithDashes(str) {
+    // Replace each run of "-", "_", and "." with a single "-"
     let result = ''
-    let fromIndex = 0
-    let index = 0
-    while ((index = str.indexOf('_', fromIndex)) !== -1) {
-        result = result + str.slice(fromIndex, index) + '-'
-        fromIndex = index + 1
+    let inRun = false
+    for (let i = 0, { length } = str; i < length; i += 1) {
+        const code = str.charCodeAt(i)
+        if (code === 45 /*'-'*/ || code === 46 /*'.'*/ || code === 95 /*'_'*/) {
+            if (!inRun) {
+                result += '-'
+                inRun = true
+            }
+        } else {
+            result += str[i]
+            inRun = false
+        }
     }
-    return fromIndex ? result + str.slice(fromIndex) : str
+    return result
 }
 
 function trimLeadingSlashes(str) {
@@ -113,7 +131,16 @@ function trimLeadingSlashes(str) {
     return start === 0 ? str : str.slice(start)
 }
 
+function upperNamespace(purl) {
+    const { namespace } = purl
+    if (typeof namespace === 'string') {
+        purl.namespace = namespace.toUpperCase()
+    }
+}
+
 module.exports = {
+    compareStrings,
+    compareStringsIgnoringCase,
     isBlank,
     isNonEmptyString,
     isSemverString,
@@ -122,6 +149,7 @@ module.exports = {
     lowerNamespace,
     lowerVersion,
     replaceDashesWithUnderscores,
-    replaceUnderscoresWithDashes,
-    trimLeadingSlashes
+    replaceSeparatorRunsWithDashes,
+    trimLeadingSlashes,
+    upperNamespace
 }
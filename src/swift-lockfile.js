@@ -0,0 +1,90 @@
+'use strict'
+
+const { createLockfileEntry, parseJsonLockfile } = require('./lockfile')
+const { PackageURL } = require('./package-url')
+const { convertScpLikeUrl } = require('./url-qualifiers')
+
+function fromSwiftLockfile(json) {
+    const lockfile = parseJsonLockfile(json, 'Package.resolved')
+    // Version 1 nests the pins in "object" and names the repository URL
+    // "repositoryURL" while versions 2 and 3 name it "location".
+    const isVersion1 = lockfile.version === 1
+    const pins = isVersion1 ? lockfile.object?.pins : lockfile.pins
+    const pointerPrefix = isVersion1 ? '/object/pins' : '/pins'
+    const entries = []
+    if (!Array.isArray(pins)) {
+        return entries
+    }
+    for (let i = 0, { length } = pins; i < length; i += 1) {
+        const pin = pins[i]
+        const location = isVersion1 ? pin?.repositoryURL : pin?.location
+        // Local and registry packages have no source control repository
+        // to derive the namespace from.
+        if (
+            typeof location !== 'string' ||
+            (pin.kind !== undefined && pin.kind !== 'remoteSourceControl')
+        ) {
+            continue
+        }
+        const repository = parseSwiftRepositoryUrl(location)
+        const { branch, revision, version } = pin.state ?? {}
+        // The swift type requires a version so pins of a branch or a
+        // revision use their revision.
+        const purlVersion =
+            typeof version === 'string' ? version : revision ?? undefined
+        if (repository === undefined || typeof purlVersion !== 'string') {
+            continue
+        }
+        entries.push(
+            createLockfileEntry(
+                new PackageURL(
+                    'swift',
+                    repository.namespace,
+                    repository.name,
+                    purlVersion
+                ),
+                {
+                    branch: branch ?? undefined,
+                    // A JSON pointer to the pin, e.g. "/pins/0".
+                    pointer: `${pointerPrefix}/${i}`,
+                    revision: revision ?? undefined
+                }
+            )
+        )
+    }
+    return entries
+}
+
+function parseSwiftRepositoryUrl(location) {
+    // The namespace is the host and the owner path of the repository URL,
+    // e.g. "github.com/apple" of "https://github.com/apple/swift-nio.git".
+    let url
+    try {
+        url = new URL(convertScpLikeUrl(location))
+    } catch {
+        return undefined
+    }
+    let segments
+    try {
+        segments = url.pathname
+            .replace(/\.git\/?$/, '')
+            .split('/')
+            .filter(s => s.length !== 0)
+            .map(s => decodeURIComponent(s))
+    } catch {
+        // Paths with malformed percent-encodings, like "%zz", are not of a
+        // repository.
+        return undefined
+    }
+    if (segments.length < 2 || url.hostname.length === 0) {
+        return undefined
+    }
+    return {
+        namespace: [url.host, ...segments.slice(0, -1)].join('/'),
+        name: segments.at(-1)
+    }
+}
+
+module.exports = {
+    fromSwiftLockfile
+}
@@ -0,0 +1,363 @@
+'use strict'
+
+// A parser of TOML v1.0 documents, as used by lockfiles and manifests.
+// Tables have a null prototype and dates and times are kept as strings.
+// https://toml.io/en/v1.0.0
+
+const regexTomlBareKey = /^[A-Za-z0-9_-]+/
+const regexTomlDateTime =
+    /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?$|^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/
+const regexTomlFloat =
+    /^[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?$|^[+-]?(?:inf|nan)$/
+const regexTomlInteger =
+    /^[+-]?(?:0|[1-9](?:_?\d)*)$|^0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*$|^0o[0-7](?:_?[0-7])*$|^0b[01](?:_?[01])*$/
+const regexTomlLocalDate = /^\d{4}-\d{2}-\d{2}$/
+const regexTomlValueEnd = /[\s,\]}#]/
+
+const tomlEscapes = {
+    __proto__: null,
+    b: '\b',
+    t: '\t',
+    n: '\n',
+    f: '\f',
+    r: '\r',
+    '"': '"',
+    '\\': '\\'
+}
+
+function createTomlError(message, state) {
+    const lineNumber = state.text.slice(0, state.index).split('\n').length
+    return new SyntaxError(`${message} at line ${lineNumber} of TOML`)
+}
+
+function expectToml(state, token) {
+    if (!state.text.startsWith(token, state.index)) {
+        throw createTomlError(`Expected "${token}"`, state)
+    }
+    state.index += token.length
+}
+
+function getTomlTable(root, keys, state) {
+    let table = root
+    for (const key of keys) {
+        let value = table[key]
+        if (value === undefined) {
+            value = { __proto__: null }
+            table[key] = value
+        } else if (Array.isArray(value)) {
+            // Headers like "[package.source]" extend the last table of an
+            // array of tables.
+            value = value.at(-1)
+        }
+        if (!isTomlTable(value)) {
+            throw createTomlError(`Key "${key}" is not a table`, state)
+        }
+        table = value
+    }
+    return table
+}
+
+function isTomlTable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function parseToml(text) {
+    const state = { index: 0, text: text.replace(/^\uFEFF/, '') }
+    const root = { __proto__: null }
+    let table = root
+    while (true) {
+        skipTomlWhitespace(state, true)
+        if (state.index >= state.text.length) {
+            break
+        }
+        if (state.text[state.index] === '[') {
+            const isArrayTable = state.text[state.index + 1] === '['
+            state.index += isArrayTable ? 2 : 1
+            skipTomlWhitespace(state, false)
+            const keys = parseTomlKey(state)
+            skipTomlWhitespace(state, false)
+            expectToml(state, isArrayTable ? ']]' : ']')
+            if (isArrayTable) {
+                const parent = getTomlTable(root, keys.slice(0, -1), state)
+                const key = keys.at(-1)
+                parent[key] ??= []
+                if (!Array.isArray(parent[key])) {
+                    throw createTomlError(
+                        `Key "${key}" is not an array of tables`,
+                        state
+                    )
+                }
+                table = { __proto__: null }
+                parent[key].push(table)
+            } else {
+                table = getTomlTable(root, keys, state)
+            }
+        } else {
+            parseTomlKeyValue(state, table)
+        }
+        skipTomlWhitespace(state, false)
+        if (
+            state.index < state.text.length &&
+            !/[\r\n]/.test(state.text[state.index])
+        ) {
+            throw createTomlError('Expected a new line', state)
+        }
+    }
+    return root
+}
+
+function parseTomlArray(state) {
+    const array = []
+    state.index += 1
+    while (true) {
+        skipTomlWhitespace(state, true)
+        if (state.text[state.index] === ']') {
+            break
+        }
+        array.push(parseTomlValue(state))
+        skipTomlWhitespace(state, true)
+        if (state.text[state.index] === ',') {
+            state.index += 1
+        } else if (state.text[state.index] !== ']') {
+            throw createTomlError('Expected "," or "]"', state)
+        }
+    }
+    state.index += 1
+    return array
+}
+
+function parseTomlBasicString(state, multiline) {
+    const { text } = state
+    const delimiter = multiline ? '"""' : '"'
+    state.index += delimiter.length
+    // A new line immediately after the opening delimiter is trimmed.
+    if (multiline && text[state.index] === '\n') {
+        state.index += 1
+    } else if (multiline && text.startsWith('\r\n', state.index)) {
+        state.index += 2
+    }
+    let result = ''
+    while (true) {
+        if (state.index >= text.length) {
+            throw createTomlError('Unterminated string', state)
+        }
+        if (text.startsWith(delimiter, state.index)) {
+            // Up to two quotes may precede the closing delimiter.
+            let extra = 0
+            while (multiline && extra < 2 && text[state.index + 3] === '"') {
+                result += '"'
+                state.index += 1
+                extra += 1
+            }
+            state.index += delimiter.length
+            return result
+        }
+        const char = text[state.index]
+        if (char === '\\') {
+            const next = text[state.index + 1]
+            if (next === 'u' || next === 'U') {
+                const length = next === 'u' ? 4 : 8
+                const hex = text.slice(
+                    state.index + 2,
+                    state.index + 2 + length
+                )
+                if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) {
+                    throw createTomlError('Invalid unicode escape', state)
+                }
+                result += String.fromCodePoint(parseInt(hex, 16))
+                state.index += 2 + length
+            } else if (next in tomlEscapes) {
+                result += tomlEscapes[next]
+                state.index += 2
+            } else if (multiline && /[ \t\r\n]/.test(next)) {
+                // A line ending backslash trims the following whitespace.
+                state.index += 1
+                while (/[ \t\r\n]/.test(text[state.index] ?? '')) {
+                    state.index += 1
+                }
+            } else {
+                throw createTomlError('Invalid escape', state)
+            }
+        } else if (char === '\n' && !multiline) {
+            throw createTomlError('Unterminated string', state)
+        } else {
+            result += char
+            state.index += 1
+        }
+    }
+}
+
+function parseTomlInlineTable(state) {
+    const table = { __proto__: null }
+    state.index += 1
+    skipTomlWhitespace(state, false)
+    if (state.text[state.index] === '}') {
+        state.index += 1
+        return table
+    }
+    while (true) {
+        skipTomlWhitespace(state, false)
+        parseTomlKeyValue(state, table)
+        skipTomlWhitespace(state, false)
+        const char = state.text[state.index]
+        state.index += 1
+        if (char === '}') {
+            return table
+        }
+        if (char !== ',') {
+            state.index -= 1
+            throw createTomlError('Expected "," or "}"', state)
+        }
+    }
+}
+
+function parseTomlKey(state) {
+    const keys = []
+    while (true) {
+        const { text } = state
+        const char = text[state.index]
+        if (char === '"') {
+            keys.push(parseTomlBasicString(state, false))
+        } else if (char === "'") {
+            keys.push(parseTomlLiteralString(state, false))
+        } else {
+            const match = regexTomlBareKey.exec(text.slice(state.index))
+            if (match === null) {
+                throw createTomlError('Expected a key', state)
+            }
+            keys.push(match[0])
+            state.index += match[0].length
+        }
+        skipTomlWhitespace(state, false)
+        if (text[state.index] !== '.') {
+            return keys
+        }
+        state.index += 1
+        skipTomlWhitespace(state, false)
+    }
+}
+
+function parseTomlKeyValue(state, table) {
+    const keys = parseTomlKey(state)
+    skipTomlWhitespace(state, false)
+    expectToml(state, '=')
+    skipTomlWhitespace(state, false)
+    const value = parseTomlValue(state)
+    // Dotted keys, e.g. "a.b = 1", define nested tables.
+    const parent = getTomlTable(table, keys.slice(0, -1), state)
+    const key = keys.at(-1)
+    if (parent[key] !== undefined) {
+        throw createTomlError(`Duplicate key "${key}"`, state)
+    }
+    parent[key] = value
+}
+
+function parseTomlLiteralString(state, multiline) {
+    const { text } = state
+    const delimiter = multiline ? "'''" : "'"
+    let start = state.index + delimiter.length
+    if (multiline && text[start] === '\n') {
+        start += 1
+    } else if (multiline && text.startsWith('\r\n', start)) {
+        start += 2
+    }
+    let end = text.indexOf(delimiter, start)
+    const lineEnd = text.indexOf('\n', start)
+    if (end === -1 || (!multiline && lineEnd !== -1 && lineEnd < end)) {
+        throw createTomlError('Unterminated string', state)
+    }
+    // Up to two quotes may precede the closing delimiter.
+    for (let extra = 0; multiline && extra < 2; extra += 1) {
+        if (text[end + 3] !== "'") {
+            break
+        }
+        end += 1
+    }
+    state.index = end + delimiter.length
+    return text.slice(start, end)
+}
+
+function parseTomlValue(state) {
+    const { text } = state
+    const char = text[state.index]
+    if (char === '"') {
+        return parseTomlBasicString(state, text.startsWith('"""', state.index))
+    }
+    if (char === "'") {
+        return parseTomlLiteralString(
+            state,
+            text.startsWith("'''", state.index)
+        )
+    }
+    if (char === '[') {
+        return parseTomlArray(state)
+    }
+    if (char === '{') {
+        return parseTomlInlineTable(state)
+    }
+    const start = state.index
+    while (
+        state.index < text.length &&
+        !regexTomlValueEnd.test(text[state.index])
+    ) {
+        state.index += 1
+    }
+    let token = text.slice(start, state.index)
+    // Date-times may separate the date and time with a space.
+    if (
+        regexTomlLocalDate.test(token) &&
+        /^ \d{2}:/.test(text.slice(state.index, state.index + 4))
+    ) {
+        state.index += 1
+        while (
+            state.index < text.length &&
+            !regexTomlValueEnd.test(text[state.index])
+        ) {
+            state.index += 1
+        }
+        token = text.slice(start, state.index)
+    }
+    if (token === 'true' || token === 'false') {
+        return token === 'true'
+    }
+    if (regexTomlInteger.test(token)) {
+        return Number(token.replace(/_/g, ''))
+    }
+    if (regexTomlFloat.test(token)) {
+        return token.endsWith('inf')
+            ? token.startsWith('-')
+                ? -Infinity
+                : Infinity
+            : token.endsWith('nan')
+              ? NaN
+              : Number(token.replace(/_/g, ''))
+    }
+    if (regexTomlDateTime.test(token)) {
+        return token
+    }
+    state.index = start
+    throw createTomlError('Invalid value', state)
+}
+
+function skipTomlWhitespace(state, newlines) {
+    // Skip spaces, tabs, and comments, and new lines if allowed.
+    const { text } = state
+    while (state.index < text.length) {
+        const char = text[state.index]
+        if (char === ' ' || char === '\t') {
+            state.index += 1
+        } else if (newlines && (char === '\n' || char === '\r')) {
+            state.index += 1
+        } else if (char === '#') {
+            while (state.index < text.length && text[state.index] !== '\n') {
+                state.index += 1
+            }
+        } else {
+            break
+        }
+    }
+}
+
+module.exports = {
+    parseToml
+}
@@ -0,0 +1,129 @@
+'use strict'
+
+const { PurlError } = require('./error')
+const { isObject } = require('./objects')
+
+// Known qualifiers whose values are URLs:
+// https://github.com/package-url/purl-spec/blob/master/PURL-SPECIFICATION.rst#known-qualifiers-keyvalue-pairs
+const URL_QUALIFIER_NAMES = ['download_url', 'repository_url', 'vcs_url']
+
+// Version control tools of SPDX-style VCS locations:
+// https://spdx.github.io/spdx-spec/v2.3/package-information/#77-package-download-location-field
+const VCS_TOOLS = new Set(['bzr', 'git', 'hg', 'svn'])
+
+// An scp-like git location, e.g. "git@github.com:apple/swift-nio.git".
+const regexScpLikeUrl = /^([^@/:]+@)?([^/:]+):(?!\/)(.+)$/
+const regexVcsUrlScheme =
+    /^([A-Za-z][A-Za-z0-9.-]*)(?:\+([A-Za-z][A-Za-z0-9.-]*))?:\/\//
+
+function convertScpLikeUrl(location) {
+    // Git accepts scp-like locations that are not URLs and are equivalent to
+    // "ssh://[<user>@]<host>/<path>" URLs.
+    // https://git-scm.com/docs/git-clone#_git_urls
+    const match = regexScpLikeUrl.exec(location)
+    return match === null
+        ? location
+        : `ssh://${match[1] ?? ''}${match[2]}/${match[3]}`
+}
+
+function findUrlUserinfo(value) {
+    // Find the [start, end) range of the "user:pass" part of a URL, or of a
+    // bare host/path, which ends at the last "@" of the authority.
+    const schemeIndex = value.indexOf('://')
+    const start = schemeIndex === -1 ? 0 : schemeIndex + 3
+    let end = value.length
+    for (const char of '/?#') {
+        const index = value.indexOf(char, start)
+        if (index !== -1 && index < end) {
+            end = index
+        }
+    }
+    const atIndex = value.lastIndexOf('@', end - 1)
+    return atIndex < start ? undefined : [start, atIndex]
+}
+
+function hasUrlCredentials(value) {
+    const range = findUrlUserinfo(value)
+    if (range === undefined) {
+        return false
+    }
+    // A user name without a password, like "git@", is how SSH locations name
+    // their account rather than a credential.
+    return (
+        value.slice(range[0], range[1]).includes(':') ||
+        !/^(?:[A-Za-z0-9.-]+\+)?ssh:\/\//i.test(value)
+    )
+}
+
+function parseVcsUrl(value) {
+    if (typeof value !== 'string') {
+        return undefined
+    }
+    // <vcs_tool>+<transport>://<host_name>[/<path_to_repository>][@<revision_tag_or_branch>][#<sub_path>]
+    const match = regexVcsUrlScheme.exec(value)
+    if (match === null || !VCS_TOOLS.has(match[1].toLowerCase())) {
+        return undefined
+    }
+    const tool = match[1].toLowerCase()
+    // A location without a transport, like "git://", uses the tool as its
+    // transport.
+    const transport = (match[2] ?? match[1]).toLowerCase()
+    let rest = value.slice(match[0].length)
+    let subpath
+    const hashIndex = rest.indexOf('#')
+    if (hashIndex !== -1) {
+        subpath = rest.slice(hashIndex + 1)
+        rest = rest.slice(0, hashIndex)
+    }
+    let revision
+    const pathIndex = rest.indexOf('/')
+    const atIndex = rest.lastIndexOf('@')
+    if (pathIndex !== -1 && atIndex > pathIndex) {
+        revision = rest.slice(atIndex + 1)
+        rest = rest.slice(0, atIndex)
+    }
+    const url = `${transport}://${rest}`
+    try {
+        new URL(url)
+    } catch {
+        return undefined
+    }
+    return Object.freeze({
+        __proto__: null,
+        tool,
+        url,
+        revision: revision || undefined,
+        subpath: subpath || undefined
+    })
+}
+
+function processUrlCredentials(qualifiers, credentials) {
+    if (credentials === 'allow' || !isObject(qualifiers)) {
+        return qualifiers
+    }
+    for (const key of URL_QUALIFIER_NAMES) {
+        const value = qualifiers[key]
+        if (typeof value !== 'string' || !hasUrlCredentials(value)) {
+            continue
+        }
+        if (credentials === 'reject') {
+            throw new PurlError(
+                `"${key}" qualifier cannot contain credentials`,
+                {
+                    code: `${key.toUpperCase()}_CREDENTIALS_NOT_ALLOWED`,
+                    component: 'qualifiers'
+                }
+            )
+        }
+        const range = findUrlUserinfo(value)
+        qualifiers[key] =
+            `${value.slice(0, range[0])}${value.slice(range[1] + 1)}`
+    }
+    return qualifiers
+}
+
+module.exports = {
+    convertScpLikeUrl,
+    parseVcsUrl,
+    processUrlCredentials
+}
@@ -1,38 +1,190 @@
 'use strict'
 
+const {
+    CHECKSUM_ALGORITHMS,
+    normalizeChecksumAlgorithm
+} = require('./checksum')
 const { PurlError } = require('./error')
 const { isNullishOrEmptyString } = require('./lang')
+const { PurlQualifierNames } = require('./purl-qualifier-names')
 const { isNonEmptyString } = require('./strings')
+const { parseVcsUrl } = require('./url-qualifiers')
 
-function validateEmptyByType(type, name, value, throws) {
-    if (!isNullishOrEmptyString(value)) {
-        if (throws) {
-            throw new PurlError(`${type} "${name}" component must be empty`)
+const genericQualifierNames = new Set(Object.values(PurlQualifierNames))
+
+// Validators of known qualifier values. Values of the URL qualifiers that do
+// not fit their format are reported as warnings because purls in the wild
+// commonly have values like "https://github.com/owner/repo.git".
+const qualifierValueValidators = {
+    __proto__: null,
+    checksum: validateChecksumQualifier,
+    download_url: validateDownloadUrlQualifier,
+    repository_url: validateRepositoryUrlQualifier,
+    vcs_url: validateVcsUrlQualifier
+}
+
+function createIssueCode(...parts) {
+    return parts
+        .join('_')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .toUpperCase()
+}
+
+function reportIssue(issue, throws, issues) {
+    // When an issues array is provided the issue is collected and validation
+    // may continue, otherwise errors are thrown or reported as a false return.
+    const { code, component, message, severity = 'error' } = issue
+    if (issues !== undefined) {
+        issues.push({ code, component, severity, message })
+        return true
+    }
+    if (severity !== 'error') {
+        return true
+    }
+    if (throws) {
+        throw new PurlError(message, { code, component })
+    }
+    return false
+}
+
+function validateChecksumQualifier(value, throws, issues) {
+    // https://github.com/package-url/purl-spec/blob/master/PURL-SPECIFICATION.rst#known-qualifiers-keyvalue-pairs
+    // Only pairs that are not "algorithm:hexdigest" are errors. Algorithms
+    // this package does not know and digests of the wrong length for their
+    // algorithm are reported as warnings.
+    let valid = true
+    for (const rawPair of value.split(',')) {
+        const pair = rawPair.trim()
+        const colonIndex = pair.indexOf(':')
+        let issue
+        if (colonIndex < 1) {
+            issue = {
+                code: 'CHECKSUM_MALFORMED',
+                message: `checksum "${pair}" must be an "algorithm:digest" pair`
+            }
+        } else {
+            const algorithm = normalizeChecksumAlgorithm(
+                pair.slice(0, colonIndex)
+            )
+            const digest = pair.slice(colonIndex + 1).trim()
+            const known = CHECKSUM_ALGORITHMS[algorithm]
+            if (!/^[0-9A-Fa-f]+$/.test(digest)) {
+                issue = {
+                    code: 'CHECKSUM_DIGEST_NOT_HEX',
+                    message: `${algorithm} checksum digest must be hexadecimal`
+                }
+            } else if (known === undefined) {
+                issue = {
+                    code: 'CHECKSUM_ALGORITHM_UNKNOWN',
+                    message: `checksum algorithm "${algorithm}" is not known`,
+                    severity: 'warning'
+                }
+            } else if (digest.length !== known.length) {
+                issue = {
+                    code: 'CHECKSUM_DIGEST_LENGTH',
+                    message: `${algorithm} checksum digest must be ${known.length} characters long`,
+                    severity: 'warning'
+                }
+            }
+        }
+        if (issue !== undefined) {
+            reportIssue({ ...issue, component: 'qualifiers' }, throws, issues)
+            if (issue.severity === undefined) {
+                // Keep checking the remaining checksums when collecting
+                // issues.
+                if (issues === undefined) {
+                    return false
+                }
+                valid = false
+            }
         }
+    }
+    return valid
+}
+
+function validateComponentsByType(type, rules, purl, throws, issues) {
+    // Keep checking components when collecting issues.
+    let valid = true
+    for (const name of rules.required) {
+        if (!validateRequiredByType(type, name, purl[name], throws, issues)) {
+            if (issues === undefined) {
+                return false
+            }
+            valid = false
+        }
+    }
+    for (const name of rules.empty) {
+        if (!validateEmptyByType(type, name, purl[name], throws, issues)) {
+            if (issues === undefined) {
+                return false
+            }
+            valid = false
+        }
+    }
+    return valid
+}
+
+function validateDownloadUrlQualifier(value, throws, issues) {
+    let url
+    try {
+        url = new URL(value)
+    } catch {}
+    if (url === undefined) {
+        reportIssue(
+            {
+                code: 'DOWNLOAD_URL_INVALID',
+                component: 'qualifiers',
+                message: 'download_url qualifier must be an absolute URL',
+                severity: 'warning'
+            },
+            throws,
+            issues
+        )
+    }
+    return true
+}
+
+function validateEmptyByType(type, name, value, throws, issues) {
+    if (!isNullishOrEmptyString(value)) {
+        reportIssue(
+            {
+                code: createIssueCode(type, name, 'must be empty'),
+                component: name,
+                message: `${type} "${name}" component must be empty`
+            },
+            throws,
+            issues
+        )
         return false
     }
     return true
 }
 
-function validateName(name, throws) {
+function validateName(name, throws, issues) {
     return (
-        validateRequired('name', name, throws) &&
-        validateStrings('name', name, throws)
+        validateRequired('name', name, throws, issues) &&
+        validateStrings('name', name, throws, issues)
     )
 }
 
-function validateNamespace(namespace, throws) {
-    return validateStrings('namespace', namespace, throws)
+function validateNamespace(namespace, throws, issues) {
+    return validateStrings('namespace', namespace, throws, issues)
 }
 
-function validateQualifiers(qualifiers, throws) {
+function validateQualifiers(qualifiers, throws, issues) {
     if (qualifiers === null || qualifiers === undefined) {
         return true
     }
     if (typeof qualifiers !== 'object') {
-        if (throws) {
-            throw new PurlError('"qualifiers" must be an object')
-        }
+        reportIssue(
+            {
+                code: 'QUALIFIERS_NOT_OBJECT',
+                component: 'qualifiers',
+                message: '"qualifiers" must be an object'
+            },
+            throws,
+            issues
+        )
         return false
     }
     const keysIterable =
@@ -40,17 +192,84 @@ function validateQualifiers(qualifiers, throws) {
         typeof qualifiers.keys === 'function'
             ? qualifiers.keys()
             : Object.keys(qualifiers)
+    let valid = true
     for (const key of keysIterable) {
-        if (!validateQualifierKey(key, throws)) {
-            return false
+        if (!validateQualifierKey(key, throws, issues)) {
+            // Keep checking the remaining keys when collecting issues.
+            if (issues === undefined) {
+                return false
+            }
+            valid = false
+        }
+    }
+    for (const key of Object.keys(qualifierValueValidators)) {
+        const value =
+            typeof qualifiers.get === 'function'
+                ? qualifiers.get(key)
+                : qualifiers[key]
+        if (
+            typeof value === 'string' &&
+            !qualifierValueValidators[key](value, throws, issues)
+        ) {
+            if (issues === undefined) {
+                return false
+            }
+            valid = false
+        }
+    }
+    return valid
+}
+
+function validateQualifiersByType(type, catalog, qualifiers, throws, issues) {
+    // Qualifiers a type does not define, or values that do not fit their
+    // definition, are reported as warnings.
+    if (qualifiers === null || typeof qualifiers !== 'object') {
+        return true
+    }
+    for (const key of Object.keys(qualifiers)) {
+        const value = qualifiers[key]
+        const definition = catalog[key]
+        if (definition === undefined) {
+            if (!genericQualifierNames.has(key)) {
+                reportIssue(
+                    {
+                        code: createIssueCode(type, 'qualifier unknown'),
+                        component: 'qualifiers',
+                        message: `${type} does not define a "${key}" qualifier`,
+                        severity: 'warning'
+                    },
+                    throws,
+                    issues
+                )
+            }
+            continue
+        }
+        const { pattern, values } = definition
+        let expected
+        if (values !== undefined && !values.includes(value)) {
+            expected = `be one of ${values.map(v => `"${v}"`).join(', ')}`
+        } else if (pattern !== undefined && !pattern.test(value)) {
+            expected = `match ${pattern}`
+        }
+        if (expected !== undefined) {
+            reportIssue(
+                {
+                    code: createIssueCode(type, 'qualifier', key, 'invalid'),
+                    component: 'qualifiers',
+                    message: `${type} "${key}" qualifier must ${expected}`,
+                    severity: 'warning'
+                },
+                throws,
+                issues
+            )
         }
     }
     return true
 }
 
-function validateQualifierKey(key, throws) {
+function validateQualifierKey(key, throws, issues) {
     // A key cannot start with a number.
-    if (!validateStartsWithoutNumber('qualifier', key, throws)) {
+    if (!validateStartsWithoutNumber('qualifier', key, throws, issues)) {
         return false
     }
     // The key must be composed only of ASCII letters and numbers,
@@ -70,72 +289,129 @@ function validateQualifierKey(key, throws) {
                 )
             )
         ) {
-            if (throws) {
-                throw new PurlError(
-                    `qualifier "${key}" contains an illegal character`
-                )
-            }
+            reportIssue(
+                {
+                    code: 'QUALIFIER_ILLEGAL_CHARACTER',
+                    component: 'qualifiers',
+                    message: `qualifier "${key}" contains an illegal character`
+                },
+                throws,
+                issues
+            )
             return false
         }
     }
     return true
 }
 
-function validateRequired(name, value, throws) {
+function validateRepositoryUrlQualifier(value, throws, issues) {
+    // A repository_url is a bare host and path, like "repo.spring.io/release",
+    // though http(s) URLs are accepted too.
+    const schemeIndex = value.indexOf('://')
+    let url
+    try {
+        url = new URL(schemeIndex === -1 ? `https://${value}` : value)
+    } catch {}
+    if (
+        url === undefined ||
+        url.hostname.length === 0 ||
+        /\s/.test(value) ||
+        (schemeIndex !== -1 &&
+            url.protocol !== 'http:' &&
+            url.protocol !== 'https:')
+    ) {
+        reportIssue(
+            {
+                code: 'REPOSITORY_URL_INVALID',
+                component: 'qualifiers',
+                message:
+                    'repository_url qualifier must be a host and path or an http(s) URL',
+                severity: 'warning'
+            },
+            throws,
+            issues
+        )
+    }
+    return true
+}
+
+function validateRequired(name, value, throws, issues) {
     if (isNullishOrEmptyString(value)) {
-        if (throws) {
-            throw new PurlError(`"${name}" is a required component`)
-        }
+        reportIssue(
+            {
+                code: createIssueCode(name, 'required'),
+                component: name,
+                message: `"${name}" is a required component`
+            },
+            throws,
+            issues
+        )
         return false
     }
     return true
 }
 
-function validateRequiredByType(type, name, value, throws) {
+function validateRequiredByType(type, name, value, throws, issues) {
     if (isNullishOrEmptyString(value)) {
-        if (throws) {
-            throw new PurlError(`${type} requires a "${name}" component`)
-        }
+        reportIssue(
+            {
+                code: createIssueCode(type, name, 'required'),
+                component: name,
+                message: `${type} requires a "${name}" component`
+            },
+            throws,
+            issues
+        )
         return false
     }
     return true
 }
 
-function validateStartsWithoutNumber(name, value, throws) {
+function validateStartsWithoutNumber(name, value, throws, issues) {
     if (isNonEmptyString(value)) {
         const code = value.charCodeAt(0)
         if (code >= 48 /*'0'*/ && code <= 57 /*'9'*/) {
-            if (throws) {
-                throw new PurlError(
-                    `${name} "${value}" cannot start with a number`
-                )
-            }
+            reportIssue(
+                {
+                    code: createIssueCode(name, 'starts with number'),
+                    component: name === 'qualifier' ? 'qualifiers' : name,
+                    message: `${name} "${value}" cannot start with a number`
+                },
+                throws,
+                issues
+            )
             return false
         }
     }
     return true
 }
 
-function validateStrings(name, value, throws) {
+function validateStrings(name, value, throws, issues) {
     if (value === null || value === undefined || typeof value === 'string') {
         return true
     }
-    if (throws) {
-        throw new PurlError(`"'${name}" must be a string`)
-    }
+    reportIssue(
+        {
+            code: createIssueCode(name, 'not string'),
+            component: name,
+            message: `"'${name}" must be a string`
+        },
+        throws,
+        issues
+    )
     return false
 }
 
-function validateSubpath(subpath, throws) {
-    return validateStrings('subpath', subpath, throws)
+function validateSubpath(subpath, throws, issues) {
+    return validateStrings('subpath', subpath, throws, issues)
 }
 
-function validateType(type, throws) {
+function validateType(type, throws, issues) {
     // The type cannot be nullish, an empty string, or start with a number.
     if (
-        !validateRequired('type', type, throws) ||
-        !validateStrings('type', type, throws) ||
-        !validateStartsWithoutNumber('type', type, throws)
+        !validateRequired('type', type, throws, issues) ||
+        !validateStrings('type', type, throws, issues) ||
+        !validateStartsWithoutNumber('type', type, throws, issues)
     ) {
         return false
     }
@@ -156,32 +432,61 @@ function validateType(type, throws) {
                 )
             )
         ) {
-            if (throws) {
-                throw new PurlError(
-                    `type "${type}" contains an illegal character`
-                )
-            }
+            reportIssue(
+                {
+                    code: 'TYPE_ILLEGAL_CHARACTER',
+                    component: 'type',
+                    message: `type "${type}" contains an illegal character`
+                },
+                throws,
+                issues
+            )
             return false
         }
     }
     return true
 }
 
-function validateVersion(version, throws) {
-    return validateStrings('version', version, throws)
+function validateVcsUrlQualifier(value, throws, issues) {
+    if (parseVcsUrl(value) === undefined) {
+        reportIssue(
+            {
+                code: 'VCS_URL_INVALID',
+                component: 'qualifiers',
+                message:
+                    'vcs_url qualifier must be a "<vcs_tool>+<transport>://<host_name>[/<path>][@<revision>]" URL',
+                severity: 'warning'
+            },
+            throws,
+            issues
+        )
+    }
+    return true
+}
+
+function validateVersion(version, throws, issues) {
+    return validateStrings('version', version, throws, issues)
 }
 
 module.exports = {
+    createIssueCode,
+    reportIssue,
+    validateChecksumQualifier,
+    validateComponentsByType,
+    validateDownloadUrlQualifier,
     validateEmptyByType,
     validateName,
     validateNamespace,
     validateQualifiers,
+    validateQualifiersByType,
     validateQualifierKey,
+    validateRepositoryUrlQualifier,
     validateRequired,
     validateRequiredByType,
     validateStartsWithoutNumber,
     validateStrings,
     validateSubpath,
     validateType,
+    validateVcsUrlQualifier,
     validateVersion
 }
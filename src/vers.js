@@ -0,0 +1,415 @@
+'use strict'
+
+const { encodeVersion } = require('./encode')
+const { isObject } = require('./objects')
+const { isNonEmptyString } = require('./strings')
+const { compareVersions, defaultRegistry } = require('./purl-type-registry')
+const { compareSemverVersions } = require('./versions')
+const { VersError } = require('./error')
+
+const { decodeURIComponent } = globalThis
+
+// Versioning schemes:
+// https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst#some-of-the-known-versioning-schemes
+const VERS_SCHEMES = new Set([
+    'alpine',
+    'alpm',
+    'apk',
+    'cargo',
+    'cocoapods',
+    'composer',
+    'conan',
+    'conda',
+    'cpan',
+    'cran',
+    'deb',
+    'ebuild',
+    'gem',
+    'generic',
+    'github',
+    'golang',
+    'hackage',
+    'hex',
+    'intdot',
+    'lexicographic',
+    'mattermost',
+    'maven',
+    'nginx',
+    'npm',
+    'nuget',
+    'openssl',
+    'pub',
+    'pypi',
+    'rpm',
+    'semver',
+    'swift'
+])
+
+const VERS_COMPARATORS = ['!=', '<=', '>=', '<', '>', '=']
+
+const regexWhitespace = /\s+/g
+
+function decodeVersConstraintVersion(encoded) {
+    try {
+        return decodeURIComponent(encoded)
+    } catch {}
+    throw new VersError(`unable to decode version "${encoded}"`, {
+        code: 'VERS_VERSION_DECODE_FAILED'
+    })
+}
+
+function isGreaterComparator(comparator) {
+    return comparator === '>' || comparator === '>='
+}
+
+function isLesserComparator(comparator) {
+    return comparator === '<' || comparator === '<='
+}
+
+function normalizeVersScheme(rawScheme) {
+    const scheme =
+        typeof rawScheme === 'string' ? rawScheme.trim().toLowerCase() : ''
+    if (scheme.length === 0) {
+        throw new VersError('a versioning scheme is required', {
+            code: 'VERS_SCHEME_REQUIRED'
+        })
+    }
+    if (!VERS_SCHEMES.has(scheme) && !defaultRegistry.has(scheme)) {
+        throw new VersError(`unknown versioning scheme "${scheme}"`, {
+            code: 'VERS_SCHEME_UNKNOWN'
+        })
+    }
+    return scheme
+}
+
+function parseVersConstraint(constraintStr) {
+    const constraint = constraintStr.replace(regexWhitespace, '')
+    if (constraint === '*') {
+        return { comparator: '*', version: '' }
+    }
+    let comparator = '='
+    let rawVersion = constraint
+    for (const comp of VERS_COMPARATORS) {
+        if (constraint.startsWith(comp)) {
+            comparator = comp
+            rawVersion = constraint.slice(comp.length)
+            break
+        }
+    }
+    if (rawVersion.length === 0) {
+        throw new VersError(
+            `constraint "${constraintStr}" requires a version`,
+            {
+                code: 'VERS_CONSTRAINT_VERSION_REQUIRED'
+            }
+        )
+    }
+    return { comparator, version: decodeVersConstraintVersion(rawVersion) }
+}
+
+function sortVersConstraints(scheme, rawConstraints) {
+    const constraints = []
+    const seen = new Map()
+    for (const rawConstraint of rawConstraints) {
+        if (!isObject(rawConstraint)) {
+            throw new VersError('constraints must be objects', {
+                code: 'VERS_CONSTRAINT_NOT_OBJECT'
+            })
+        }
+        const { comparator, version } = rawConstraint
+        if (comparator === '*') {
+            if (rawConstraints.length !== 1) {
+                throw new VersError(
+                    'a "*" constraint cannot be combined with other constraints',
+                    { code: 'VERS_CONSTRAINT_STAR_COMBINED' }
+                )
+            }
+            return [{ comparator, version: '' }]
+        }
+        if (!VERS_COMPARATORS.includes(comparator)) {
+            throw new VersError(`unknown comparator "${comparator}"`, {
+                code: 'VERS_COMPARATOR_UNKNOWN'
+            })
+        }
+        if (!isNonEmptyString(version)) {
+            throw new VersError(
+                `"${comparator}" constraint requires a version`,
+                {
+                    code: 'VERS_CONSTRAINT_VERSION_REQUIRED'
+                }
+            )
+        }
+        const trimmed = version.trim()
+        const seenComparator = seen.get(trimmed)
+        if (seenComparator !== undefined) {
+            if (seenComparator !== comparator) {
+                throw new VersError(
+                    `version "${trimmed}" cannot be used in more than one constraint`,
+                    { code: 'VERS_VERSION_DUPLICATE' }
+                )
+            }
+            continue
+        }
+        seen.set(trimmed, comparator)
+        constraints.push({ comparator, version: trimmed })
+    }
+    if (constraints.length === 0) {
+        throw new VersError('at least one constraint is required', {
+            code: 'VERS_CONSTRAINTS_REQUIRED'
+        })
+    }
+    return constraints.sort((a, b) =>
+        compareVersVersions(scheme, a.version, b.version)
+    )
+}
+
+function compareVersVersions(scheme, a, b) {
+    return scheme === 'semver'
+        ? compareSemverVersions(a, b)
+        : compareVersions(scheme, a, b)
+}
+
+function validateVersConstraints(constraints) {
+    // Ignoring "!=" constraints, an "=" constraint must be followed only by
+    // "=", ">" or ">=" constraints. Ignoring "=" and "!=" constraints,
+    // comparators must alternate between greater and lesser comparators.
+    // https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst#version-constraints
+    let previous
+    let previousBound
+    for (const { comparator, version } of constraints) {
+        if (comparator === '!=' || comparator === '*') {
+            continue
+        }
+        if (previous?.comparator === '=' && isLesserComparator(comparator)) {
+            throw new VersError(
+                `"${comparator}${version}" cannot follow "=${previous.version}"`,
+                { code: 'VERS_CONSTRAINT_ORDER_INVALID' }
+            )
+        }
+        if (comparator !== '=') {
+            if (
+                previousBound &&
+                isGreaterComparator(previousBound.comparator) ===
+                    isGreaterComparator(comparator)
+            ) {
+                throw new VersError(
+                    `"${comparator}${version}" cannot follow "${previousBound.comparator}${previousBound.version}"`,
+                    { code: 'VERS_CONSTRAINT_ORDER_INVALID' }
+                )
+            }
+            previousBound = { comparator, version }
+        }
+        previous = { comparator, version }
+    }
+}
+
+function versConstraintContains(scheme, constraint, version) {
+    const result = compareVersVersions(scheme, version, constraint.version)
+    switch (constraint.comparator) {
+        case '=':
+            return result === 0
+        case '!=':
+            return result !== 0
+        case '<':
+            return result < 0
+        case '<=':
+            return result <= 0
+        case '>':
+            return result > 0
+        case '>=':
+            return result >= 0
+        default:
+            return true
+    }
+}
+
+class VersionRange {
+    constructor(rawScheme, rawConstraints) {
+        const scheme = normalizeVersScheme(rawScheme)
+        if (!Array.isArray(rawConstraints)) {
+            throw new VersError('constraints must be an array', {
+                code: 'VERS_CONSTRAINTS_NOT_ARRAY'
+            })
+        }
+        const constraints = sortVersConstraints(scheme, rawConstraints)
+        validateVersConstraints(constraints)
+        this.scheme = scheme
+        this.constraints = Object.freeze(constraints.map(Object.freeze))
+    }
+
+    contains(versionOrPurl) {
+        let version = versionOrPurl
+        if (isObject(versionOrPurl)) {
+            const { type } = versionOrPurl
+            if (type !== this.scheme) {
+                throw new VersError(
+                    `a "${type}" purl cannot be compared to a "${this.scheme}" range`,
+                    { code: 'VERS_PURL_TYPE_MISMATCH' }
+                )
+            }
+            ;({ version } = versionOrPurl)
+        }
+        if (!isNonEmptyString(version)) {
+            throw new VersError('a version is required', {
+                code: 'VERS_VERSION_REQUIRED'
+            })
+        }
+        const { constraints, scheme } = this
+        if (constraints[0].comparator === '*') {
+            return true
+        }
+        // https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst#checking-if-a-version-is-contained-within-a-range
+        for (const constraint of constraints) {
+            if (
+                (constraint.comparator === '=' ||
+                    constraint.comparator === '!=') &&
+                compareVersVersions(scheme, version, constraint.version) === 0
+            ) {
+                return constraint.comparator === '='
+            }
+        }
+        const bounds = constraints.filter(
+            ({ comparator }) => comparator !== '=' && comparator !== '!='
+        )
+        const { length } = bounds
+        if (length === 0) {
+            // Only "!=" constraints remain and none matched.
+            return constraints.some(({ comparator }) => comparator === '!=')
+        }
+        if (length === 1) {
+            return versConstraintContains(scheme, bounds[0], version)
+        }
+        for (let i = 0; i < length - 1; i += 1) {
+            const current = bounds[i]
+            const next = bounds[i + 1]
+            if (
+                i === 0 &&
+                isLesserComparator(current.comparator) &&
+                versConstraintContains(scheme, current, version)
+            ) {
+                return true
+            }
+            if (
+                i === length - 2 &&
+                isGreaterComparator(next.comparator) &&
+                versConstraintContains(scheme, next, version)
+            ) {
+                return true
+            }
+            if (
+                isGreaterComparator(current.comparator) &&
+                isLesserComparator(next.comparator) &&
+                versConstraintContains(scheme, current, version) &&
+                versConstraintContains(scheme, next, version)
+            ) {
+                return true
+            }
+        }
+        return false
+    }
+
+    simplify() {
+        // https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst#version-constraints-simplification
+        const simplified = []
+        for (const constraint of this.constraints) {
+            const { comparator } = constraint
+            if (comparator === '!=' || comparator === '*') {
+                simplified.push(constraint)
+                continue
+            }
+            let previousIndex = simplified.length - 1
+            while (
+                previousIndex >= 0 &&
+                simplified[previousIndex].comparator === '!='
+            ) {
+                previousIndex -= 1
+            }
+            const previous = simplified[previousIndex]
+            if (
+                previous &&
+                isGreaterComparator(previous.comparator) &&
+                (comparator === '=' || isGreaterComparator(comparator))
+            ) {
+                continue
+            }
+            if (
+                previous &&
+                (previous.comparator === '=' ||
+                    isLesserComparator(previous.comparator)) &&
+                isLesserComparator(comparator)
+            ) {
+                simplified.splice(previousIndex, 1)
+            }
+            simplified.push(constraint)
+        }
+        return new VersionRange(this.scheme, simplified)
+    }
+
+    toString() {
+        const constraintStrs = this.constraints.map(
+            ({ comparator, version }) => {
+                if (comparator === '*') {
+                    return '*'
+                }
+                const encoded = encodeVersion(version)
+                return comparator === '=' ? encoded : `${comparator}${encoded}`
+            }
+        )
+        return `vers:${this.scheme}/${constraintStrs.join('|')}`
+    }
+
+    static fromString(versStr) {
+        return new VersionRange(...VersionRange.parseString(versStr))
+    }
+
+    static parseString(versStr) {
+        // https://github.com/package-url/purl-spec/blob/master/VERSION-RANGE-SPEC.rst#parsing-and-validating-version-range-specifiers
+        if (typeof versStr !== 'string') {
+            throw new Error('A vers string argument is required.')
+        }
+        const trimmed = versStr.replace(regexWhitespace, '')
+        const colonIndex = trimmed.indexOf(':')
+        if (
+            colonIndex === -1 ||
+            trimmed.slice(0, colonIndex).toLowerCase() !== 'vers'
+        ) {
+            throw new VersError('missing required "vers" scheme component', {
+                code: 'VERS_URI_SCHEME_REQUIRED'
+            })
+        }
+        const remainder = trimmed.slice(colonIndex + 1)
+        const slashIndex = remainder.indexOf('/')
+        if (slashIndex === -1) {
+            throw new VersError(
+                'missing required versioning scheme component',
+                {
+                    code: 'VERS_SCHEME_REQUIRED'
+                }
+            )
+        }
+        const scheme = remainder.slice(0, slashIndex)
+        const constraintsStr = remainder.slice(slashIndex + 1)
+        if (constraintsStr.length === 0) {
+            throw new VersError('missing required constraints component', {
+                code: 'VERS_CONSTRAINTS_REQUIRED'
+            })
+        }
+        return [
+            scheme,
+            constraintsStr.split('|').map(c => {
+                if (c.length === 0) {
+                    throw new VersError('constraints cannot be empty', {
+                        code: 'VERS_CONSTRAINT_EMPTY'
+                    })
+                }
+                return parseVersConstraint(c)
+            })
+        ]
+    }
+}
+
+Reflect.setPrototypeOf(VersionRange.prototype, null)
+
+module.exports = {
+    VersionRange
+}
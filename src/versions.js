@@ -0,0 +1,548 @@
+'use strict'
+
+const { compareStrings } = require('./strings')
+
+// This regexp is based on the one used by pypa/packaging.
+// https://packaging.python.org/en/latest/specifications/version-specifiers/#appendix-parsing-version-strings-with-regular-expressions
+const regexPep440 =
+    /^v?(?:(?:([0-9]+)!)?([0-9]+(?:\.[0-9]+)*)([-_.]?(alpha|a|beta|b|preview|pre|c|rc)[-_.]?([0-9]+)?)?((?:-([0-9]+))|(?:[-_.]?(post|rev|r)[-_.]?([0-9]+)?))?([-_.]?(dev)[-_.]?([0-9]+)?)?)(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?$/i
+
+const regexSemverLoose =
+    /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/
+
+const regexDigits = /^\d+$/
+
+const MAVEN_QUALIFIERS = [
+    'alpha',
+    'beta',
+    'milestone',
+    'rc',
+    'snapshot',
+    '',
+    'sp'
+]
+
+const MAVEN_QUALIFIER_ALIASES = {
+    __proto__: null,
+    ga: '',
+    final: '',
+    release: '',
+    cr: 'rc'
+}
+
+const MAVEN_RELEASE_QUALIFIER_INDEX = String(MAVEN_QUALIFIERS.indexOf(''))
+
+function compareNumericStrings(a, b) {
+    // Compare digit strings without converting to numbers so arbitrarily large
+    // version numbers compare correctly.
+    const aTrimmed = a.replace(/^0+(?=\d)/, '')
+    const bTrimmed = b.replace(/^0+(?=\d)/, '')
+    if (aTrimmed.length !== bTrimmed.length) {
+        return aTrimmed.length < bTrimmed.length ? -1 : 1
+    }
+    return compareStrings(aTrimmed, bTrimmed)
+}
+
+function compareVersionsByTokens(a, b) {
+    // Compare runs of digits numerically and everything else lexically,
+    // ignoring the ".", "-", "+" and "_" separators, so that "1.10" sorts
+    // after "1.9". A numeric token sorts after a non-numeric one and a
+    // version with more tokens sorts after its prefix.
+    const aTokens = a.match(/\d+|[^\d.\-+_]+/g) ?? []
+    const bTokens = b.match(/\d+|[^\d.\-+_]+/g) ?? []
+    const length = Math.max(aTokens.length, bTokens.length)
+    for (let i = 0; i < length; i += 1) {
+        const aToken = aTokens[i]
+        const bToken = bTokens[i]
+        if (aToken === undefined) return -1
+        if (bToken === undefined) return 1
+        const aIsNum = regexDigits.test(aToken)
+        const bIsNum = regexDigits.test(bToken)
+        let result
+        if (aIsNum && bIsNum) {
+            result = compareNumericStrings(aToken, bToken)
+        } else if (aIsNum !== bIsNum) {
+            result = aIsNum ? 1 : -1
+        } else {
+            result = compareStrings(aToken, bToken)
+        }
+        if (result !== 0) return result
+    }
+    return 0
+}
+
+// https://man7.org/linux/man-pages/man7/deb-version.7.html
+function compareDebianVersions(a, b) {
+    const aParts = parseDebianVersion(a)
+    const bParts = parseDebianVersion(b)
+    return (
+        compareNumericStrings(aParts.epoch, bParts.epoch) ||
+        compareDebianVersionPart(aParts.upstream, bParts.upstream) ||
+        compareDebianVersionPart(aParts.revision, bParts.revision)
+    )
+}
+
+function compareDebianVersionPart(a, b) {
+    // Port of dpkg's verrevcmp.
+    // https://git.dpkg.org/cgit/dpkg/dpkg.git/tree/lib/dpkg/version.c
+    const order = (str, i) => {
+        if (i >= str.length) return 0
+        const code = str.charCodeAt(i)
+        if (code >= 48 && code <= 57) return 0 // 0-9
+        if ((code >= 65 && code <= 90) || (code >= 97 && code <= 122)) {
+            return code // A-Z, a-z
+        }
+        if (code === 126 /*'~'*/) return -1
+        return code + 256
+    }
+    const isDigitAt = (str, i) => {
+        const code = str.charCodeAt(i)
+        return code >= 48 && code <= 57
+    }
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+        let firstDiff = 0
+        while (
+            (i < a.length && !isDigitAt(a, i)) ||
+            (j < b.length && !isDigitAt(b, j))
+        ) {
+            const ac = order(a, i)
+            const bc = order(b, j)
+            if (ac !== bc) return ac < bc ? -1 : 1
+            i += 1
+            j += 1
+        }
+        while (a.charCodeAt(i) === 48 /*'0'*/) i += 1
+        while (b.charCodeAt(j) === 48) j += 1
+        while (isDigitAt(a, i) && isDigitAt(b, j)) {
+            if (!firstDiff) firstDiff = a.charCodeAt(i) - b.charCodeAt(j)
+            i += 1
+            j += 1
+        }
+        if (isDigitAt(a, i)) return 1
+        if (isDigitAt(b, j)) return -1
+        if (firstDiff) return firstDiff < 0 ? -1 : 1
+    }
+    return 0
+}
+
+// https://github.com/rubygems/rubygems/blob/master/lib/rubygems/version.rb
+function compareGemVersions(a, b) {
+    const aSegments = getGemCanonicalSegments(a)
+    const bSegments = getGemCanonicalSegments(b)
+    const length = Math.max(aSegments.length, bSegments.length)
+    for (let i = 0; i < length; i += 1) {
+        const lhs = aSegments[i] ?? '0'
+        const rhs = bSegments[i] ?? '0'
+        if (lhs === rhs) continue
+        const lhsIsNum = regexDigits.test(lhs)
+        const rhsIsNum = regexDigits.test(rhs)
+        if (!lhsIsNum && rhsIsNum) return -1
+        if (lhsIsNum && !rhsIsNum) return 1
+        const result = lhsIsNum
+            ? compareNumericStrings(lhs, rhs)
+            : compareStrings(lhs, rhs)
+        if (result !== 0) return result
+    }
+    return 0
+}
+
+// https://go.dev/ref/mod#versions
+function compareGolangVersions(a, b) {
+    // Go module versions are semver versions prefixed with "v". Pseudo-versions
+    // are semver pre-release versions that sort by their timestamp and the
+    // "+incompatible" suffix is build metadata that does not affect ordering.
+    return compareSemverVersions(a, b)
+}
+
+// https://maven.apache.org/ref/current/maven-artifact/apidocs/org/apache/maven/artifact/versioning/ComparableVersion.html
+function compareMavenVersions(a, b) {
+    return compareMavenItems(parseMavenVersion(a), parseMavenVersion(b))
+}
+
+function compareMavenItems(item, other) {
+    const { kind, value } = item
+    if (kind === 'int') {
+        if (other === undefined) return value === 0n ? 0 : 1
+        if (other.kind !== 'int') return 1
+        if (value === other.value) return 0
+        return value < other.value ? -1 : 1
+    }
+    if (kind === 'string') {
+        if (other === undefined) {
+            return compareStrings(
+                getMavenComparableQualifier(value),
+                MAVEN_RELEASE_QUALIFIER_INDEX
+            )
+        }
+        if (other.kind === 'int' || other.kind === 'list') return -1
+        return compareStrings(
+            getMavenComparableQualifier(value),
+            getMavenComparableQualifier(other.value)
+        )
+    }
+    // The item is a list.
+    if (other === undefined) {
+        return value.length === 0 ? 0 : compareMavenItems(value[0], undefined)
+    }
+    if (other.kind === 'int') return -1
+    if (other.kind === 'string') return 1
+    const length = Math.max(value.length, other.value.length)
+    for (let i = 0; i < length; i += 1) {
+        const left = value[i]
+        const right = other.value[i]
+        const result =
+            left === undefined
+                ? right === undefined
+                    ? 0
+                    : -compareMavenItems(right, left)
+                : compareMavenItems(left, right)
+        if (result !== 0) return result
+    }
+    return 0
+}
+
+// https://peps.python.org/pep-0440/#summary-of-permitted-suffixes-and-relative-ordering
+function comparePep440Versions(a, b) {
+    const aKey = getPep440SortKey(a)
+    const bKey = getPep440SortKey(b)
+    if (aKey === undefined || bKey === undefined) {
+        // Fallback for legacy non-PEP 440 versions.
+        return compareVersionsByTokens(a, b)
+    }
+    const length = Math.max(aKey.length, bKey.length)
+    for (let i = 0; i < length; i += 1) {
+        const result = comparePep440KeyParts(aKey[i], bKey[i])
+        if (result !== 0) return result
+    }
+    return 0
+}
+
+function comparePep440KeyParts(a, b) {
+    if (a === b) return 0
+    if (a === undefined) return -1
+    if (b === undefined) return 1
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const length = Math.max(a.length, b.length)
+        for (let i = 0; i < length; i += 1) {
+            const result = comparePep440KeyParts(a[i], b[i])
+            if (result !== 0) return result
+        }
+        return 0
+    }
+    // Infinity and -Infinity are used as markers that sort after or before
+    // anything else.
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a < b ? -1 : 1
+    }
+    if (typeof a === 'number') return a < 0 ? -1 : 1
+    if (typeof b === 'number') return b < 0 ? 1 : -1
+    return compareStrings(a, b)
+}
+
+// https://github.com/rpm-software-management/rpm/blob/master/rpmio/rpmvercmp.cc
+function compareRpmVersions(a, b) {
+    const aParts = parseRpmVersion(a)
+    const bParts = parseRpmVersion(b)
+    return (
+        compareNumericStrings(aParts.epoch, bParts.epoch) ||
+        rpmvercmp(aParts.version, bParts.version) ||
+        rpmvercmp(aParts.release, bParts.release)
+    )
+}
+
+// https://semver.org/#spec-item-11
+function compareSemverVersions(a, b) {
+    const aMatch = regexSemverLoose.exec(a)
+    const bMatch = regexSemverLoose.exec(b)
+    if (aMatch === null || bMatch === null) {
+        return compareVersionsByTokens(a, b)
+    }
+    for (let i = 1; i <= 3; i += 1) {
+        const result = compareNumericStrings(aMatch[i], bMatch[i])
+        if (result !== 0) return result
+    }
+    const aPre = aMatch[4]
+    const bPre = bMatch[4]
+    if (aPre === undefined || bPre === undefined) {
+        // A version without pre-release identifiers has higher precedence.
+        if (aPre === bPre) return 0
+        return aPre === undefined ? 1 : -1
+    }
+    const aIds = aPre.split('.')
+    const bIds = bPre.split('.')
+    const length = Math.max(aIds.length, bIds.length)
+    for (let i = 0; i < length; i += 1) {
+        const aId = aIds[i]
+        const bId = bIds[i]
+        if (aId === undefined) return -1
+        if (bId === undefined) return 1
+        const aIsNum = regexDigits.test(aId)
+        const bIsNum = regexDigits.test(bId)
+        let result
+        if (aIsNum && bIsNum) {
+            result = compareNumericStrings(aId, bId)
+        } else if (aIsNum !== bIsNum) {
+            // Numeric identifiers have lower precedence.
+            result = aIsNum ? -1 : 1
+        } else {
+            result = compareStrings(aId, bId)
+        }
+        if (result !== 0) return result
+    }
+    return 0
+}
+
+function getGemCanonicalSegments(version) {
+    const segments = version.match(/[0-9]+|[a-z]+/gi) ?? []
+    const stringStart = segments.findIndex(s => !regexDigits.test(s))
+    const numericSegments =
+        stringStart === -1 ? segments : segments.slice(0, stringStart)
+    const stringSegments = stringStart === -1 ? [] : segments.slice(stringStart)
+    // Trailing zeros of the numeric and string parts are not significant.
+    const dropTrailingZeros = list => {
+        let end = list.length
+        while (end > 0 && /^0+$/.test(list[end - 1])) {
+            end -= 1
+        }
+        return list.slice(0, end)
+    }
+    return [
+        ...dropTrailingZeros(numericSegments),
+        ...dropTrailingZeros(stringSegments)
+    ]
+}
+
+function getMavenComparableQualifier(qualifier) {
+    const index = MAVEN_QUALIFIERS.indexOf(qualifier)
+    return index === -1
+        ? `${MAVEN_QUALIFIERS.length}-${qualifier}`
+        : String(index)
+}
+
+function getPep440SortKey(version) {
+    const match = regexPep440.exec(version.trim())
+    if (match === null) {
+        return undefined
+    }
+    const {
+        1: epoch,
+        2: release,
+        4: preLabel,
+        5: preNum,
+        6: post,
+        7: postNumImplicit,
+        9: postNum,
+        10: dev,
+        12: devNum,
+        13: local
+    } = match
+    const releaseParts = release.split('.').map(Number)
+    // Trailing zeros of the release segment are not significant.
+    while (releaseParts.length > 1 && releaseParts.at(-1) === 0) {
+        releaseParts.pop()
+    }
+    let preKey
+    if (preLabel !== undefined) {
+        const loweredLabel = preLabel.toLowerCase()
+        const normalizedLabel =
+            loweredLabel === 'alpha'
+                ? 'a'
+                : loweredLabel === 'beta'
+                  ? 'b'
+                  : loweredLabel === 'a' || loweredLabel === 'b'
+                    ? loweredLabel
+                    : 'rc'
+        preKey = [normalizedLabel, Number(preNum ?? 0)]
+    } else if (post === undefined && dev !== undefined) {
+        // Developmental releases of final releases sort before pre-releases.
+        preKey = -Infinity
+    } else {
+        preKey = Infinity
+    }
+    const postKey =
+        post === undefined ? -Infinity : Number(postNumImplicit ?? postNum ?? 0)
+    const devKey = dev === undefined ? Infinity : Number(devNum ?? 0)
+    // Local version segments sort numerically when they are numbers and
+    // lexically otherwise, with numbers sorting after strings.
+    const localKey =
+        local === undefined
+            ? -Infinity
+            : local
+                  .toLowerCase()
+                  .split(/[-_.]/)
+                  .map(s => (regexDigits.test(s) ? [1, Number(s)] : [0, s]))
+    return [Number(epoch ?? 0), releaseParts, preKey, postKey, devKey, localKey]
+}
+
+function parseDebianVersion(version) {
+    const colonIndex = version.indexOf(':')
+    const epoch = colonIndex === -1 ? '0' : version.slice(0, colonIndex)
+    const remainder =
+        colonIndex === -1 ? version : version.slice(colonIndex + 1)
+    const dashIndex = remainder.lastIndexOf('-')
+    return {
+        epoch: regexDigits.test(epoch) ? epoch : '0',
+        upstream: dashIndex === -1 ? remainder : remainder.slice(0, dashIndex),
+        revision: dashIndex === -1 ? '' : remainder.slice(dashIndex + 1)
+    }
+}
+
+function parseMavenVersion(version) {
+    // Port of Maven's ComparableVersion#parseVersion.
+    const lowered = version.toLowerCase()
+    const root = { kind: 'list', value: [] }
+    const stack = [root]
+    let list = root
+    let isDigit = false
+    let start = 0
+    const parseItem = (digits, str) =>
+        digits
+            ? { kind: 'int', value: BigInt(str) }
+            : { kind: 'string', value: MAVEN_QUALIFIER_ALIASES[str] ?? str }
+    const pushList = () => {
+        const newList = { kind: 'list', value: [] }
+        list.value.push(newList)
+        list = newList
+        stack.push(newList)
+    }
+    for (let i = 0, { length } = lowered; i < length; i += 1) {
+        const char = lowered[i]
+        if (char === '.' || char === '-') {
+            list.value.push(
+                i === start
+                    ? { kind: 'int', value: 0n }
+                    : parseItem(isDigit, lowered.slice(start, i))
+            )
+            start = i + 1
+            if (char === '-') {
+                pushList()
+            }
+        } else if (char >= '0' && char <= '9') {
+            if (!isDigit && i > start) {
+                // A qualifier directly followed by a digit, e.g. "a1", uses
+                // the single letter shorthand for alpha, beta and milestone.
+                const str = lowered.slice(start, i)
+                const expanded =
+                    str === 'a'
+                        ? 'alpha'
+                        : str === 'b'
+                          ? 'beta'
+                          : str === 'm'
+                            ? 'milestone'
+                            : str
+                list.value.push(parseItem(false, expanded))
+                start = i
+                pushList()
+            }
+            isDigit = true
+        } else {
+            if (isDigit && i > start) {
+                list.value.push(parseItem(true, lowered.slice(start, i)))
+                start = i
+                pushList()
+            }
+            isDigit = false
+        }
+    }
+    if (lowered.length > start) {
+        list.value.push(parseItem(isDigit, lowered.slice(start)))
+    }
+    while (stack.length) {
+        const { value: items } = stack.pop()
+        // Remove trailing "null" items, i.e. 0, "" and empty lists.
+        for (let i = items.length - 1; i >= 0; i -= 1) {
+            const item = items[i]
+            const isNull =
+                item.kind === 'int'
+                    ? item.value === 0n
+                    : item.value.length === 0
+            if (isNull) {
+                items.splice(i, 1)
+            } else if (item.kind !== 'list') {
+                break
+            }
+        }
+    }
+    return root
+}
+
+function parseRpmVersion(version) {
+    const colonIndex = version.indexOf(':')
+    const epoch = colonIndex === -1 ? '0' : version.slice(0, colonIndex)
+    const remainder =
+        colonIndex === -1 ? version : version.slice(colonIndex + 1)
+    const dashIndex = remainder.lastIndexOf('-')
+    return {
+        epoch: regexDigits.test(epoch) ? epoch : '0',
+        version: dashIndex === -1 ? remainder : remainder.slice(0, dashIndex),
+        release: dashIndex === -1 ? '' : remainder.slice(dashIndex + 1)
+    }
+}
+
+function rpmvercmp(a, b) {
+    if (a === b) return 0
+    const isAlnum = char => /[0-9A-Za-z]/.test(char)
+    const isDigit = char => char >= '0' && char <= '9'
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+        while (i < a.length && !isAlnum(a[i]) && a[i] !== '~' && a[i] !== '^') {
+            i += 1
+        }
+        while (j < b.length && !isAlnum(b[j]) && b[j] !== '~' && b[j] !== '^') {
+            j += 1
+        }
+        // A tilde sorts before everything, even the end of the version.
+        if (a[i] === '~' || b[j] === '~') {
+            if (a[i] !== '~') return 1
+            if (b[j] !== '~') return -1
+            i += 1
+            j += 1
+            continue
+        }
+        // A caret sorts after the end of the version but before anything else.
+        if (a[i] === '^' || b[j] === '^') {
+            if (i >= a.length) return -1
+            if (j >= b.length) return 1
+            if (a[i] !== '^') return 1
+            if (b[j] !== '^') return -1
+            i += 1
+            j += 1
+            continue
+        }
+        if (i >= a.length || j >= b.length) {
+            break
+        }
+        const segmentIsNum = isDigit(a[i])
+        const isSegmentChar = segmentIsNum
+            ? isDigit
+            : char => /[A-Za-z]/.test(char)
+        const aStart = i
+        const bStart = j
+        while (i < a.length && isSegmentChar(a[i])) i += 1
+        while (j < b.length && isSegmentChar(b[j])) j += 1
+        const aSegment = a.slice(aStart, i)
+        const bSegment = b.slice(bStart, j)
+        // Segments of different kinds compare with numbers being newer.
+        if (bSegment.length === 0) return segmentIsNum ? 1 : -1
+        const result = segmentIsNum
+            ? compareNumericStrings(aSegment, bSegment)
+            : compareStrings(aSegment, bSegment)
+        if (result !== 0) return result
+    }
+    if (i >= a.length && j >= b.length) return 0
+    return i < a.length ? 1 : -1
+}
+
+module.exports = {
+    compareDebianVersions,
+    compareGemVersions,
+    compareGolangVersions,
+    compareMavenVersions,
+    comparePep440Versions,
+    compareRpmVersions,
+    compareSemverVersions,
+    compareVersionsByTokens
+}
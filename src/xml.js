@@ -0,0 +1,207 @@
+'use strict'
+
+// A parser of the subset of XML used by manifests like pom.xml and
+// packages.config: elements, attributes, text, CDATA sections, comments,
+// processing instructions, and the predefined and character entities. DTDs
+// are skipped and namespace prefixes are kept as part of names.
+
+// A sticky pattern matched at the index of the parser state so that names
+// are not matched against a copy of the rest of the text.
+const regexXmlName = /[A-Za-z_:][\w.:-]*/y
+
+const xmlEntities = {
+    __proto__: null,
+    amp: '&',
+    apos: "'",
+    gt: '>',
+    lt: '<',
+    quot: '"'
+}
+
+function createXmlError(message, state) {
+    const lineNumber = state.text.slice(0, state.index).split('\n').length
+    return new SyntaxError(`${message} at line ${lineNumber} of XML`)
+}
+
+function decodeXmlEntities(text, state) {
+    return text.replace(/&([^;\s&]*);?/g, (match, entity) => {
+        if (!match.endsWith(';')) {
+            throw createXmlError(`Unterminated entity "${match}"`, state)
+        }
+        if (entity.startsWith('#')) {
+            const codePoint =
+                entity[1] === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10)
+            // Code points beyond the Unicode range cannot be represented.
+            if (!(codePoint <= 0x10ffff)) {
+                throw createXmlError(`Invalid entity "${match}"`, state)
+            }
+            return String.fromCodePoint(codePoint)
+        }
+        const char = xmlEntities[entity]
+        if (char === undefined) {
+            throw createXmlError(`Unknown entity "${match}"`, state)
+        }
+        return char
+    })
+}
+
+function getXmlChild(element, name) {
+    return element?.children.find(child => child.name === name)
+}
+
+function getXmlChildText(element, name) {
+    // Returns the trimmed text of a child element or undefined if it is
+    // missing or empty.
+    const text = getXmlChild(element, name)?.text.trim()
+    return text ? text : undefined
+}
+
+function matchXmlName(state) {
+    regexXmlName.lastIndex = state.index
+    return regexXmlName.exec(state.text)?.[0]
+}
+
+function parseXml(text) {
+    const state = { index: 0, text: text.replace(/^\uFEFF/, '') }
+    skipXmlMisc(state)
+    if (state.text[state.index] !== '<') {
+        throw createXmlError('Expected a root element', state)
+    }
+    const root = parseXmlElement(state)
+    skipXmlMisc(state)
+    if (state.index < state.text.length) {
+        throw createXmlError('Unexpected content after the root element', state)
+    }
+    return root
+}
+
+function parseXmlElement(state) {
+    // Elements are { name, attributes, children, text } objects where text
+    // is the concatenated text content of the element itself.
+    const { text } = state
+    state.index += 1
+    const name = matchXmlName(state)
+    if (name === undefined) {
+        throw createXmlError('Expected an element name', state)
+    }
+    state.index += name.length
+    const attributes = { __proto__: null }
+    while (true) {
+        skipXmlWhitespace(state)
+        const char = text[state.index]
+        if (char === '/' && text[state.index + 1] === '>') {
+            state.index += 2
+            return { name, attributes, children: [], text: '' }
+        }
+        if (char === '>') {
+            state.index += 1
+            break
+        }
+        const attrName = matchXmlName(state)
+        if (attrName === undefined) {
+            throw createXmlError(`Expected an attribute of <${name}>`, state)
+        }
+        state.index += attrName.length
+        skipXmlWhitespace(state)
+        if (text[state.index] !== '=') {
+            throw createXmlError('Expected "="', state)
+        }
+        state.index += 1
+        skipXmlWhitespace(state)
+        const quote = text[state.index]
+        const end =
+            quote === '"' || quote === "'"
+                ? text.indexOf(quote, state.index + 1)
+                : -1
+        if (end === -1) {
+            throw createXmlError('Expected a quoted attribute value', state)
+        }
+        attributes[attrName] = decodeXmlEntities(
+            text.slice(state.index + 1, end),
+            state
+        )
+        state.index = end + 1
+    }
+    const children = []
+    let content = ''
+    while (true) {
+        const ltIndex = text.indexOf('<', state.index)
+        if (ltIndex === -1) {
+            throw createXmlError(`Unterminated element <${name}>`, state)
+        }
+        content += decodeXmlEntities(text.slice(state.index, ltIndex), state)
+        state.index = ltIndex
+        if (text.startsWith('</', ltIndex)) {
+            const closeEnd = text.indexOf('>', ltIndex)
+            const closeName = text.slice(ltIndex + 2, closeEnd).trim()
+            if (closeEnd === -1 || closeName !== name) {
+                throw createXmlError(`Expected </${name}>`, state)
+            }
+            state.index = closeEnd + 1
+            return { name, attributes, children, text: content }
+        }
+        if (text.startsWith('<![CDATA[', ltIndex)) {
+            const end = text.indexOf(']]>', ltIndex)
+            if (end === -1) {
+                throw createXmlError('Unterminated CDATA section', state)
+            }
+            content += text.slice(ltIndex + 9, end)
+            state.index = end + 3
+        } else if (!skipXmlMarkup(state)) {
+            children.push(parseXmlElement(state))
+        }
+    }
+}
+
+function skipXmlMarkup(state) {
+    // Skip a comment, processing instruction, or DTD at the current index,
+    // returning whether one was skipped.
+    const { index, text } = state
+    let end
+    if (text.startsWith('<!--', index)) {
+        end = text.indexOf('-->', index)
+        end = end === -1 ? -1 : end + 3
+    } else if (text.startsWith('<?', index)) {
+        end = text.indexOf('?>', index)
+        end = end === -1 ? -1 : end + 2
+    } else if (text.startsWith('<!', index)) {
+        // A DTD may have an internal subset in brackets.
+        const bracketIndex = text.indexOf('[', index)
+        const gtIndex = text.indexOf('>', index)
+        end =
+            bracketIndex !== -1 && bracketIndex < gtIndex
+                ? text.indexOf(']>', bracketIndex) + 2
+                : gtIndex + 1
+        end = end < 2 ? -1 : end
+    } else {
+        return false
+    }
+    if (end === -1) {
+        throw createXmlError('Unterminated markup', state)
+    }
+    state.index = end
+    return true
+}
+
+function skipXmlMisc(state) {
+    while (true) {
+        skipXmlWhitespace(state)
+        if (state.text[state.index] !== '<' || !skipXmlMarkup(state)) {
+            return
+        }
+    }
+}
+
+function skipXmlWhitespace(state) {
+    while (/\s/.test(state.text[state.index] ?? '')) {
+        state.index += 1
+    }
+}
+
+module.exports = {
+    getXmlChild,
+    getXmlChildText,
+    parseXml
+}
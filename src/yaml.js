@@ -0,0 +1,406 @@
+'use strict'
+
+// A parser of the subset of YAML used by lockfiles and manifests: block
+// mappings and sequences, flow mappings and sequences, quoted and plain
+// scalars, and literal and folded block scalars. Anchors, aliases, tags, and
+// multiple documents are not supported. Plain scalars are kept as strings,
+// except for null, true, and false, so versions like 1.10 keep their digits.
+
+const regexBlockScalarHeader = /^[|>][+-]?$/
+
+function createYamlError(message, lineNumber) {
+    return new SyntaxError(`${message} at line ${lineNumber} of YAML`)
+}
+
+function findMappingColon(text) {
+    // Find the ": " or trailing ":" that ends a mapping key, skipping quoted
+    // keys, or -1 if the text is not a mapping entry.
+    let start = 0
+    const quote = text[0]
+    if (quote === '"' || quote === "'") {
+        start = findQuoteEnd(text, 0) + 1
+        if (start === 0) {
+            return -1
+        }
+    } else if (quote === '{' || quote === '[') {
+        return -1
+    }
+    for (let i = start, { length } = text; i < length; i += 1) {
+        if (
+            text.charCodeAt(i) === 58 /*':'*/ &&
+            (i === length - 1 || text.charCodeAt(i + 1) === 32) /*' '*/
+        ) {
+            return i
+        }
+    }
+    return -1
+}
+
+function findQuoteEnd(text, start) {
+    const quote = text[start]
+    for (let i = start + 1, { length } = text; i < length; i += 1) {
+        const char = text[i]
+        if (quote === '"' && char === '\\') {
+            i += 1
+        } else if (char === quote) {
+            // Single quotes are escaped by doubling them.
+            if (quote === "'" && text[i + 1] === "'") {
+                i += 1
+            } else {
+                return i
+            }
+        }
+    }
+    return -1
+}
+
+function parseDoubleQuoted(text, lineNumber) {
+    try {
+        return JSON.parse(text.replace(/\\x([0-9A-Fa-f]{2})/g, '\\u00$1'))
+    } catch {
+        throw createYamlError('Invalid double quoted scalar', lineNumber)
+    }
+}
+
+function parseYaml(text) {
+    const lines = splitYamlLines(text)
+    if (lines.length === 0) {
+        return null
+    }
+    const state = { lines, index: 0 }
+    const value = parseYamlBlock(state, lines[0].indent)
+    if (state.index < lines.length) {
+        throw createYamlError(
+            'Unexpected indentation',
+            lines[state.index].lineNumber
+        )
+    }
+    return value
+}
+
+function parseYamlBlock(state, indent) {
+    const line = state.lines[state.index]
+    return isSequenceItem(line.text)
+        ? parseYamlSequence(state, indent)
+        : parseYamlMapping(state, indent)
+}
+
+function parseYamlBlockScalar(state, header, parentIndent) {
+    const { lines } = state
+    const rawLines = []
+    let blockIndent
+    while (state.index < lines.length) {
+        const line = lines[state.index]
+        if (!line.blank && line.indent <= parentIndent) {
+            break
+        }
+        if (!line.blank && blockIndent === undefined) {
+            blockIndent = line.indent
+        }
+        rawLines.push(line)
+        state.index += 1
+    }
+    // Trailing blank lines belong to the chomping of the scalar.
+    while (rawLines.length && rawLines.at(-1).blank) {
+        rawLines.pop()
+    }
+    const contents = rawLines.map(line =>
+        line.blank ? '' : line.raw.slice(blockIndent)
+    )
+    const value =
+        header[0] === '|'
+            ? contents.join('\n')
+            : contents.reduce(
+                  (folded, content, i) =>
+                      i === 0
+                          ? content
+                          : `${folded}${content === '' || contents[i - 1] === '' ? '\n' : ' '}${content}`,
+                  ''
+              )
+    return header.endsWith('-') || value === '' ? value : `${value}\n`
+}
+
+function parseYamlFlow(text, lineNumber) {
+    const state = { index: 0, lineNumber, text }
+    const value = parseYamlFlowValue(state)
+    skipFlowWhitespace(state)
+    if (state.index !== text.length) {
+        throw createYamlError('Unexpected flow content', lineNumber)
+    }
+    return value
+}
+
+function parseYamlFlowValue(state) {
+    skipFlowWhitespace(state)
+    const { text } = state
+    const char = text[state.index]
+    if (char === '{' || char === '[') {
+        const isMapping = char === '{'
+        const close = isMapping ? '}' : ']'
+        const collection = isMapping ? { __proto__: null } : []
+        state.index += 1
+        skipFlowWhitespace(state)
+        while (text[state.index] !== close) {
+            if (state.index >= text.length) {
+                throw createYamlError(
+                    `Unterminated flow ${isMapping ? 'mapping' : 'sequence'}`,
+                    state.lineNumber
+                )
+            }
+            const item = parseYamlFlowValue(state)
+            skipFlowWhitespace(state)
+            if (isMapping) {
+                let value = null
+                if (text[state.index] === ':') {
+                    state.index += 1
+                    value = parseYamlFlowValue(state)
+                    skipFlowWhitespace(state)
+                }
+                collection[String(item)] = value
+            } else {
+                collection.push(item)
+            }
+            if (text[state.index] === ',') {
+                state.index += 1
+                skipFlowWhitespace(state)
+            }
+        }
+        state.index += 1
+        return collection
+    }
+    if (char === '"' || char === "'") {
+        const end = findQuoteEnd(text, state.index)
+        if (end === -1) {
+            throw createYamlError(
+                'Unterminated quoted scalar',
+                state.lineNumber
+            )
+        }
+        const quoted = text.slice(state.index, end + 1)
+        state.index = end + 1
+        return parseYamlScalar(quoted, state.lineNumber)
+    }
+    // A plain scalar in a flow collection ends at a flow indicator or at a
+    // ": " separator.
+    const start = state.index
+    while (state.index < text.length) {
+        const c = text[state.index]
+        if (
+            c === ',' ||
+            c === '}' ||
+            c === ']' ||
+            (c === ':' && /[\s,}\]]/.test(text[state.index + 1] ?? ' '))
+        ) {
+            break
+        }
+        state.index += 1
+    }
+    return parseYamlScalar(
+        text.slice(start, state.index).trim(),
+        state.lineNumber
+    )
+}
+
+function parseYamlMapping(state, indent) {
+    const { lines } = state
+    const mapping = { __proto__: null }
+    while (state.index < lines.length) {
+        const line = lines[state.index]
+        if (line.indent < indent) {
+            break
+        }
+        if (line.indent > indent) {
+            throw createYamlError('Unexpected indentation', line.lineNumber)
+        }
+        if (isSequenceItem(line.text)) {
+            break
+        }
+        const colonIndex = findMappingColon(line.text)
+        if (colonIndex === -1) {
+            throw createYamlError('Expected a mapping entry', line.lineNumber)
+        }
+        const key = String(
+            parseYamlScalar(
+                line.text.slice(0, colonIndex).trim(),
+                line.lineNumber
+            )
+        )
+        const rest = line.text.slice(colonIndex + 1).trim()
+        state.index += 1
+        mapping[key] = parseYamlValue(
+            state,
+            rest,
+            indent,
+            line.lineNumber,
+            true
+        )
+    }
+    return mapping
+}
+
+function parseYamlScalar(text, lineNumber) {
+    if (text.length === 0 || text === '~' || text === 'null') {
+        return null
+    }
+    if (text === 'true' || text === 'false') {
+        return text === 'true'
+    }
+    if (text[0] === '"' || text[0] === "'") {
+        if (findQuoteEnd(text, 0) !== text.length - 1) {
+            throw createYamlError('Invalid quoted scalar', lineNumber)
+        }
+        return text[0] === '"'
+            ? parseDoubleQuoted(text, lineNumber)
+            : text.slice(1, -1).replace(/''/g, "'")
+    }
+    return text
+}
+
+function parseYamlSequence(state, indent) {
+    const { lines } = state
+    const sequence = []
+    while (state.index < lines.length) {
+        const line = lines[state.index]
+        if (line.indent !== indent || !isSequenceItem(line.text)) {
+            if (line.indent > indent) {
+                throw createYamlError('Unexpected indentation', line.lineNumber)
+            }
+            break
+        }
+        const itemText = line.text.slice(1).trimStart()
+        const itemIndent = line.indent + line.text.length - itemText.length
+        if (
+            itemText.length !== 0 &&
+            (findMappingColon(itemText) !== -1 || isSequenceItem(itemText))
+        ) {
+            // A compact nested collection, e.g. "- name: foo", continues at
+            // the indentation of its first entry.
+            lines[state.index] = {
+                ...line,
+                indent: itemIndent,
+                text: itemText
+            }
+            sequence.push(parseYamlBlock(state, itemIndent))
+        } else {
+            state.index += 1
+            sequence.push(
+                parseYamlValue(state, itemText, indent, line.lineNumber, false)
+            )
+        }
+    }
+    return sequence
+}
+
+function parseYamlValue(state, text, indent, lineNumber, inMapping) {
+    const { lines } = state
+    if (regexBlockScalarHeader.test(text)) {
+        return parseYamlBlockScalar(state, text, indent)
+    }
+    if (text.length !== 0) {
+        return text[0] === '{' || text[0] === '['
+            ? parseYamlFlow(text, lineNumber)
+            : parseYamlScalar(text, lineNumber)
+    }
+    const next = lines[state.index]
+    if (next !== undefined) {
+        if (next.indent > indent) {
+            return parseYamlBlock(state, next.indent)
+        }
+        // A sequence may be indented as deep as the key of its mapping.
+        if (inMapping && next.indent === indent && isSequenceItem(next.text)) {
+            return parseYamlSequence(state, indent)
+        }
+    }
+    return null
+}
+
+function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ')
+}
+
+function skipFlowWhitespace(state) {
+    while (/\s/.test(state.text[state.index] ?? '')) {
+        state.index += 1
+    }
+}
+
+function splitYamlLines(text) {
+    const lines = []
+    // Lines of block scalars are kept as is, including blank lines and "#"
+    // characters, while other blank and comment lines are dropped.
+    let blockScalarIndent = -1
+    const rawLines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    for (let i = 0, { length } = rawLines; i < length; i += 1) {
+        const raw = rawLines[i]
+        const rawContent = raw.trimStart()
+        const indent = raw.length - rawContent.length
+        if (blockScalarIndent !== -1) {
+            if (rawContent.length === 0 || indent > blockScalarIndent) {
+                lines.push({
+                    blank: rawContent.length === 0,
+                    indent,
+                    lineNumber: i + 1,
+                    raw,
+                    text: rawContent.trimEnd()
+                })
+                continue
+            }
+            blockScalarIndent = -1
+        }
+        const content = stripYamlComment(raw).trim()
+        if (
+            content.length === 0 ||
+            content === '---' ||
+            content === '...' ||
+            content.startsWith('%')
+        ) {
+            continue
+        }
+        lines.push({
+            blank: false,
+            indent,
+            lineNumber: i + 1,
+            raw,
+            text: content
+        })
+        const colonIndex = findMappingColon(content)
+        const value =
+            colonIndex === -1
+                ? isSequenceItem(content)
+                    ? content.slice(1).trim()
+                    : ''
+                : content.slice(colonIndex + 1).trim()
+        if (regexBlockScalarHeader.test(value)) {
+            blockScalarIndent = indent
+        }
+    }
+    return lines
+}
+
+function stripYamlComment(line) {
+    // A "#" starts a comment at the start of a line or after whitespace,
+    // outside of quotes.
+    let quote
+    for (let i = 0, { length } = line; i < length; i += 1) {
+        const char = line[i]
+        if (quote !== undefined) {
+            if (char === '\\' && quote === '"') {
+                i += 1
+            } else if (char === quote) {
+                quote = undefined
+            }
+        } else if (char === '"' || char === "'") {
+            // Quotes only start a quoted scalar at the start of a value.
+            if (i === 0 || /[\s:[{,-]/.test(line[i - 1])) {
+                quote = char
+            }
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i)
+        }
+    }
+    return line
+}
+
+module.exports = {
+    parseYaml
+}
@@ -0,0 +1,205 @@
+'use strict'
+
+const { convertIntegrityToChecksum } = require('./checksum')
+const { createLockfileEntry, getLockfileText } = require('./lockfile')
+const {
+    createNpmTarballPurl,
+    isNpmGitSpecifier,
+    toNpmVcsUrl
+} = require('./npm-lockfile')
+const { isObject } = require('./objects')
+const { convertScpLikeUrl } = require('./url-qualifiers')
+const { parseYaml } = require('./yaml')
+
+const regexSha1 = /^[0-9a-f]{40}$/
+const regexYarnBerryMetadata = /^__metadata:/m
+
+function addYarnLockfileEntry(entries, name, version, qualifiers, metadata) {
+    // Entries are deduplicated by purl, collecting the specifiers of each.
+    const purl = createNpmTarballPurl(name, version, qualifiers)
+    const purlStr = purl.toString()
+    const existing = entries.get(purlStr)
+    if (existing) {
+        existing.metadata.specifiers.push(...metadata.specifiers)
+    } else {
+        entries.set(purlStr, { purl, metadata })
+    }
+}
+
+function finalizeYarnLockfileEntries(entries) {
+    return [...entries.values()].map(({ purl, metadata }) =>
+        createLockfileEntry(purl, {
+            ...metadata,
+            specifiers: Object.freeze(metadata.specifiers)
+        })
+    )
+}
+
+function fromYarnLockfile(text) {
+    const lockfileText = getLockfileText(text, 'yarn.lock')
+    // Berry lockfiles are YAML with a "__metadata" entry while classic
+    // lockfiles use a YAML-like format of their own.
+    return regexYarnBerryMetadata.test(lockfileText)
+        ? fromYarnBerryLockfile(parseYaml(lockfileText))
+        : fromYarnClassicLockfile(parseYarnClassicLockfile(lockfileText))
+}
+
+function fromYarnBerryLockfile(lockfile) {
+    const entries = new Map()
+    if (!isObject(lockfile)) {
+        return []
+    }
+    for (const key of Object.keys(lockfile)) {
+        const entry = lockfile[key]
+        if (key === '__metadata' || typeof entry?.resolution !== 'string') {
+            continue
+        }
+        // A resolution is "<name>@<protocol>:<reference>", e.g.
+        // "lodash@npm:4.17.21", and names the real package of aliases.
+        const { resolution } = entry
+        const atIndex = resolution.indexOf('@', 1)
+        const name = resolution.slice(0, atIndex)
+        const reference = resolution.slice(atIndex + 1)
+        const vcsUrl = toYarnBerryVcsUrl(reference)
+        let qualifiers
+        if (reference.startsWith('npm:')) {
+            qualifiers = {}
+        } else if (vcsUrl !== undefined) {
+            qualifiers = { vcs_url: vcsUrl }
+        } else if (/^https?:/.test(reference)) {
+            qualifiers = { download_url: reference }
+        } else {
+            // Workspace, link, portal, patch, and file packages are part of
+            // the project or derived from other packages.
+            continue
+        }
+        // The "checksum" of berry is of its cache archive rather than of the
+        // package tarball so it is not a checksum qualifier.
+        addYarnLockfileEntry(entries, name, entry.version, qualifiers, {
+            checksum: entry.checksum ?? undefined,
+            resolution,
+            specifiers: splitYarnSpecifiers(key)
+        })
+    }
+    return finalizeYarnLockfileEntries(entries)
+}
+
+function fromYarnClassicLockfile(lockfileEntries) {
+    const entries = new Map()
+    for (const { fields, specifiers } of lockfileEntries) {
+        const { integrity, resolved, version } = fields
+        const { 0: specifier } = specifiers
+        const atIndex = specifier.indexOf('@', 1)
+        let name = specifier.slice(0, atIndex)
+        const range = specifier.slice(atIndex + 1)
+        if (range.startsWith('file:') || range.startsWith('link:')) {
+            continue
+        }
+        // An alias, e.g. "sw@npm:string-width@^4.2.0".
+        const aliasAtIndex = range.lastIndexOf('@')
+        if (range.startsWith('npm:') && aliasAtIndex > 4) {
+            name = range.slice(4, aliasAtIndex)
+        }
+        const qualifiers = {}
+        if (typeof resolved === 'string') {
+            if (isNpmGitSpecifier(resolved)) {
+                qualifiers.vcs_url = toNpmVcsUrl(resolved)
+            } else {
+                // Tarball URLs end with a "#<sha1>" fragment.
+                const hashIndex = resolved.indexOf('#')
+                qualifiers.download_url =
+                    hashIndex === -1 ? resolved : resolved.slice(0, hashIndex)
+                const fragment = resolved.slice(hashIndex + 1)
+                if (hashIndex !== -1 && regexSha1.test(fragment)) {
+                    qualifiers.checksum = `sha1:${fragment}`
+                }
+            }
+        }
+        if (typeof integrity === 'string') {
+            qualifiers.checksum =
+                convertIntegrityToChecksum(integrity) ?? qualifiers.checksum
+        }
+        addYarnLockfileEntry(entries, name, version, qualifiers, {
+            integrity,
+            resolved,
+            specifiers: [...specifiers]
+        })
+    }
+    return finalizeYarnLockfileEntries(entries)
+}
+
+function parseYarnClassicLockfile(text) {
+    // Entries start with unindented, comma separated specifiers followed by
+    // indented "<field> <value>" lines. Nested sections, like
+    // "dependencies:", are skipped.
+    const lockfileEntries = []
+    let current
+    const lines = text.split(/\r?\n/)
+    for (let i = 0, { length } = lines; i < length; i += 1) {
+        const line = lines[i]
+        const content = line.trim()
+        if (content.length === 0 || content.startsWith('#')) {
+            continue
+        }
+        const indent = line.length - line.trimStart().length
+        if (indent === 0) {
+            if (!content.endsWith(':')) {
+                throw new SyntaxError(
+                    `Expected an entry at line ${i + 1} of yarn.lock`
+                )
+            }
+            current = {
+                fields: { __proto__: null },
+                specifiers: splitYarnSpecifiers(content.slice(0, -1))
+            }
+            lockfileEntries.push(current)
+        } else if (indent === 2 && current && !content.endsWith(':')) {
+            const spaceIndex = content.indexOf(' ')
+            if (spaceIndex !== -1) {
+                current.fields[
+                    unquoteYarnString(content.slice(0, spaceIndex))
+                ] = unquoteYarnString(content.slice(spaceIndex + 1).trim())
+            }
+        }
+    }
+    return lockfileEntries
+}
+
+function splitYarnSpecifiers(key) {
+    return key
+        .split(',')
+        .map(specifier => unquoteYarnString(specifier.trim()))
+        .filter(specifier => specifier.length !== 0)
+}
+
+function toYarnBerryVcsUrl(reference) {
+    // Git repositories are resolved to "<url>#commit=<revision>", where the
+    // url may be an http(s), git+ssh, or scp-like location or a shorthand
+    // like "github:<owner>/<repo>". Returns undefined for other references.
+    const hashIndex = reference.indexOf('#')
+    const location =
+        hashIndex === -1 ? reference : reference.slice(0, hashIndex)
+    const params = new URLSearchParams(
+        hashIndex === -1 ? '' : reference.slice(hashIndex + 1)
+    )
+    const revision = params.get('commit')
+    let url
+    if (isNpmGitSpecifier(location)) {
+        url = toNpmVcsUrl(location)
+    } else if (revision !== null) {
+        url = `git+${convertScpLikeUrl(location)}`
+    } else {
+        return undefined
+    }
+    return revision ? `${url}@${revision}` : url
+}
+
+function unquoteYarnString(str) {
+    return str.length > 1 && str.startsWith('"') && str.endsWith('"')
+        ? JSON.parse(str)
+        : str
+}
+
+module.exports = {
+    fromYarnLockfile
+}
@@ -0,0 +1,1556 @@
+/*!
+Copyright (c) the purl authors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const assert = require('assert')
+const { describe, it } = require('mocha')
+
+const { fromCargoLockfile } = require('../src/cargo-lockfile')
+const { fromComposerLockfile } = require('../src/composer-lockfile')
+const {
+    fromCondaEnvironment,
+    fromCondaExplicit,
+    fromCondaLockfile
+} = require('../src/conda-dependencies')
+const { fromDpkgStatus } = require('../src/dpkg-status')
+const { fromGemfileLockfile } = require('../src/gem-lockfile')
+const { fromGoMod, fromGoSum } = require('../src/golang-modules')
+const {
+    fromGradleLockfile,
+    fromMavenPom
+} = require('../src/maven-dependencies')
+const { fromNpmLockfile } = require('../src/npm-lockfile')
+const {
+    fromCsproj,
+    fromNugetLockfile,
+    fromPackagesConfig
+} = require('../src/nuget-dependencies')
+const { fromPipRequirements } = require('../src/pip-requirements')
+const { fromPnpmLockfile } = require('../src/pnpm-lockfile')
+const {
+    fromPipfileLockfile,
+    fromPoetryLockfile,
+    fromUvLockfile
+} = require('../src/python-lockfile')
+const { fromSwiftLockfile } = require('../src/swift-lockfile')
+const { fromYarnLockfile } = require('../src/yarn-lockfile')
+
+const LODASH_CHECKSUM = 'sha1:d99640304cc9045065d1f8e1c5ea3294c50ffdbc'
+const LODASH_INTEGRITY = 'sha1-2ZZAMEzJBFBl0fjhxeoylMUP/bw='
+const SHA256_CHECKSUM =
+    'sha256:d99640304cc9045065d1f8e1c5ea3294c50ffdbcd99640304cc9045065d1f8e1'
+const LODASH_TARBALL = 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz'
+
+function summarize(entries) {
+    return entries.map(({ purl, metadata }) => [
+        purl.toString(),
+        { ...metadata }
+    ])
+}
+
+describe('Lockfiles', function () {
+    describe('fromNpmLockfile()', function () {
+        it('should extract packages of v2 and v3 lockfiles', function () {
+            const lockfile = {
+                lockfileVersion: 3,
+                packages: {
+                    '': { name: 'app', version: '1.0.0' },
+                    'node_modules/@babel/core': {
+                        version: '7.24.0',
+                        resolved:
+                            'https://registry.npmjs.org/@babel/core/-/core-7.24.0.tgz',
+                        integrity: 'sha512-abc',
+                        dev: true
+                    },
+                    'node_modules/sw': {
+                        name: 'string-width',
+                        version: '4.2.3',
+                        resolved:
+                            'https://registry.npmjs.org/string-width/-/string-width-4.2.3.tgz'
+                    },
+                    'node_modules/JSONStream/node_modules/through': {
+                        version: '2.3.8',
+                        devOptional: true
+                    },
+                    'packages/workspace': { version: '1.0.0' },
+                    'node_modules/workspace': {
+                        resolved: 'packages/workspace',
+                        link: true
+                    }
+                }
+            }
+            assert.deepStrictEqual(summarize(fromNpmLockfile(lockfile)), [
+                [
+                    'pkg:npm/%40babel/core@7.24.0',
+                    {
+                        alias: undefined,
+                        dev: true,
+                        integrity: 'sha512-abc',
+                        optional: false,
+                        path: 'node_modules/@babel/core',
+                        peer: false,
+                        resolved:
+                            'https://registry.npmjs.org/@babel/core/-/core-7.24.0.tgz',
+                        source: 'registry'
+                    }
+                ],
+                [
+                    'pkg:npm/string-width@4.2.3',
+                    {
+                        alias: 'sw',
+                        dev: false,
+                        integrity: undefined,
+                        optional: false,
+                        path: 'node_modules/sw',
+                        peer: false,
+                        resolved:
+                            'https://registry.npmjs.org/string-width/-/string-width-4.2.3.tgz',
+                        source: 'registry'
+                    }
+                ],
+                [
+                    'pkg:npm/through@2.3.8',
+                    {
+                        alias: undefined,
+                        dev: true,
+                        integrity: undefined,
+                        optional: true,
+                        path: 'node_modules/JSONStream/node_modules/through',
+                        peer: false,
+                        resolved: undefined,
+                        source: undefined
+                    }
+                ]
+            ])
+        })
+
+        it('should walk nested v1 dependencies', function () {
+            const lockfile = JSON.stringify({
+                lockfileVersion: 1,
+                dependencies: {
+                    JSONStream: {
+                        version: '1.3.5',
+                        dependencies: {
+                            sw: { version: 'npm:string-width@4.2.3', dev: true }
+                        }
+                    },
+                    local: { version: 'file:../local' }
+                }
+            })
+            const entries = fromNpmLockfile(lockfile)
+            assert.deepStrictEqual(
+                entries.map(({ purl, metadata }) => [
+                    purl.toString(),
+                    metadata.path,
+                    metadata.alias,
+                    metadata.source
+                ]),
+                [
+                    [
+                        'pkg:npm/JSONStream@1.3.5',
+                        'node_modules/JSONStream',
+                        undefined,
+                        undefined
+                    ],
+                    [
+                        'pkg:npm/string-width@4.2.3',
+                        'node_modules/JSONStream/node_modules/sw',
+                        'sw',
+                        undefined
+                    ],
+                    ['pkg:npm/local', 'node_modules/local', undefined, 'file']
+                ]
+            )
+            assert.strictEqual(entries[1].metadata.dev, true)
+        })
+
+        it('should map git and tarball dependencies to qualifiers', function () {
+            const entries = fromNpmLockfile({
+                lockfileVersion: 1,
+                dependencies: {
+                    foo: { version: 'github:acme/foo#abc123' },
+                    bar: {
+                        version: '2.0.0',
+                        resolved: 'https://example.com/bar-2.0.0.tgz'
+                    }
+                }
+            })
+            assert.deepStrictEqual(
+                entries.map(({ purl }) => ({ ...purl.qualifiers })),
+                [
+                    { vcs_url: 'git+https://github.com/acme/foo.git@abc123' },
+                    { download_url: 'https://example.com/bar-2.0.0.tgz' }
+                ]
+            )
+            assert.strictEqual(entries[0].purl.version, 'abc123')
+            assert.strictEqual(
+                fromNpmLockfile({
+                    lockfileVersion: 2,
+                    packages: {
+                        'node_modules/foo': {
+                            version: '1.0.0',
+                            resolved:
+                                'git+ssh://git@github.com/acme/foo.git#abc123'
+                        }
+                    }
+                })[0].purl.qualifiers.vcs_url,
+                'git+ssh://git@github.com/acme/foo.git@abc123'
+            )
+        })
+
+        it('should apply npm validation rules', function () {
+            assert.throws(
+                () =>
+                    fromNpmLockfile({
+                        packages: { 'node_modules/_foo': { version: '1.0.0' } }
+                    }),
+                /npm "name" component/
+            )
+            assert.throws(() => fromNpmLockfile(42), TypeError)
+        })
+
+        it('should skip v1 dependencies that are not objects', function () {
+            assert.deepStrictEqual(
+                fromNpmLockfile({
+                    lockfileVersion: 1,
+                    dependencies: { a: null, b: '1.0.0' }
+                }),
+                []
+            )
+        })
+
+        it('should skip v2 and v3 packages that are not objects', function () {
+            assert.deepStrictEqual(
+                fromNpmLockfile({
+                    lockfileVersion: 3,
+                    packages: { 'node_modules/a': null, 'node_modules/b': 1 }
+                }),
+                []
+            )
+        })
+    })
+
+    describe('fromPnpmLockfile()', function () {
+        it('should extract deduplicated packages of v6 lockfiles', function () {
+            const lockfile = [
+                "lockfileVersion: '6.0'",
+                '',
+                'packages:',
+                '',
+                '  /@types/react@18.2.0(react@17.0.0):',
+                `    resolution: {integrity: ${LODASH_INTEGRITY}}`,
+                '    dev: true',
+                '',
+                '  /@types/react@18.2.0(react@18.0.0):',
+                `    resolution: {integrity: ${LODASH_INTEGRITY}}`,
+                '    dev: false',
+                '',
+                '  github.com/acme/foo/abc123:',
+                '    resolution: {tarball: https://codeload.github.com/acme/foo/tar.gz/abc123}',
+                '    name: foo',
+                '    version: 1.0.0',
+                '    dev: true',
+                '',
+                '  file:packages/local:',
+                '    resolution: {directory: packages/local, type: directory}',
+                '    name: local',
+                '    version: 1.0.0'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromPnpmLockfile(lockfile)), [
+                [
+                    `pkg:npm/%40types/react@18.2.0?checksum=${encodeURIComponent(LODASH_CHECKSUM)}&download_url=${encodeURIComponent('https://registry.npmjs.org/@types/react/-/react-18.2.0.tgz')}`,
+                    {
+                        dev: false,
+                        key: '/@types/react@18.2.0(react@17.0.0)',
+                        optional: false
+                    }
+                ],
+                [
+                    `pkg:npm/foo@1.0.0?download_url=${encodeURIComponent('https://codeload.github.com/acme/foo/tar.gz/abc123')}`,
+                    {
+                        dev: true,
+                        key: 'github.com/acme/foo/abc123',
+                        optional: false
+                    }
+                ]
+            ])
+        })
+
+        it('should extract packages of v9 lockfiles', function () {
+            const lockfile = [
+                "lockfileVersion: '9.0'",
+                '',
+                'packages:',
+                '',
+                '  bar@git+https://github.com/acme/bar.git#abc123:',
+                '    resolution: {commit: abc123, repo: https://github.com/acme/bar.git, type: git}',
+                '    version: 2.0.0',
+                '',
+                '  lodash@4.17.21:',
+                `    resolution: {integrity: ${LODASH_INTEGRITY}}`,
+                '',
+                'snapshots:',
+                '',
+                '  bar@git+https://github.com/acme/bar.git#abc123: {}',
+                '',
+                '  lodash@4.17.21:',
+                '    optional: true'
+            ].join('\n')
+            const entries = fromPnpmLockfile(lockfile)
+            assert.deepStrictEqual(
+                entries.map(({ purl }) => ({ ...purl.qualifiers })),
+                [
+                    {
+                        vcs_url: 'git+https://github.com/acme/bar.git@abc123'
+                    },
+                    {
+                        checksum: LODASH_CHECKSUM,
+                        download_url: LODASH_TARBALL
+                    }
+                ]
+            )
+            assert.strictEqual(entries[0].purl.version, '2.0.0')
+            assert.strictEqual(entries[1].metadata.optional, true)
+            assert.throws(() => fromPnpmLockfile({}), TypeError)
+        })
+    })
+
+    describe('fromYarnLockfile()', function () {
+        it('should extract deduplicated packages of classic lockfiles', function () {
+            const lockfile = [
+                '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+                '# yarn lockfile v1',
+                '',
+                '',
+                'lodash@^4.17.0, lodash@^4.17.21:',
+                '  version "4.17.21"',
+                `  resolved "${LODASH_TARBALL}#0000000000000000000000000000000000000000"`,
+                `  integrity ${LODASH_INTEGRITY}`,
+                '',
+                '"lodash-es@npm:lodash@4.17.21":',
+                '  version "4.17.21"',
+                `  resolved "${LODASH_TARBALL}#d99640304cc9045065d1f8e1c5ea3294c50ffdbc"`,
+                '  dependencies:',
+                '    foo "^1.0.0"',
+                '',
+                '"foo@github:acme/foo#abc123":',
+                '  version "1.0.0"',
+                '  resolved "git+https://github.com/acme/foo.git#abc123"',
+                '',
+                '"local@file:../local":',
+                '  version "1.0.0"'
+            ].join('\n')
+            const entries = fromYarnLockfile(lockfile)
+            assert.deepStrictEqual(
+                entries.map(({ purl, metadata }) => [
+                    purl.toString(),
+                    metadata.specifiers
+                ]),
+                [
+                    [
+                        `pkg:npm/lodash@4.17.21?checksum=${encodeURIComponent(LODASH_CHECKSUM)}&download_url=${encodeURIComponent(LODASH_TARBALL)}`,
+                        [
+                            'lodash@^4.17.0',
+                            'lodash@^4.17.21',
+                            'lodash-es@npm:lodash@4.17.21'
+                        ]
+                    ],
+                    [
+                        `pkg:npm/foo@1.0.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/foo.git@abc123')}`,
+                        ['foo@github:acme/foo#abc123']
+                    ]
+                ]
+            )
+            assert.strictEqual(entries[0].metadata.integrity, LODASH_INTEGRITY)
+        })
+
+        it('should extract packages of berry lockfiles', function () {
+            const lockfile = [
+                '__metadata:',
+                '  version: 8',
+                '  cacheKey: 10c0',
+                '',
+                '"app@workspace:.":',
+                '  version: 0.0.0-use.local',
+                '  resolution: "app@workspace:."',
+                '',
+                '"lodash@npm:^4.17.0, lodash@npm:^4.17.21":',
+                '  version: 4.17.21',
+                '  resolution: "lodash@npm:4.17.21"',
+                '  checksum: 10c0/d8cbea0728',
+                '  languageName: node',
+                '  linkType: hard',
+                '',
+                '"bar@https://github.com/acme/bar.git#commit=abc123":',
+                '  version: 2.0.0',
+                '  resolution: "bar@https://github.com/acme/bar.git#commit=abc123"'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromYarnLockfile(lockfile)), [
+                [
+                    `pkg:npm/lodash@4.17.21?download_url=${encodeURIComponent(LODASH_TARBALL)}`,
+                    {
+                        checksum: '10c0/d8cbea0728',
+                        resolution: 'lodash@npm:4.17.21',
+                        specifiers: [
+                            'lodash@npm:^4.17.0',
+                            'lodash@npm:^4.17.21'
+                        ]
+                    }
+                ],
+                [
+                    `pkg:npm/bar@2.0.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/bar.git@abc123')}`,
+                    {
+                        checksum: undefined,
+                        resolution:
+                            'bar@https://github.com/acme/bar.git#commit=abc123',
+                        specifiers: [
+                            'bar@https://github.com/acme/bar.git#commit=abc123'
+                        ]
+                    }
+                ]
+            ])
+        })
+
+        it('should map git resolutions of berry lockfiles to vcs_url', function () {
+            const lockfile = [
+                '__metadata:',
+                '  version: 8',
+                '',
+                '"baz@git+ssh://git@github.com/acme/baz.git#main":',
+                '  version: 3.0.0',
+                '  resolution: "baz@git+ssh://git@github.com/acme/baz.git#commit=def456"',
+                '',
+                '"qux@github:acme/qux":',
+                '  version: 4.0.0',
+                '  resolution: "qux@github:acme/qux#commit=789abc"',
+                '',
+                '"quux@git@github.com:acme/quux.git":',
+                '  version: 5.0.0',
+                '  resolution: "quux@git@github.com:acme/quux.git#commit=0123ab"'
+            ].join('\n')
+            assert.deepStrictEqual(
+                fromYarnLockfile(lockfile).map(({ purl }) => [
+                    purl.toString(),
+                    purl.qualifiers.vcs_url
+                ]),
+                [
+                    [
+                        `pkg:npm/baz@3.0.0?vcs_url=${encodeURIComponent('git+ssh://git@github.com/acme/baz.git@def456')}`,
+                        'git+ssh://git@github.com/acme/baz.git@def456'
+                    ],
+                    [
+                        `pkg:npm/qux@4.0.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/qux.git@789abc')}`,
+                        'git+https://github.com/acme/qux.git@789abc'
+                    ],
+                    [
+                        `pkg:npm/quux@5.0.0?vcs_url=${encodeURIComponent('git+ssh://git@github.com/acme/quux.git@0123ab')}`,
+                        'git+ssh://git@github.com/acme/quux.git@0123ab'
+                    ]
+                ]
+            )
+        })
+    })
+
+    describe('fromPipRequirements()', function () {
+        it('should extract pinned and unpinned requirements', function () {
+            const requirements = [
+                '# comment',
+                '-r base.txt',
+                '--index-url https://pypi.org/simple',
+                'Django_Package==1.11.1.dev1  # pinned',
+                'requests[security, socks] >= 2.8.1, < 3 ; python_version < "3.8"',
+                'zope.interface===5.0 \\',
+                `    --hash=${SHA256_CHECKSUM}`,
+                './local'
+            ].join('\n')
+            assert.deepStrictEqual(
+                summarize(fromPipRequirements(requirements)),
+                [
+                    [
+                        'pkg:pypi/django-package@1.11.1.dev1',
+                        {
+                            editable: false,
+                            extras: [],
+                            line: 4,
+                            markers: undefined,
+                            pinned: true,
+                            specifier: '==1.11.1.dev1',
+                            url: undefined
+                        }
+                    ],
+                    [
+                        'pkg:pypi/requests',
+                        {
+                            editable: false,
+                            extras: ['security', 'socks'],
+                            line: 5,
+                            markers: 'python_version < "3.8"',
+                            pinned: false,
+                            specifier: '>=2.8.1,<3',
+                            url: undefined
+                        }
+                    ],
+                    [
+                        `pkg:pypi/zope-interface@5.0?checksum=${encodeURIComponent(SHA256_CHECKSUM)}`,
+                        {
+                            editable: false,
+                            extras: [],
+                            line: 6,
+                            markers: undefined,
+                            pinned: true,
+                            specifier: '===5.0',
+                            url: undefined
+                        }
+                    ]
+                ]
+            )
+        })
+
+        it('should map direct references to qualifiers', function () {
+            const entries = fromPipRequirements(
+                [
+                    '-e git+https://github.com/acme/foo.git@v1.0#egg=foo',
+                    'bar @ https://example.com/bar-1.0.tar.gz ; sys_platform == "linux"'
+                ].join('\n')
+            )
+            assert.deepStrictEqual(
+                entries.map(({ purl, metadata }) => [
+                    purl.name,
+                    { ...purl.qualifiers },
+                    metadata.editable
+                ]),
+                [
+                    [
+                        'foo',
+                        { vcs_url: 'git+https://github.com/acme/foo.git@v1.0' },
+                        true
+                    ],
+                    [
+                        'bar',
+                        { download_url: 'https://example.com/bar-1.0.tar.gz' },
+                        false
+                    ]
+                ]
+            )
+        })
+    })
+
+    describe('fromPipfileLockfile()', function () {
+        it('should extract deduplicated packages of both sections', function () {
+            const lockfile = {
+                _meta: {
+                    sources: [
+                        { name: 'pypi', url: 'https://pypi.org/simple' },
+                        {
+                            name: 'private',
+                            url: 'https://pypi.example.com/simple'
+                        }
+                    ]
+                },
+                default: {
+                    requests: {
+                        hashes: [SHA256_CHECKSUM],
+                        index: 'pypi',
+                        version: '==2.31.0'
+                    },
+                    foo: {
+                        git: 'https://github.com/acme/foo.git',
+                        ref: 'abc123'
+                    },
+                    local: { path: '.', editable: true }
+                },
+                develop: {
+                    pytest: { index: 'private', version: '==8.0.0' },
+                    requests: {
+                        hashes: [SHA256_CHECKSUM],
+                        index: 'pypi',
+                        version: '==2.31.0'
+                    }
+                }
+            }
+            assert.deepStrictEqual(
+                fromPipfileLockfile(JSON.stringify(lockfile)).map(
+                    ({ purl, metadata }) => [
+                        purl.toString(),
+                        metadata.dev,
+                        metadata.source
+                    ]
+                ),
+                [
+                    [
+                        `pkg:pypi/requests@2.31.0?checksum=${encodeURIComponent(SHA256_CHECKSUM)}`,
+                        false,
+                        'registry'
+                    ],
+                    [
+                        `pkg:pypi/foo?vcs_url=${encodeURIComponent('git+https://github.com/acme/foo.git@abc123')}`,
+                        false,
+                        'vcs'
+                    ],
+                    [
+                        `pkg:pypi/pytest@8.0.0?repository_url=${encodeURIComponent('https://pypi.example.com/simple')}`,
+                        true,
+                        'registry'
+                    ]
+                ]
+            )
+        })
+
+        it('should skip packages that are not objects', function () {
+            assert.deepStrictEqual(
+                fromPipfileLockfile({
+                    default: { foo: null, bar: '==1.0' }
+                }),
+                []
+            )
+        })
+    })
+
+    describe('fromPoetryLockfile()', function () {
+        it('should extract packages of lock versions 1 and 2', function () {
+            const lockfile = [
+                '[[package]]',
+                'name = "Requests"',
+                'version = "2.31.0"',
+                'optional = false',
+                'groups = ["main"]',
+                'files = [',
+                `    {file = "requests-2.31.0.tar.gz", hash = "${SHA256_CHECKSUM}"},`,
+                ']',
+                '',
+                '[package.dependencies]',
+                'idna = ">=2.5,<4"',
+                '',
+                '[[package]]',
+                'name = "foo"',
+                'version = "1.0.0"',
+                'optional = true',
+                'files = []',
+                '',
+                '[package.source]',
+                'type = "git"',
+                'url = "https://github.com/acme/foo.git"',
+                'reference = "main"',
+                'resolved_reference = "abc123"',
+                '',
+                '[[package]]',
+                'name = "local"',
+                'version = "0.1.0"',
+                'files = []',
+                '',
+                '[package.source]',
+                'type = "directory"',
+                'url = "../local"',
+                '',
+                '[metadata]',
+                'lock-version = "2.0"'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromPoetryLockfile(lockfile)), [
+                [
+                    `pkg:pypi/requests@2.31.0?checksum=${encodeURIComponent(SHA256_CHECKSUM)}`,
+                    { groups: ['main'], optional: false, source: 'registry' }
+                ],
+                [
+                    `pkg:pypi/foo@1.0.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/foo.git@abc123')}`,
+                    { groups: [], optional: true, source: 'vcs' }
+                ]
+            ])
+            const legacyLockfile = [
+                '[[package]]',
+                'name = "idna"',
+                'version = "3.7"',
+                'category = "dev"',
+                '',
+                '[metadata.files]',
+                `idna = [{file = "idna-3.7.tar.gz", hash = "${SHA256_CHECKSUM}"}]`
+            ].join('\n')
+            assert.deepStrictEqual(
+                summarize(fromPoetryLockfile(legacyLockfile)),
+                [
+                    [
+                        `pkg:pypi/idna@3.7?checksum=${encodeURIComponent(SHA256_CHECKSUM)}`,
+                        { groups: ['dev'], optional: false, source: 'registry' }
+                    ]
+                ]
+            )
+        })
+    })
+
+    describe('fromUvLockfile()', function () {
+        it('should extract registry, git, and url packages', function () {
+            const lockfile = [
+                'version = 1',
+                'requires-python = ">=3.12"',
+                '',
+                '[[package]]',
+                'name = "app"',
+                'version = "0.1.0"',
+                'source = { editable = "." }',
+                '',
+                '[[package]]',
+                'name = "idna"',
+                'version = "3.7"',
+                'source = { registry = "https://pypi.org/simple" }',
+                `sdist = { url = "https://files.pythonhosted.org/idna-3.7.tar.gz", hash = "${SHA256_CHECKSUM}", size = 189575 }`,
+                'wheels = [',
+                `    { url = "https://files.pythonhosted.org/idna-3.7-py3-none-any.whl", hash = "${SHA256_CHECKSUM}", size = 66836 },`,
+                ']',
+                '',
+                '[[package]]',
+                'name = "bar"',
+                'version = "2.0.0"',
+                'source = { git = "https://github.com/acme/bar?rev=v2#abc123" }',
+                '',
+                '[[package]]',
+                'name = "baz"',
+                'version = "1.0"',
+                'source = { url = "https://example.com/baz-1.0.tar.gz" }'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromUvLockfile(lockfile)), [
+                [
+                    `pkg:pypi/idna@3.7?checksum=${encodeURIComponent(`${SHA256_CHECKSUM},${SHA256_CHECKSUM}`)}`,
+                    { source: 'registry' }
+                ],
+                [
+                    `pkg:pypi/bar@2.0.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/bar@abc123')}`,
+                    { source: 'vcs' }
+                ],
+                [
+                    `pkg:pypi/baz@1.0?download_url=${encodeURIComponent('https://example.com/baz-1.0.tar.gz')}`,
+                    { source: 'url' }
+                ]
+            ])
+        })
+    })
+
+    describe('fromCargoLockfile()', function () {
+        it('should extract registry and git crates', function () {
+            const checksum =
+                '3fb1c873e1b9b056a4dc4c0c198b24c3ffa059243875552b2bd0933b1aee4ce2'
+            const lockfile = [
+                '# This file is automatically @generated by Cargo.',
+                'version = 3',
+                '',
+                '[[package]]',
+                'name = "app"',
+                'version = "0.1.0"',
+                'dependencies = [',
+                ' "serde",',
+                ']',
+                '',
+                '[[package]]',
+                'name = "serde"',
+                'version = "1.0.197"',
+                'source = "registry+https://github.com/rust-lang/crates.io-index"',
+                `checksum = "${checksum}"`,
+                '',
+                '[[package]]',
+                'name = "foo"',
+                'version = "0.2.0"',
+                'source = "git+https://github.com/acme/foo?branch=main#abc123"',
+                '',
+                '[[package]]',
+                'name = "bar"',
+                'version = "1.0.0"',
+                'source = "sparse+https://cargo.example.com/index/"'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromCargoLockfile(lockfile)), [
+                [
+                    `pkg:cargo/serde@1.0.197?checksum=sha256%3A${checksum}`,
+                    { source: 'registry' }
+                ],
+                [
+                    `pkg:cargo/foo@0.2.0?vcs_url=${encodeURIComponent('git+https://github.com/acme/foo@abc123')}`,
+                    { source: 'vcs' }
+                ],
+                [
+                    `pkg:cargo/bar@1.0.0?repository_url=${encodeURIComponent('https://cargo.example.com/index/')}`,
+                    { source: 'registry' }
+                ]
+            ])
+            const legacyLockfile = [
+                '[[package]]',
+                'name = "serde"',
+                'version = "1.0.0"',
+                'source = "registry+https://github.com/rust-lang/crates.io-index"',
+                '',
+                '[metadata]',
+                `"checksum serde 1.0.0 (registry+https://github.com/rust-lang/crates.io-index)" = "${checksum}"`
+            ].join('\n')
+            assert.strictEqual(
+                fromCargoLockfile(legacyLockfile)[0].purl.qualifiers.checksum,
+                `sha256:${checksum}`
+            )
+        })
+    })
+
+    describe('fromGoMod()', function () {
+        it('should extract required modules and apply replacements', function () {
+            const goMod = [
+                'module example.com/app',
+                '',
+                'go 1.21',
+                '',
+                'require (',
+                '\tgithub.com/pkg/errors v0.9.1',
+                '\tgolang.org/x/text v0.14.0 // indirect',
+                '\tgithub.com/foo/bar v1.2.3',
+                '\texample.com/local v0.0.0-00010101000000-000000000000',
+                '\tgolang.org/x/tools/gopls v0.0.0-20240101120000-abcdef123456',
+                ')',
+                '',
+                'require "rsc.io/quote" v1.5.2',
+                '',
+                'replace github.com/foo/bar => github.com/fork/bar v1.2.4',
+                '',
+                'replace example.com/local => ../local'
+            ].join('\n')
+            const entries = fromGoMod(goMod)
+            assert.deepStrictEqual(summarize(entries), [
+                [
+                    'pkg:golang/github.com/pkg/errors@v0.9.1',
+                    {
+                        indirect: false,
+                        path: 'github.com/pkg/errors',
+                        replaced: false,
+                        version: 'v0.9.1'
+                    }
+                ],
+                [
+                    'pkg:golang/golang.org/x/text@v0.14.0',
+                    {
+                        indirect: true,
+                        path: 'golang.org/x/text',
+                        replaced: false,
+                        version: 'v0.14.0'
+                    }
+                ],
+                [
+                    'pkg:golang/github.com/fork/bar@v1.2.4',
+                    {
+                        indirect: false,
+                        path: 'github.com/foo/bar',
+                        replaced: true,
+                        version: 'v1.2.3'
+                    }
+                ],
+                [
+                    'pkg:golang/golang.org/x/tools/gopls@v0.0.0-20240101120000-abcdef123456',
+                    {
+                        indirect: false,
+                        path: 'golang.org/x/tools/gopls',
+                        replaced: false,
+                        version: 'v0.0.0-20240101120000-abcdef123456'
+                    }
+                ],
+                [
+                    'pkg:golang/rsc.io/quote@v1.5.2',
+                    {
+                        indirect: false,
+                        path: 'rsc.io/quote',
+                        replaced: false,
+                        version: 'v1.5.2'
+                    }
+                ]
+            ])
+            assert.strictEqual(entries[3].purl.namespace, 'golang.org/x/tools')
+            assert.strictEqual(entries[3].purl.name, 'gopls')
+        })
+    })
+
+    describe('fromGoSum()', function () {
+        it('should carry h1 hashes as metadata', function () {
+            const goSum = [
+                'github.com/pkg/errors v0.9.1 h1:FEBLx1zS214owpjy7qsBeixbURkuhQAwrK5UwLGTwt4=',
+                'github.com/pkg/errors v0.9.1/go.mod h1:bwawxfHBFNV+L2hUp1rHADufV3IMtnDRdf1r5NINEl0=',
+                'golang.org/x/text v0.3.0/go.mod h1:NqM8EUOU14njkJ3fqMW+pc6Ldnwhi/IjpwHt7yyuwOQ='
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromGoSum(goSum)), [
+                [
+                    'pkg:golang/github.com/pkg/errors@v0.9.1',
+                    {
+                        goModHash:
+                            'h1:bwawxfHBFNV+L2hUp1rHADufV3IMtnDRdf1r5NINEl0=',
+                        hash: 'h1:FEBLx1zS214owpjy7qsBeixbURkuhQAwrK5UwLGTwt4='
+                    }
+                ],
+                [
+                    'pkg:golang/golang.org/x/text@v0.3.0',
+                    {
+                        goModHash:
+                            'h1:NqM8EUOU14njkJ3fqMW+pc6Ldnwhi/IjpwHt7yyuwOQ=',
+                        hash: undefined
+                    }
+                ]
+            ])
+            assert.throws(() => fromGoSum('github.com/pkg/errors'), SyntaxError)
+        })
+    })
+
+    describe('fromGemfileLockfile()', function () {
+        it('should extract gems with their platform and line', function () {
+            const lockfile = [
+                'GIT',
+                '  remote: https://github.com/rails/rails.git',
+                '  revision: abc123',
+                '  branch: main',
+                '  specs:',
+                '    rails (7.1.0)',
+                '      actionpack (= 7.1.0)',
+                '',
+                'PATH',
+                '  remote: .',
+                '  specs:',
+                '    myapp (0.1.0)',
+                '',
+                'GEM',
+                '  remote: https://rubygems.org/',
+                '  specs:',
+                '    nokogiri (1.16.0-x86_64-linux)',
+                '      racc (~> 1.4)',
+                '    racc (1.7.3)',
+                '',
+                'PLATFORMS',
+                '  x86_64-linux',
+                '',
+                'CHECKSUMS',
+                `  racc (1.7.3) ${SHA256_CHECKSUM.replace(':', '=')}`,
+                '',
+                'BUNDLED WITH',
+                '   2.5.0'
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromGemfileLockfile(lockfile)), [
+                [
+                    `pkg:gem/rails@7.1.0?vcs_url=${encodeURIComponent('git+https://github.com/rails/rails.git@abc123')}`,
+                    { line: 6, source: 'vcs' }
+                ],
+                [
+                    'pkg:gem/nokogiri@1.16.0?platform=x86_64-linux',
+                    { line: 17, source: 'registry' }
+                ],
+                [
+                    `pkg:gem/racc@1.7.3?checksum=${encodeURIComponent(SHA256_CHECKSUM)}`,
+                    { line: 19, source: 'registry' }
+                ]
+            ])
+        })
+
+        it('should convert scp-like git remotes to ssh URLs', function () {
+            const lockfile = [
+                'GIT',
+                '  remote: git@github.com:acme/widget.git',
+                '  revision: abc123',
+                '  specs:',
+                '    widget (1.0.0)'
+            ].join('\n')
+            const [{ purl }] = fromGemfileLockfile(lockfile)
+            assert.strictEqual(
+                purl.qualifiers.vcs_url,
+                'git+ssh://git@github.com/acme/widget.git@abc123'
+            )
+            assert.strictEqual(
+                purl.vcs.url,
+                'ssh://git@github.com/acme/widget.git'
+            )
+        })
+    })
+
+    describe('fromComposerLockfile()', function () {
+        it('should extract packages with the vendor as namespace', function () {
+            const lockfile = {
+                packages: [
+                    {
+                        name: 'Monolog/Monolog',
+                        version: '3.5.0',
+                        dist: { type: 'zip', shasum: '' }
+                    },
+                    {
+                        name: 'acme/local',
+                        version: 'dev-main',
+                        dist: { type: 'path', url: '../local' }
+                    }
+                ],
+                'packages-dev': [
+                    {
+                        name: 'phpunit/phpunit',
+                        version: '10.5.0',
+                        dist: { shasum: LODASH_CHECKSUM.slice(5) }
+                    }
+                ]
+            }
+            assert.deepStrictEqual(summarize(fromComposerLockfile(lockfile)), [
+                [
+                    'pkg:composer/monolog/monolog@3.5.0',
+                    { dev: false, pointer: '/packages/0' }
+                ],
+                [
+                    `pkg:composer/phpunit/phpunit@10.5.0?checksum=${encodeURIComponent(LODASH_CHECKSUM)}`,
+                    { dev: true, pointer: '/packages-dev/0' }
+                ]
+            ])
+        })
+    })
+
+    describe('fromSwiftLockfile()', function () {
+        it('should extract pins of version 1 and 2 files', function () {
+            const version1 = {
+                object: {
+                    pins: [
+                        {
+                            package: 'ArgumentParser',
+                            repositoryURL:
+                                'https://github.com/apple/swift-argument-parser.git',
+                            state: {
+                                branch: null,
+                                revision: 'abc123',
+                                version: '1.2.0'
+                            }
+                        }
+                    ]
+                },
+                version: 1
+            }
+            assert.deepStrictEqual(summarize(fromSwiftLockfile(version1)), [
+                [
+                    'pkg:swift/github.com/apple/swift-argument-parser@1.2.0',
+                    {
+                        branch: undefined,
+                        pointer: '/object/pins/0',
+                        revision: 'abc123'
+                    }
+                ]
+            ])
+            const version2 = JSON.stringify({
+                pins: [
+                    {
+                        identity: 'swift-nio',
+                        kind: 'remoteSourceControl',
+                        location: 'git@github.com:apple/swift-nio.git',
+                        state: { revision: 'def456', version: '2.65.0' }
+                    },
+                    {
+                        identity: 'local',
+                        kind: 'localSourceControl',
+                        location: '/tmp/local',
+                        state: { revision: 'abc123' }
+                    },
+                    {
+                        identity: 'foo',
+                        kind: 'remoteSourceControl',
+                        location: 'https://gitlab.com/group/subgroup/foo',
+                        state: { branch: 'main', revision: 'abc123' }
+                    }
+                ],
+                version: 2
+            })
+            const entries = fromSwiftLockfile(version2)
+            assert.deepStrictEqual(
+                entries.map(({ purl, metadata }) => [
+                    purl.toString(),
+                    metadata.pointer
+                ]),
+                [
+                    ['pkg:swift/github.com/apple/swift-nio@2.65.0', '/pins/0'],
+                    [
+                        'pkg:swift/gitlab.com/group/subgroup/foo@abc123',
+                        '/pins/2'
+                    ]
+                ]
+            )
+            assert.strictEqual(entries[1].metadata.branch, 'main')
+        })
+
+        it('should skip locations with malformed percent-encodings', function () {
+            const lockfile = {
+                pins: [
+                    {
+                        identity: 'b',
+                        kind: 'remoteSourceControl',
+                        location: 'https://github.com/a%zz/b.git',
+                        state: { revision: 'abc123', version: '1.0.0' }
+                    }
+                ],
+                version: 2
+            }
+            assert.deepStrictEqual(fromSwiftLockfile(lockfile), [])
+        })
+    })
+
+    describe('fromGradleLockfile()', function () {
+        it('should extract dependencies and their configurations', function () {
+            const lockfile = [
+                '# This is a Gradle generated file for dependency locking.',
+                '# Manual edits can break the build and are not advised.',
+                '# This file is expected to be part of source control.',
+                'com.google.guava:guava:32.1.3-jre=compileClasspath,runtimeClasspath',
+                'junit:junit:4.13.2=testCompileClasspath',
+                'empty=annotationProcessor',
+                ''
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromGradleLockfile(lockfile)), [
+                [
+                    'pkg:maven/com.google.guava/guava@32.1.3-jre',
+                    {
+                        configurations: [
+                            'compileClasspath',
+                            'runtimeClasspath'
+                        ],
+                        line: 4
+                    }
+                ],
+                [
+                    'pkg:maven/junit/junit@4.13.2',
+                    { configurations: ['testCompileClasspath'], line: 5 }
+                ]
+            ])
+            assert.throws(
+                () => fromGradleLockfile('guava=compileClasspath'),
+                /at line 1 of gradle\.lockfile/
+            )
+        })
+    })
+
+    describe('fromMavenPom()', function () {
+        it('should extract dependencies with interpolated properties', function () {
+            const pom = `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <parent>
+    <groupId>com.example</groupId>
+    <artifactId>parent</artifactId>
+    <version>2.0.0</version>
+  </parent>
+  <artifactId>app</artifactId>
+  <properties>
+    <jackson.version>2.16.1</jackson.version>
+    <jackson.core.version>\${jackson.version}</jackson.core.version>
+  </properties>
+  <dependencyManagement>
+    <dependencies>
+      <dependency>
+        <groupId>junit</groupId>
+        <artifactId>junit</artifactId>
+        <version>4.13.2</version>
+      </dependency>
+    </dependencies>
+  </dependencyManagement>
+  <dependencies>
+    <dependency>
+      <groupId>com.fasterxml.jackson.core</groupId>
+      <artifactId>jackson-core</artifactId>
+      <version>\${jackson.core.version}</version>
+    </dependency>
+    <dependency>
+      <groupId>\${project.groupId}</groupId>
+      <artifactId>lib</artifactId>
+      <version>\${project.version}</version>
+      <classifier>tests</classifier>
+      <type>test-jar</type>
+      <optional>true</optional>
+    </dependency>
+    <dependency>
+      <groupId>junit</groupId>
+      <artifactId>junit</artifactId>
+      <scope>test</scope>
+    </dependency>
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>ranged</artifactId>
+      <version>[1.0,2.0)</version>
+    </dependency>
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>undefined</artifactId>
+      <version>\${missing.version}</version>
+    </dependency>
+  </dependencies>
+</project>`
+            assert.deepStrictEqual(summarize(fromMavenPom(pom)), [
+                [
+                    'pkg:maven/com.fasterxml.jackson.core/jackson-core@2.16.1',
+                    { optional: false, scope: 'compile' }
+                ],
+                [
+                    'pkg:maven/com.example/lib@2.0.0?classifier=tests&type=test-jar',
+                    { optional: true, scope: 'compile' }
+                ],
+                [
+                    'pkg:maven/junit/junit@4.13.2',
+                    { optional: false, scope: 'test' }
+                ]
+            ])
+            assert.throws(() => fromMavenPom('<settings/>'), SyntaxError)
+        })
+    })
+
+    describe('fromNugetLockfile()', function () {
+        it('should extract packages of each target framework', function () {
+            const lockfile = {
+                version: 1,
+                dependencies: {
+                    'net8.0': {
+                        'Newtonsoft.Json': {
+                            type: 'Direct',
+                            requested: '[13.0.3, )',
+                            resolved: '13.0.3',
+                            contentHash:
+                                'HrC5BXdl00IP9zeV+0Z848QWPAoCr9P3bDEZguI+gkLcBKAOxix/tLEAAHC+UvDSPv3fl2ZnfWFuyqL4c3U4Eg=='
+                        },
+                        Lib: { type: 'Project' }
+                    },
+                    'net8.0/win-x64': {
+                        'Newtonsoft.Json': {
+                            type: 'Transitive',
+                            resolved: '13.0.3',
+                            contentHash:
+                                'HrC5BXdl00IP9zeV+0Z848QWPAoCr9P3bDEZguI+gkLcBKAOxix/tLEAAHC+UvDSPv3fl2ZnfWFuyqL4c3U4Eg=='
+                        },
+                        'System.Memory': {
+                            type: 'Transitive',
+                            resolved: '4.5.5'
+                        }
+                    }
+                }
+            }
+            assert.deepStrictEqual(summarize(fromNugetLockfile(lockfile)), [
+                [
+                    'pkg:nuget/Newtonsoft.Json@13.0.3?checksum=sha512%3A1eb0b9057765d3420ff73795fb467ce3c4163c0a02afd3f76c311982e23e8242dc04a00ec62c7fb4b1000070be52f0d23efddf9766677d616ecaa2f873753812',
+                    {
+                        direct: true,
+                        pointer: '/dependencies/net8.0/Newtonsoft.Json',
+                        targetFrameworks: ['net8.0', 'net8.0/win-x64']
+                    }
+                ],
+                [
+                    'pkg:nuget/System.Memory@4.5.5',
+                    {
+                        direct: false,
+                        pointer: '/dependencies/net8.0~1win-x64/System.Memory',
+                        targetFrameworks: ['net8.0/win-x64']
+                    }
+                ]
+            ])
+        })
+    })
+
+    describe('fromPackagesConfig()', function () {
+        it('should extract packages', function () {
+            const config = `<?xml version="1.0" encoding="utf-8"?>
+<packages>
+  <package id="jQuery" version="3.7.1" targetFramework="net48" />
+  <package id="NUnit" version="3.14.0" developmentDependency="true" />
+</packages>`
+            assert.deepStrictEqual(summarize(fromPackagesConfig(config)), [
+                [
+                    'pkg:nuget/jQuery@3.7.1',
+                    { developmentDependency: false, targetFramework: 'net48' }
+                ],
+                [
+                    'pkg:nuget/NUnit@3.14.0',
+                    { developmentDependency: true, targetFramework: undefined }
+                ]
+            ])
+            assert.throws(() => fromPackagesConfig('<Project/>'), SyntaxError)
+        })
+
+        it('should reject character references beyond the Unicode range', function () {
+            assert.strictEqual(
+                fromPackagesConfig(
+                    '<packages><package id="&#x4A;Query" version="3.7.1" /></packages>'
+                )[0].purl.name,
+                'JQuery'
+            )
+            assert.throws(
+                () =>
+                    fromPackagesConfig(
+                        '<packages><package id="a&#99999999;" version="1" /></packages>'
+                    ),
+                { name: 'SyntaxError', message: /Invalid entity "&#99999999;"/ }
+            )
+        })
+    })
+
+    describe('fromCsproj()', function () {
+        it('should extract package references with central versions', function () {
+            const project = `<Project Sdk="Microsoft.NET.Sdk">
+  <PropertyGroup>
+    <SerilogVersion>3.1.1</SerilogVersion>
+  </PropertyGroup>
+  <ItemGroup>
+    <ProjectReference Include="../Lib/Lib.csproj" />
+    <PackageReference Include="Serilog" Version="$(SerilogVersion)" />
+    <PackageReference Include="xunit">
+      <Version>[2.6.6]</Version>
+    </PackageReference>
+    <PackageReference Include="Polly" />
+    <PackageReference Include="StyleCop.Analyzers" PrivateAssets="all" />
+    <PackageReference Include="Floating" Version="1.*" />
+    <PackageReference Include="Ranged" Version="[1.0,2.0)" />
+  </ItemGroup>
+</Project>`
+            const directoryPackagesProps = `<Project>
+  <ItemGroup>
+    <PackageVersion Include="polly" Version="8.2.1" />
+    <PackageVersion Include="StyleCop.Analyzers" Version="1.1.118" />
+  </ItemGroup>
+</Project>`
+            assert.deepStrictEqual(
+                summarize(fromCsproj(project, { directoryPackagesProps })),
+                [
+                    [
+                        'pkg:nuget/Serilog@3.1.1',
+                        { central: false, privateAssets: undefined }
+                    ],
+                    [
+                        'pkg:nuget/xunit@2.6.6',
+                        { central: false, privateAssets: undefined }
+                    ],
+                    [
+                        'pkg:nuget/Polly@8.2.1',
+                        { central: true, privateAssets: undefined }
+                    ],
+                    [
+                        'pkg:nuget/StyleCop.Analyzers@1.1.118',
+                        { central: true, privateAssets: 'all' }
+                    ]
+                ]
+            )
+            assert.strictEqual(fromCsproj(project).length, 2)
+            assert.throws(() => fromCsproj('<packages/>'), SyntaxError)
+        })
+    })
+
+    describe('fromCondaEnvironment()', function () {
+        it('should extract conda and pip dependencies', function () {
+            const environment = [
+                'name: app',
+                'channels:',
+                '  - conda-forge',
+                'dependencies:',
+                '  - python=3.11',
+                '  - conda-forge::numpy==1.26.0',
+                '  - conda-forge/linux-64::scipy=1.11.3=py311h64a7726_0',
+                '  - pandas>=2',
+                '  - zlib 1.2.13 h5eee18b_0',
+                '  - pip:',
+                '    - requests==2.31.0',
+                '    - -r requirements.txt',
+                ''
+            ].join('\n')
+            const entries = fromCondaEnvironment(environment)
+            assert.deepStrictEqual(
+                entries.map(({ purl, metadata }) => [
+                    purl.toString(),
+                    metadata.pointer,
+                    metadata.pinned
+                ]),
+                [
+                    ['pkg:conda/python', '/dependencies/0', false],
+                    [
+                        'pkg:conda/numpy@1.26.0?channel=conda-forge',
+                        '/dependencies/1',
+                        true
+                    ],
+                    [
+                        'pkg:conda/scipy@1.11.3?build=py311h64a7726_0&channel=conda-forge&subdir=linux-64',
+                        '/dependencies/2',
+                        true
+                    ],
+                    ['pkg:conda/pandas', '/dependencies/3', false],
+                    [
+                        'pkg:conda/zlib@1.2.13?build=h5eee18b_0',
+                        '/dependencies/4',
+                        true
+                    ],
+                    ['pkg:pypi/requests@2.31.0', '/dependencies/5/pip/0', true]
+                ]
+            )
+            assert.strictEqual(entries[0].metadata.specifier, '=3.11')
+            assert.strictEqual(entries[3].metadata.specifier, '>=2')
+            assert.strictEqual(entries[5].metadata.line, undefined)
+        })
+    })
+
+    describe('fromCondaLockfile()', function () {
+        it('should extract conda and pip packages of each platform', function () {
+            const md5 = 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4'
+            const sha256 = SHA256_CHECKSUM.slice(7)
+            const lockfile = `version: 1
+metadata:
+  platforms:
+    - linux-64
+    - osx-arm64
+package:
+  - name: numpy
+    version: 1.26.0
+    manager: conda
+    platform: linux-64
+    url: https://conda.anaconda.org/conda-forge/linux-64/numpy-1.26.0-py311h64a7726_0.conda
+    hash:
+      md5: ${md5}
+      sha256: ${sha256}
+    category: main
+    optional: false
+  - name: tzdata
+    version: 2023c
+    manager: conda
+    platform: linux-64
+    url: https://repo.anaconda.com/pkgs/main/noarch/tzdata-2023c-h04d1e81_0.tar.bz2
+    hash:
+      md5: ${md5}
+    category: main
+    optional: false
+  - name: tzdata
+    version: 2023c
+    manager: conda
+    platform: osx-arm64
+    url: https://repo.anaconda.com/pkgs/main/noarch/tzdata-2023c-h04d1e81_0.tar.bz2
+    hash:
+      md5: ${md5}
+    category: main
+    optional: false
+  - name: requests
+    version: 2.31.0
+    manager: pip
+    platform: linux-64
+    url: https://files.pythonhosted.org/packages/requests-2.31.0-py3-none-any.whl
+    hash:
+      sha256: ${sha256}
+    category: dev
+    optional: true
+`
+            assert.deepStrictEqual(summarize(fromCondaLockfile(lockfile)), [
+                [
+                    `pkg:conda/numpy@1.26.0?build=py311h64a7726_0&channel=conda-forge&checksum=md5%3A${md5}%2Csha256%3A${sha256}&subdir=linux-64&type=conda`,
+                    {
+                        category: 'main',
+                        optional: false,
+                        platforms: ['linux-64']
+                    }
+                ],
+                [
+                    `pkg:conda/tzdata@2023c?build=h04d1e81_0&channel=main&checksum=md5%3A${md5}&subdir=noarch&type=tar.bz2`,
+                    {
+                        category: 'main',
+                        optional: false,
+                        platforms: ['linux-64', 'osx-arm64']
+                    }
+                ],
+                [
+                    `pkg:pypi/requests@2.31.0?checksum=sha256%3A${sha256}`,
+                    { category: 'dev', optional: true, platforms: ['linux-64'] }
+                ]
+            ])
+        })
+    })
+
+    describe('fromCondaExplicit()', function () {
+        it('should extract package URLs and hashes', function () {
+            const spec = [
+                '# This file may be used to create an environment using:',
+                '# platform: linux-64',
+                '@EXPLICIT',
+                'https://conda.anaconda.org/conda-forge/linux-64/numpy-1.26.0-py311h64a7726_0.conda#a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4',
+                'https://example.com/channels/internal/noarch/foo-1.0-0.tar.bz2',
+                ''
+            ].join('\n')
+            assert.deepStrictEqual(summarize(fromCondaExplicit(spec)), [
+                [
+                    'pkg:conda/numpy@1.26.0?build=py311h64a7726_0&channel=conda-forge&checksum=md5%3Aa1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4&subdir=linux-64&type=conda',
+                    { line: 4 }
+                ],
+                [
+                    'pkg:conda/foo@1.0?build=0&channel=internal&repository_url=https%3A%2F%2Fexample.com%2Fchannels&subdir=noarch&type=tar.bz2',
+                    { line: 5 }
+                ]
+            ])
+            assert.throws(
+                () => fromCondaExplicit('https://example.com/foo.conda'),
+                /"@EXPLICIT"/
+            )
+            assert.throws(
+                () => fromCondaExplicit('@EXPLICIT\nnumpy=1.26.0'),
+                /at line 2 of conda explicit spec file/
+            )
+        })
+    })
+
+    describe('fromDpkgStatus()', function () {
+        it('should extract installed packages with their source', function () {
+            const status = [
+                'Package: libc6',
+                'Status: install ok installed',
+                'Architecture: amd64',
+                'Multi-Arch: same',
+                'Source: glibc',
+                'Version: 2.36-9+deb12u4',
+                'Description: GNU C Library: Shared libraries',
+                ' Contains the standard libraries.',
+                ' .',
+                ' More text.',
+                '',
+                'Package: bsdutils',
+                'Status: install ok installed',
+                'Architecture: amd64',
+                'Source: util-linux (2.38.1-5)',
+                'Version: 1:2.38.1-5+b1',
+                '',
+                'Package: removed',
+                'Status: deinstall ok config-files',
+                'Architecture: amd64',
+                'Version: 1.0',
+                ''
+            ].join('\n')
+            const osRelease = [
+                'PRETTY_NAME="Debian GNU/Linux 12 (bookworm)"',
+                'VERSION_ID="12"',
+                'VERSION_CODENAME=bookworm',
+                'ID=debian',
+                ''
+            ].join('\n')
+            assert.deepStrictEqual(
+                summarize(fromDpkgStatus(status, { osRelease })),
+                [
+                    [
+                        'pkg:deb/debian/libc6@2.36-9+deb12u4?arch=amd64&distro=debian-12&upstream=glibc',
+                        { line: 1 }
+                    ],
+                    [
+                        'pkg:deb/debian/bsdutils@1:2.38.1-5+b1?arch=amd64&distro=debian-12&upstream=util-linux%402.38.1-5',
+                        { line: 12 }
+                    ]
+                ]
+            )
+            // Files of status.d have no status field.
+            assert.deepStrictEqual(
+                summarize(
+                    fromDpkgStatus(
+                        'Package: tzdata\nVersion: 2024a-0+deb12u1\nArchitecture: all\n'
+                    )
+                ),
+                [['pkg:deb/tzdata@2024a-0+deb12u1?arch=all', { line: 1 }]]
+            )
+            assert.throws(
+                () => fromDpkgStatus('Package: a\nnot a field'),
+                /at line 2 of dpkg status/
+            )
+        })
+    })
+})
@@ -0,0 +1,173 @@
+/*!
+Copyright (c) the purl authors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const assert = require('assert')
+const { describe, it } = require('mocha')
+
+const { PurlError, VersError } = require('../src/error')
+const { PackageURL } = require('../src/package-url')
+const { VersionRange } = require('../src/vers')
+
+describe('VersionRange', function () {
+    describe('fromString()', function () {
+        it('should parse and normalize vers strings', function () {
+            const range = VersionRange.fromString('VERS:NPM/ <2.0.0 | >=1.0.0 ')
+            assert.strictEqual(range.scheme, 'npm')
+            assert.deepStrictEqual(
+                range.constraints.map(c => ({ ...c })),
+                [
+                    { comparator: '>=', version: '1.0.0' },
+                    { comparator: '<', version: '2.0.0' }
+                ]
+            )
+            assert.strictEqual(range.toString(), 'vers:npm/>=1.0.0|<2.0.0')
+        })
+
+        it('should omit the "=" comparator and percent-encode versions', function () {
+            assert.strictEqual(
+                VersionRange.fromString('vers:pypi/=1.0|2.0%20rc1').toString(),
+                'vers:pypi/1.0|2.0%20rc1'
+            )
+        })
+
+        it('should reject invalid vers strings', function () {
+            ;[
+                [
+                    'pkg:npm/1.0.0',
+                    /missing required "vers" scheme/,
+                    'VERS_URI_SCHEME_REQUIRED'
+                ],
+                [
+                    'vers:npm',
+                    /missing required versioning scheme/,
+                    'VERS_SCHEME_REQUIRED'
+                ],
+                [
+                    'vers:npm/',
+                    /missing required constraints/,
+                    'VERS_CONSTRAINTS_REQUIRED'
+                ],
+                [
+                    'vers:unknown/1.0.0',
+                    /unknown versioning scheme "unknown"/,
+                    'VERS_SCHEME_UNKNOWN'
+                ],
+                [
+                    'vers:npm/*|1.0.0',
+                    /cannot be combined/,
+                    'VERS_CONSTRAINT_STAR_COMBINED'
+                ],
+                [
+                    'vers:npm/>=1.0.0|<1.0.0',
+                    /more than one constraint/,
+                    'VERS_VERSION_DUPLICATE'
+                ],
+                [
+                    'vers:npm/>=1.0.0|>=1.2.0',
+                    /cannot follow ">=1.0.0"/,
+                    'VERS_CONSTRAINT_ORDER_INVALID'
+                ],
+                [
+                    'vers:npm/1.0.0|<2.0.0',
+                    /cannot follow "=1.0.0"/,
+                    'VERS_CONSTRAINT_ORDER_INVALID'
+                ]
+            ].forEach(([versStr, expected, code]) => {
+                assert.throws(
+                    () => VersionRange.fromString(versStr),
+                    e =>
+                        e instanceof VersError &&
+                        e instanceof PurlError &&
+                        e.code === code &&
+                        expected.test(e.message),
+                    versStr
+                )
+            })
+        })
+
+        it('should accept custom purl types as schemes', function () {
+            PackageURL.registerType('acme-artifact', {})
+            try {
+                assert.strictEqual(
+                    VersionRange.fromString('vers:acme-artifact/1.0').scheme,
+                    'acme-artifact'
+                )
+            } finally {
+                PackageURL.unregisterType('acme-artifact')
+            }
+        })
+    })
+
+    describe('contains()', function () {
+        it('should check versions against constraints', function () {
+            const range = VersionRange.fromString(
+                'vers:npm/<0.5.0|0.7.0|>=1.0.0|!=1.6.0'
+            )
+            ;[
+                ['0.1.0', true],
+                ['0.5.0', false],
+                ['0.7.0', true],
+                ['0.8.0', false],
+                ['1.0.0', true],
+                ['1.6.0', false],
+                ['1.10.0', true]
+            ].forEach(([version, expected]) => {
+                assert.strictEqual(range.contains(version), expected, version)
+            })
+        })
+
+        it('should check purls of the matching type', function () {
+            const range = VersionRange.fromString('vers:npm/>=1.0.0|<2.0.0')
+            assert.strictEqual(
+                range.contains(PackageURL.fromString('pkg:npm/foo@1.2.0')),
+                true
+            )
+            assert.strictEqual(
+                range.contains(PackageURL.fromString('pkg:npm/foo@2.0.0')),
+                false
+            )
+            assert.throws(
+                () =>
+                    range.contains(PackageURL.fromString('pkg:pypi/foo@1.2.0')),
+                /cannot be compared to a "npm" range/
+            )
+        })
+
+        it('should contain everything for "*"', function () {
+            assert.strictEqual(
+                VersionRange.fromString('vers:npm/*').contains('0.0.1'),
+                true
+            )
+        })
+    })
+
+    describe('simplify()', function () {
+        it('should discard redundant constraints', function () {
+            assert.strictEqual(
+                VersionRange.fromString('vers:npm/<1.0.0|>=2.0.0|!=2.5.0|3.0.0')
+                    .simplify()
+                    .toString(),
+                'vers:npm/<1.0.0|>=2.0.0|!=2.5.0'
+            )
+        })
+    })
+})